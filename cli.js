@@ -3,21 +3,202 @@
 const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const childProcess = require('child_process');
 const axios = require('axios');
 const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Writable } = require('stream');
 
 // Configuration
 const packageName = 'linkedin-mcp-runner';
-const backendApiUrl = 'https://ligosocial.com/api/mcp/publish-linkedin-post';
-const backendScheduleApiUrl = 'https://ligosocial.com/api/mcp/schedule-linkedin-post';
-const backendTwitterApiUrl = 'https://ligosocial.com/api/mcp/publish-twitter-post';
-const backendAnalyzeChatApiUrl = 'https://ligosocial.com/api/mcp/analyze-linkedin-chat';
-const backendGeneratePostApiUrl = 'https://ligosocial.com/api/mcp/generate-linkedin-post';
-const backendLinkedinPostsApiUrl = 'https://ligosocial.com/api/mcp/linkedin/posts';
-const backendLinkedinProfileApiUrl = 'https://ligosocial.com/api/mcp/linkedin/profile';
-const backendLinkedinSetUrlApiUrl = 'https://ligosocial.com/api/mcp/linkedin/set-url';
-const backendLinkedinRefreshProfileApiUrl = 'https://ligosocial.com/api/mcp/linkedin/refresh-profile';
-const backendLinkedinRefreshPostsApiUrl = 'https://ligosocial.com/api/mcp/linkedin/refresh-posts';
+const defaultBackendBaseUrl = 'https://ligosocial.com';
+
+// Logging
+// Diagnostics go to stderr (stdout carries the MCP protocol) as one JSON object per line, and
+// optionally to a rotating file in the config directory. Levels are the MCP (syslog) ones. Every
+// entry is redacted before it is written: authorization headers, API keys and tokens always, post
+// content (post_text, conversation_history, ...) when redactContent is on.
+const logLevels = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+const secretLogFields = /^(authorization|api[-_]?key|token|access[-_]?token|secret|password|cookie)$/i;
+const contentLogFields = new Set(['post_text', 'text', 'thread_text', 'tweets', 'content', 'contents', 'conversation_history', 'query', 'source_content', 'excerpt', 'messages']);
+const loggingSettings = {
+    level: 'info',
+    levelIsExplicit: false,
+    redactContent: false,
+    filePath: null,
+    maxFileBytes: 5 * 1024 * 1024,
+    maxFiles: 3
+};
+// Values that must never appear in a log line (API keys in use, the HTTP bearer token)
+const logSecrets = new Set();
+// Sessions that asked for log messages with logging/setLevel
+const logSubscribers = new Set();
+// The session whose message is being handled. Entries logged while handling it (tool arguments,
+// backend responses) go only to that session; entries outside any request go to every subscriber.
+const logSessionContext = new AsyncLocalStorage();
+
+function isEnabledSetting(value) {
+    return /^(1|true|yes|on)$/i.test(String(value));
+}
+
+// Environment variables win over the "logging" block in config.json
+function configureLogging(config = {}) {
+    const env = process.env;
+    const level = env.LINKEDIN_MCP_LOG_LEVEL || config.level;
+    if (logLevels.includes(level)) {
+        loggingSettings.level = level;
+        loggingSettings.levelIsExplicit = true;
+    }
+    loggingSettings.redactContent = isEnabledSetting(env.LINKEDIN_MCP_LOG_REDACT_CONTENT ?? config.redactContent ?? false);
+    const file = env.LINKEDIN_MCP_LOG_FILE ?? config.file;
+    if (file === true || isEnabledSetting(file)) {
+        loggingSettings.filePath = path.join(getRunnerConfigDir(), 'logs', 'runner.log');
+    } else if (typeof file === 'string' && file !== '' && !/^(0|false|no|off)$/i.test(file)) {
+        loggingSettings.filePath = path.resolve(file.replace(/^~(?=$|[\\/])/, os.homedir()));
+    }
+    loggingSettings.maxFileBytes = Number(config.maxFileBytes) || loggingSettings.maxFileBytes;
+    loggingSettings.maxFiles = Math.max(1, Number(config.maxFiles) || loggingSettings.maxFiles);
+    registerLogSecret(env.LINKEDIN_MCP_API_KEY);
+}
+
+function registerLogSecret(value) {
+    if (typeof value === 'string' && value.length >= 8) { logSecrets.add(value); }
+}
+
+function redactLogText(text) {
+    let redacted = text.replace(/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]');
+    logSecrets.forEach(secret => { redacted = redacted.split(secret).join(maskApiKey(secret)); });
+    return redacted;
+}
+
+function redactLogValue(value, key = null, seen = new WeakSet()) {
+    if (value === null || value === undefined) { return value; }
+    if (key && secretLogFields.test(key)) { return '[REDACTED]'; }
+    if (key === 'file_data' && typeof value === 'string') { return `<${value.length} base64 characters>`; }
+    if (key && loggingSettings.redactContent && contentLogFields.has(key)) {
+        return typeof value === 'string' ? `[${value.length} characters redacted]` : '[redacted]';
+    }
+    if (typeof value === 'string') { return redactLogText(value); }
+    if (value instanceof Error) {
+        return { message: redactLogText(value.message), ...(value.code ? { code: value.code } : {}), ...(value.stack ? { stack: redactLogText(value.stack) } : {}) };
+    }
+    if (typeof value !== 'object') { return value; }
+    if (seen.has(value)) { return '[Circular]'; }
+    seen.add(value);
+    if (Array.isArray(value)) { return value.map(item => redactLogValue(item, null, seen)); }
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, redactLogValue(item, field, seen)]));
+}
+
+// Shifts runner.log -> runner.log.1 -> ... and drops the oldest
+function rotateLogFiles() {
+    const filePath = loggingSettings.filePath;
+    fs.removeSync(`${filePath}.${loggingSettings.maxFiles}`);
+    for (let index = loggingSettings.maxFiles - 1; index >= 1; index--) {
+        if (fs.existsSync(`${filePath}.${index}`)) { fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`); }
+    }
+    fs.renameSync(filePath, `${filePath}.1`);
+}
+
+function appendToLogFile(line) {
+    if (!loggingSettings.filePath) { return; }
+    try {
+        // Sized on every write: several runners (stdio, serve --http, mock-backend) may share the file
+        fs.ensureDirSync(path.dirname(loggingSettings.filePath));
+        const size = fs.existsSync(loggingSettings.filePath) ? fs.statSync(loggingSettings.filePath).size : 0;
+        if (size > 0 && size + Buffer.byteLength(line) + 1 > loggingSettings.maxFileBytes) { rotateLogFiles(); }
+        fs.appendFileSync(loggingSettings.filePath, `${line}\n`, { mode: 0o600 });
+    } catch (e) {
+        // A broken log file must never take the runner down; fall back to stderr only
+        const failedPath = loggingSettings.filePath;
+        loggingSettings.filePath = null;
+        writeLog('warning', `Could not write log file ${failedPath}; file logging is off for this run.`, { error: e.message });
+    }
+}
+
+function writeLog(level, message, fields = {}) {
+    const rank = logLevels.indexOf(level);
+    const toOutput = rank >= logLevels.indexOf(loggingSettings.level);
+    const origin = logSessionContext.getStore();
+    const subscribers = [...logSubscribers].filter(session => (!origin || session === origin) && rank >= logLevels.indexOf(session.logLevel));
+    if (!toOutput && subscribers.length === 0) { return; }
+    const data = { msg: redactLogText(message), ...redactLogValue(fields) };
+    if (toOutput) {
+        const line = JSON.stringify({ time: new Date().toISOString(), level, logger: packageName, ...(origin ? { session: origin.id } : {}), ...data });
+        process.stderr.write(`${line}\n`);
+        appendToLogFile(line);
+    }
+    subscribers.forEach(session => session.notify({ jsonrpc: "2.0", method: "notifications/message", params: { level, logger: packageName, data } }));
+}
+
+// log.info('message', { field: value }), one method per level
+const log = Object.fromEntries(logLevels.map(level => [level, (message, fields) => writeLog(level, message, fields)]));
+
+// The runner keeps its own settings in config.json under this directory. Override the
+// location with LINKEDIN_MCP_CONFIG_DIR (useful for tests and multiple installs).
+function getRunnerConfigDir() {
+    if (process.env.LINKEDIN_MCP_CONFIG_DIR) { return process.env.LINKEDIN_MCP_CONFIG_DIR; }
+    if (os.platform() === 'win32' && process.env.APPDATA) { return path.join(process.env.APPDATA, packageName); }
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(configHome, packageName);
+}
+
+function loadRunnerConfig() {
+    const runnerConfigPath = path.join(getRunnerConfigDir(), 'config.json');
+    try {
+        if (fs.existsSync(runnerConfigPath)) { return fs.readJsonSync(runnerConfigPath) || {}; }
+    } catch (e) {
+        log.warning(`Could not read ${runnerConfigPath}; using defaults.`, { error: e.message });
+    }
+    return {};
+}
+
+const runnerConfig = loadRunnerConfig();
+configureLogging(runnerConfig.logging);
+
+// LINKEDIN_MCP_BASE_URL wins over "baseUrl" in config.json, e.g. to target staging or `mock-backend`
+const backendBaseUrl = (process.env.LINKEDIN_MCP_BASE_URL || runnerConfig.baseUrl || defaultBackendBaseUrl).replace(/\/+$/, '');
+const backendApiUrl = `${backendBaseUrl}/api/mcp/publish-linkedin-post`;
+const backendScheduleApiUrl = `${backendBaseUrl}/api/mcp/schedule-linkedin-post`;
+const backendTwitterApiUrl = `${backendBaseUrl}/api/mcp/publish-twitter-post`;
+const backendAnalyzeChatApiUrl = `${backendBaseUrl}/api/mcp/analyze-linkedin-chat`;
+const backendGeneratePostApiUrl = `${backendBaseUrl}/api/mcp/generate-linkedin-post`;
+const backendLinkedinPostsApiUrl = `${backendBaseUrl}/api/mcp/linkedin/posts`;
+const backendLinkedinProfileApiUrl = `${backendBaseUrl}/api/mcp/linkedin/profile`;
+const backendLinkedinSetUrlApiUrl = `${backendBaseUrl}/api/mcp/linkedin/set-url`;
+const backendLinkedinRefreshProfileApiUrl = `${backendBaseUrl}/api/mcp/linkedin/refresh-profile`;
+const backendLinkedinRefreshPostsApiUrl = `${backendBaseUrl}/api/mcp/linkedin/refresh-posts`;
+const backendListScheduledApiUrl = `${backendBaseUrl}/api/mcp/list-scheduled-posts`;
+const backendGetScheduledApiUrl = `${backendBaseUrl}/api/mcp/get-scheduled-post`;
+const backendCancelScheduledApiUrl = `${backendBaseUrl}/api/mcp/cancel-scheduled-post`;
+const backendRescheduleApiUrl = `${backendBaseUrl}/api/mcp/reschedule-linkedin-post`;
+
+// Backend Features
+// Endpoints the backend is not confirmed to offer yet (only `mock-backend` implements them). Tools
+// that need one are hidden and refuse to run until the operator enables it with
+// LINKEDIN_MCP_BACKEND_FEATURES (comma-separated, or "all") or "backendFeatures" in config.json.
+const backendFeatures = {
+    scheduled_posts: 'listing, inspecting, cancelling and rescheduling scheduled posts',
+    tweet_replies: 'posting a tweet as a reply (reply_to_tweet_id), which Twitter threads are built from',
+    media_uploads: "uploading media as file contents ({ filename, mime_type, file_data }) instead of a 'file_url'"
+};
+const enabledBackendFeatures = parseBackendFeatures(process.env.LINKEDIN_MCP_BACKEND_FEATURES ?? runnerConfig.backendFeatures);
+
+function parseBackendFeatures(value) {
+    const names = (Array.isArray(value) ? value : String(value ?? '').split(',')).map(name => String(name).trim()).filter(Boolean);
+    if (names.includes('all')) { return new Set(Object.keys(backendFeatures)); }
+    names.filter(name => !backendFeatures[name]).forEach(name => log.warning(`Unknown backend feature '${name}' ignored.`));
+    return new Set(names.filter(name => backendFeatures[name]));
+}
+
+function hasBackendFeature(name) {
+    return enabledBackendFeatures.has(name);
+}
+
+function backendFeatureMissingMessage(name) {
+    return `The backend is not confirmed to support ${backendFeatures[name]}. If yours does, set LINKEDIN_MCP_BACKEND_FEATURES=${name} (or add "${name}" to "backendFeatures" in config.json).`;
+}
 
 // Get the actual package name and version from package.json
 let publishedPackageName = packageName;
@@ -30,7 +211,109 @@ try {
     packageVersion = pkg.version || packageVersion;
   }
 } catch (e) {
-  console.error(`${packageName}: Warning - Could not read package.json. Using defaults.`);
+  log.warning('Could not read package.json; using defaults.', { error: e.message });
+}
+
+// Credentials
+// API keys are kept in credentials.json in the runner's config directory, readable only by the
+// owner, so MCP client configs (which other tools read freely) don't have to carry them.
+// Several named accounts can be stored, each with its own key and tool argument defaults:
+//   { "defaultAccount": "founder", "accounts": { "founder": { "apiKey": "...", "defaults": { "limit": 10 } } } }
+// Files written before accounts existed ({ "apiKey": "..." }) read as a single "default" account.
+const defaultAccountName = 'default';
+
+function getCredentialsPath() {
+    return path.join(getRunnerConfigDir(), 'credentials.json');
+}
+
+function loadCredentials() {
+    const credentialsPath = getCredentialsPath();
+    let stored = {};
+    try {
+        if (fs.existsSync(credentialsPath)) { stored = fs.readJsonSync(credentialsPath) || {}; }
+    } catch (e) {
+        log.warning(`Could not read ${credentialsPath}.`, { error: e.message });
+    }
+    const accounts = stored.accounts || (stored.apiKey ? { [defaultAccountName]: { apiKey: stored.apiKey, savedAt: stored.savedAt } } : {});
+    Object.values(accounts).forEach(account => registerLogSecret(account.apiKey));
+    const defaultAccount = accounts[stored.defaultAccount] ? stored.defaultAccount : (Object.keys(accounts)[0] || null);
+    return { defaultAccount, accounts };
+}
+
+async function saveCredentials(credentials) {
+    const credentialsPath = getCredentialsPath();
+    if (Object.keys(credentials.accounts).length === 0) {
+        await fs.remove(credentialsPath);
+        return;
+    }
+    await fs.ensureDir(path.dirname(credentialsPath));
+    await fs.writeJson(credentialsPath, credentials, { spaces: 2, mode: 0o600 });
+    // `mode` only applies when the file is created; tighten an existing file too
+    await fs.chmod(credentialsPath, 0o600);
+}
+
+// Saves (or replaces) one account's key; the first account saved becomes the default
+async function saveAccountKey(accountName, apiKey) {
+    const credentials = loadCredentials();
+    credentials.accounts[accountName] = { ...credentials.accounts[accountName], apiKey, savedAt: new Date().toISOString() };
+    credentials.defaultAccount = credentials.defaultAccount || accountName;
+    await saveCredentials(credentials);
+}
+
+const apiKeyMissingMessage = `Server Configuration Error: API Key not set. Run \`npx ${publishedPackageName} login\` or set LINKEDIN_MCP_API_KEY.`;
+
+function unknownAccountError(accountName, credentials) {
+    const known = Object.keys(credentials.accounts);
+    return new McpError(-32602, `Unknown account '${accountName}'. ${known.length > 0 ? `Known accounts: ${known.join(', ')}.` : `No accounts are stored; run \`npx ${publishedPackageName} login --account ${accountName}\`.`}`);
+}
+
+// The account a call runs as: the `account` argument if given, else LINKEDIN_MCP_API_KEY, else
+// LINKEDIN_MCP_ACCOUNT or the default account. Returns null when no key is configured at all.
+// Read on every call, so `login` and `rotate-key` take effect without restarting the server.
+function resolveAccount(accountName) {
+    const credentials = loadCredentials();
+    if (accountName) {
+        const account = credentials.accounts[accountName];
+        if (!account) { throw unknownAccountError(accountName, credentials); }
+        return { name: accountName, apiKey: account.apiKey, defaults: account.defaults || {} };
+    }
+    if (process.env.LINKEDIN_MCP_API_KEY) {
+        return { name: 'LINKEDIN_MCP_API_KEY', apiKey: process.env.LINKEDIN_MCP_API_KEY, defaults: {} };
+    }
+    const name = process.env.LINKEDIN_MCP_ACCOUNT || credentials.defaultAccount;
+    if (!name) { return null; }
+    if (!credentials.accounts[name]) { throw unknownAccountError(name, credentials); }
+    return { name, apiKey: credentials.accounts[name].apiKey, defaults: credentials.accounts[name].defaults || {} };
+}
+
+function maskApiKey(apiKey) {
+    return apiKey.length > 8 ? `${apiKey.substring(0, 4)}…${apiKey.substring(apiKey.length - 4)}` : '****';
+}
+
+function describeAccount(account) {
+    return account.name === 'LINKEDIN_MCP_API_KEY' ? 'the LINKEDIN_MCP_API_KEY environment variable' : `'${account.name}'`;
+}
+
+// Shared by the `accounts` command and the list_accounts tool. LinkedIn URLs come from the
+// response cache, i.e. whatever the backend last reported for each key.
+function formatAccountsList(credentials) {
+    const names = Object.keys(credentials.accounts);
+    if (names.length === 0) {
+        return `No accounts stored. Run \`npx ${publishedPackageName} login --account <name>\` to add one.`;
+    }
+    const linkedinUrls = loadResponseCache().linkedinUrls;
+    const lines = names.map(name => {
+        const account = credentials.accounts[name];
+        const facts = [`key ${maskApiKey(account.apiKey)}`, `LinkedIn URL: ${linkedinUrls[hashApiKey(account.apiKey)] || 'not known yet'}`];
+        if (account.defaults && Object.keys(account.defaults).length > 0) {
+            facts.push(`defaults: ${JSON.stringify(account.defaults)}`);
+        }
+        return `- ${name}${name === credentials.defaultAccount ? ' (default)' : ''}: ${facts.join(', ')}`;
+    });
+    const current = process.env.LINKEDIN_MCP_API_KEY
+        ? 'Calls without an `account` argument use the LINKEDIN_MCP_API_KEY environment variable.'
+        : `Calls without an \`account\` argument use '${process.env.LINKEDIN_MCP_ACCOUNT || credentials.defaultAccount}'.`;
+    return `Accounts:\n${lines.join('\n')}\n\n${current}`;
 }
 
 // Setup Functions
@@ -68,1346 +351,4121 @@ function getConfigPath() {
     }
 }
 
-function parseApiKeyArg(args) {
-    const apiKeyIndex = args.indexOf('--api-key');
-    if (apiKeyIndex !== -1 && apiKeyIndex + 1 < args.length) { return args[apiKeyIndex + 1]; }
+function parseFlagArg(args, flag) {
+    const flagIndex = args.indexOf(flag);
+    if (flagIndex !== -1 && flagIndex + 1 < args.length) { return args[flagIndex + 1]; }
     return null;
 }
 
-async function runSetup(apiKeyFromArg) {
-    console.log(`Running ${packageName} setup...`);
-    const configPath = getConfigPath();
-    console.log(`Target Claude config file: ${configPath}`);
-    let configData = {};
-    try {
-        if (await fs.pathExists(configPath)) { configData = await fs.readJson(configPath); }
-    } catch (err) { console.error(`Error reading config: ${err}`); process.exit(1); }
-    if (!configData.mcpServers) { configData.mcpServers = {}; }
-    const apiKeyToUse = apiKeyFromArg || "PASTE_YOUR_API_KEY_HERE";
+function parseApiKeyArg(args) {
+    return parseFlagArg(args, '--api-key');
+}
+
+// Editor settings folder for VS Code ("Code/User"), which moves per platform
+function getVscodeUserDir() {
+    switch (os.platform()) {
+        case 'darwin':
+            return path.join(os.homedir(), 'Library', 'Application Support', 'Code', 'User');
+        case 'win32':
+            return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'Code', 'User');
+        default:
+            return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'Code', 'User');
+    }
+}
+
+// MCP clients `setup --client` can configure. Each names its config file, the key its servers live
+// under, any extra fields its entries need, and what to do after the file is written.
+const setupClients = {
+    'claude-desktop': {
+        label: 'Claude Desktop',
+        configPath: getConfigPath,
+        serversKey: 'mcpServers',
+        nextStep: 'Restart Claude Desktop app.'
+    },
+    'cursor': {
+        label: 'Cursor',
+        configPath: () => path.join(os.homedir(), '.cursor', 'mcp.json'),
+        serversKey: 'mcpServers',
+        nextStep: 'Restart Cursor, or reload MCP servers under Settings > MCP.'
+    },
+    'vscode': {
+        label: 'VS Code',
+        configPath: () => path.join(getVscodeUserDir(), 'mcp.json'),
+        serversKey: 'servers',
+        entryFields: { type: 'stdio' },
+        nextStep: 'Reload VS Code, then start the "linkedin" server from the MCP servers list.'
+    },
+    'windsurf': {
+        label: 'Windsurf',
+        configPath: () => path.join(os.homedir(), '.codeium', 'windsurf', 'mcp_config.json'),
+        serversKey: 'mcpServers',
+        nextStep: 'Refresh MCP servers in Windsurf (Cascade > MCP servers) or restart it.'
+    },
+    'claude-code': {
+        label: 'Claude Code',
+        configPath: () => path.join(os.homedir(), '.claude.json'),
+        serversKey: 'mcpServers',
+        entryFields: { type: 'stdio' },
+        nextStep: 'Start a new Claude Code session; `/mcp` lists the server.'
+    },
+    'generic': {
+        label: 'any MCP client',
+        serversKey: 'mcpServers'
+    }
+};
+
+// Written into client configs by older versions of setup when no key was given
+const apiKeyPlaceholder = "PASTE_YOUR_API_KEY_HERE";
+
+// The key is not part of the entry; the server reads it from the credentials file. An entry can
+// be pinned to one stored account, e.g. a separate client for each person the team posts for.
+function buildServerEntry(client, accountName) {
     const isWindows = os.platform() === 'win32';
-    configData.mcpServers['linkedin'] = {
+    return {
+        ...(client.entryFields || {}),
         command: isWindows ? "cmd" : "npx",
         args: isWindows ? ["/c", "npx", "-y", publishedPackageName] : ["-y", publishedPackageName],
-        env: { "LINKEDIN_MCP_API_KEY": apiKeyToUse }
+        ...(accountName ? { env: { "LINKEDIN_MCP_ACCOUNT": accountName } } : {})
     };
+}
+
+// Copy of a client config without the API keys older versions of setup wrote into server entries
+function omitStoredApiKeys(value) {
+    if (Array.isArray(value)) { return value.map(omitStoredApiKeys); }
+    if (!value || typeof value !== 'object') { return value; }
+    return Object.fromEntries(Object.entries(value)
+        .filter(([key, entry]) => key !== 'LINKEDIN_MCP_API_KEY' || entry === apiKeyPlaceholder)
+        .map(([key, entry]) => [key, omitStoredApiKeys(entry)]));
+}
+
+// Saves an existing config aside (e.g. mcp.json.bak-20250101-120000) before it is rewritten. Keys
+// are left out of the backup, which would otherwise keep the secret we are moving out of the file.
+async function backupConfigFile(configPath) {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+    const backupPath = `${configPath}.bak-${timestamp}`;
+    const [raw, stat] = await Promise.all([fs.readFile(configPath, 'utf8'), fs.stat(configPath)]);
+    let content = raw;
+    try {
+        content = `${JSON.stringify(omitStoredApiKeys(JSON.parse(raw)), null, 2)}\n`;
+    } catch (e) {
+        // Not JSON, so there is no entry a key could be in; keep the file as it was
+    }
+    await fs.writeFile(backupPath, content, { mode: stat.mode & 0o777 });
+    return backupPath;
+}
+
+async function runSetup(apiKeyFromArg, clientName = 'claude-desktop', accountName = null) {
+    const client = setupClients[clientName];
+    if (!client) {
+        console.error(`Error: Unknown client '${clientName}'. Choose one of: ${Object.keys(setupClients).join(', ')}.`);
+        process.exit(1);
+    }
+    requireValidAccountName(accountName);
+    if (apiKeyFromArg) {
+        await saveAccountKey(accountName || defaultAccountName, apiKeyFromArg);
+        console.log(`API key for account '${accountName || defaultAccountName}' saved to ${getCredentialsPath()} (owner-only).`);
+    }
+    const loginStep = `npx ${publishedPackageName} login${accountName ? ` --account ${accountName}` : ''}`;
+    const hasKey = () => Boolean(loadCredentials().accounts[accountName || loadCredentials().defaultAccount]);
+    if (!client.configPath) {
+        const snippet = { [client.serversKey]: { linkedin: buildServerEntry(client, accountName) } };
+        console.log(`Add this server to your MCP client's configuration (some clients call the key "servers"):\n`);
+        console.log(JSON.stringify(snippet, null, 2));
+        if (!hasKey()) { console.log(`\nThen run \`${loginStep}\` to store your API key.`); }
+        return;
+    }
+
+    console.log(`Running ${packageName} setup for ${client.label}...`);
+    const configPath = client.configPath();
+    console.log(`Target ${client.label} config file: ${configPath}`);
+    let configData = {};
+    const configExists = await fs.pathExists(configPath);
     try {
+        if (configExists) { configData = await fs.readJson(configPath); }
+    } catch (err) { console.error(`Error reading config (fix or move the file, then run setup again): ${err}`); process.exit(1); }
+    if (!configData[client.serversKey]) { configData[client.serversKey] = {}; }
+    // Entries written by older versions carry the key in `env`; move it to the credentials file
+    const legacyKey = configData[client.serversKey].linkedin?.env?.LINKEDIN_MCP_API_KEY;
+    if (!apiKeyFromArg && legacyKey && legacyKey !== apiKeyPlaceholder && !hasKey()) {
+        await saveAccountKey(accountName || defaultAccountName, legacyKey);
+        console.log(`Moved the API key from ${configPath} to ${getCredentialsPath()}.`);
+    }
+    configData[client.serversKey].linkedin = buildServerEntry(client, accountName);
+    try {
+        if (configExists) {
+            console.log(`Previous config backed up to ${await backupConfigFile(configPath)}`);
+        }
         await fs.ensureDir(path.dirname(configPath));
         await fs.writeJson(configPath, configData, { spaces: 2 });
         console.log("Configuration updated!");
         console.log("\n----------------------------------------------------------");
-        if (apiKeyFromArg) {
-            console.log("SUCCESS! Restart Claude Desktop app.");
+        if (hasKey()) {
+            console.log(`SUCCESS! ${client.nextStep}`);
         } else {
-            console.log("ACTION REQUIRED: Open file and PASTE YOUR API KEY:");
-            console.log(configPath);
-            console.log("Then restart Claude Desktop app.");
+            console.log("ACTION REQUIRED: Store your API key with:");
+            console.log(loginStep);
+            console.log(`Then: ${client.nextStep}`);
         }
         console.log("----------------------------------------------------------\n");
     } catch (err) { console.error(`Error writing config: ${err}`); process.exit(1); }
 }
 
-// MCP Server Functions
-function sendResponse(response) {
-  const responseString = JSON.stringify(response);
-  console.log(responseString);
+// Reads the key without echoing it: everything readline would print after the prompt is dropped
+async function promptForApiKey() {
+    let muted = false;
+    const output = new Writable({
+        write: (chunk, encoding, callback) => {
+            if (!muted) { process.stdout.write(chunk, encoding); }
+            callback();
+        }
+    });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+    try {
+        return await new Promise(resolve => {
+            rl.question('Paste your LiGo API key (input is hidden): ', resolve);
+            muted = true;
+            rl.once('close', () => resolve(''));
+        });
+    } finally {
+        rl.close();
+        process.stdout.write('\n');
+    }
 }
 
-async function handleRequest(request) {
-  if (!request || typeof request !== 'object' || request.jsonrpc !== '2.0' || !request.id === undefined || typeof request.method !== 'string') {
-     const id = request?.id ?? null;
-     if(id !== null && request?.method !== 'initialize') {
-         sendResponse({ jsonrpc: "2.0", error: { code: -32600, message: "Invalid Request Structure" }, id });
-         return;
-     }
-     if(id === null && request?.method !== 'initialize') return;
-  }
-
-  const { method, params, id } = request;
-
-  // Handle Initialize Method
-  if (method === 'initialize') {
-      sendResponse({
-          jsonrpc: "2.0",
-          id: id,
-          result: {
-              protocolVersion: "2024-11-05",
-              capabilities: {
-                  experimental: {},
-                  prompts: { listChanged: false },
-                  resources: { subscribe: false, listChanged: false },
-                  tools: { listChanged: false }
-              },
-              serverInfo: {
-                  name: publishedPackageName,
-                  version: packageVersion
-              }
-          }
-      });
-      console.error(`${packageName}: Sent detailed initialize response.`);
-      console.error(`${packageName}: Returned from initialize handler.`); 
-      return;
-  }
+// Checks a new key against the backend. Only a rejected key stops us; an unreachable backend or a
+// missing LinkedIn URL is reported but the key is still saved.
+async function verifyNewApiKey(apiKey) {
+    const result = await checkBackendKey(apiKey);
+    if (result.rejected) {
+        console.error(`Error: The backend rejected API key ${maskApiKey(apiKey)}: ${result.detail}. Nothing was saved.`);
+        return false;
+    }
+    console.log(result.ok ? `Verified: ${result.detail}.` : `Warning: could not fully verify the key: ${result.detail}.`);
+    return true;
+}
 
-  // Handle tools/call Method
-  if (method === 'tools/call') {
-      if (!params || typeof params !== 'object') {
-          sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid params for tools/call" }, id });
-          return;
-      }
-      const { name, arguments: args } = params;
+// Removes API keys written into client configs by older versions of `setup`; they would
+// otherwise override the stored credentials
+async function removeKeysFromClientConfigs() {
+    for (const { client, configPath, configData, entry } of await inspectClientConfigs()) {
+        if (!entry?.env?.LINKEDIN_MCP_API_KEY) { continue; }
+        const backupPath = await backupConfigFile(configPath);
+        delete entry.env.LINKEDIN_MCP_API_KEY;
+        if (Object.keys(entry.env).length === 0) { delete entry.env; }
+        await fs.writeJson(configPath, configData, { spaces: 2 });
+        console.log(`Removed the API key from ${client.label} (${configPath}); backup at ${backupPath}`);
+    }
+}
 
-      if (name === 'publish_linkedin_post') {
-          console.error(`${packageName}: Received call for publish_linkedin_post tool.`);
-          const apiKey = process.env.LINKEDIN_MCP_API_KEY;
-          const postText = args?.post_text;
-          const media = args?.media;
+function requireValidAccountName(accountName) {
+    if (accountName !== null && !/^[A-Za-z0-9_.-]+$/.test(accountName)) {
+        console.error(`Error: Invalid account name '${accountName}'. Use letters, digits, '-', '_' and '.'.`);
+        process.exit(1);
+    }
+}
 
-          if (!apiKey) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32001, message: "Server Configuration Error: API Key not set." }, id });
-              return;
-          }
-          if (typeof postText !== 'string' || postText.trim() === '') {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'post_text' (string) required." }, id });
-              return;
-          }
-          if (media && (!Array.isArray(media) || media.some(item => !item || typeof item !== 'object' || typeof item.file_url !== 'string' || typeof item.filename !== 'string'))) {
-               sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'media' must be an array of objects, each with 'file_url' and 'filename' strings." }, id });
-               return;
-          }
+async function runLogin(apiKeyFromArg, accountName = null) {
+    requireValidAccountName(accountName);
+    const name = accountName || loadCredentials().defaultAccount || defaultAccountName;
+    const apiKey = (apiKeyFromArg || await promptForApiKey()).trim();
+    if (!apiKey) {
+        console.error(`Error: No API key given. Use \`npx ${publishedPackageName} login --api-key <key>\` or paste it when asked.`);
+        process.exit(1);
+    }
+    if (!await verifyNewApiKey(apiKey)) { process.exit(1); }
+    await saveAccountKey(name, apiKey);
+    const credentials = loadCredentials();
+    console.log(`Logged in as account '${name}'${credentials.defaultAccount === name ? ' (default)' : ''}. API key ${maskApiKey(apiKey)} saved to ${getCredentialsPath()} (owner-only).`);
+    if (process.env.LINKEDIN_MCP_API_KEY) {
+        console.log('Note: LINKEDIN_MCP_API_KEY is set in this shell and takes precedence over the saved key.');
+    }
+}
 
-          try {
-              const headers = { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json", "Accept": "application/json" };
-              const payload = { 
-                "post_text": postText,
-                "media": media || []
-               };
-              console.error(`${packageName}: Calling backend API: ${backendApiUrl} with payload:`, JSON.stringify(payload, null, 2));
-              const apiResponse = await axios.post(backendApiUrl, payload, { headers, timeout: 60000 });
-              console.error(`${packageName}: Backend API response status: ${apiResponse.status}`);
-              console.error(`${packageName}: Backend API response data:`, JSON.stringify(apiResponse.data, null, 2));
-
-              if (apiResponse.data && apiResponse.data.success) {
-                  // Include post_urn from backend if available
-                  const postDetails = apiResponse.data.post_urn ? 
-                    ` (Post ID: ${apiResponse.data.post_urn})` : '';
-                  
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: { 
-                      content: [
-                        {
-                          type: "text",
-                          text: `✅ Successfully published post to LinkedIn${postDetails}.`
-                        }
-                      ],
-                      isError: false
-                    }, 
-                    id 
-                  });
-              } else {
-                  const errorMessage = apiResponse.data?.error || "Backend API Error (no detail)";
-                  console.error(`${packageName}: Backend API Error: ${errorMessage}`);
-                  // Report error within the result object
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: {
-                      content: [
-                        {
-                          type: "text",
-                          text: `Failed to publish post to LinkedIn: ${errorMessage}`
-                        }
-                      ],
-                      isError: true // Indicate tool execution error
-                    }, 
-                    id 
-                  });
-              }
+async function runRotateKey(apiKeyFromArg, accountName = null) {
+    const credentials = loadCredentials();
+    const name = accountName || credentials.defaultAccount;
+    const previousKey = credentials.accounts[name]?.apiKey;
+    if (accountName && !previousKey) {
+        console.error(`Error: Unknown account '${accountName}'. Use \`login --account ${accountName}\` to add it.`);
+        process.exit(1);
+    }
+    const apiKey = (apiKeyFromArg || await promptForApiKey()).trim();
+    if (!apiKey) {
+        console.error(`Error: No API key given. Use \`npx ${publishedPackageName} rotate-key --api-key <new key>\`.`);
+        process.exit(1);
+    }
+    if (apiKey === previousKey) {
+        console.error('Error: That is the key already saved. Generate a new key in LiGo first.');
+        process.exit(1);
+    }
+    if (!await verifyNewApiKey(apiKey)) { process.exit(1); }
+    await saveAccountKey(name || defaultAccountName, apiKey);
+    await removeKeysFromClientConfigs();
+    console.log(`API key for account '${name || defaultAccountName}' rotated${previousKey ? ` from ${maskApiKey(previousKey)}` : ''} to ${maskApiKey(apiKey)}. Revoke the old key in LiGo once your clients have restarted.`);
+}
 
-          } catch (error) {
-              let errorMessage = `Failed to call backend API: ${error.message}`;
-              // Preserve the original error message from the backend if available
-              if (error.response) {
-                  // Extract the error message directly from the backend response
-                  const backendError = error.response.data?.error || error.response.data?.message;
-                  errorMessage = backendError || `Backend API Error (Status ${error.response.status})`;
-                  console.error(`${packageName}: Backend API Error Response:`, error.response.data); 
-              } else if (error.request) {
-                  errorMessage = "No response received from backend API.";
-              }
-              console.error(`${packageName}: ${errorMessage}`);
-              
-              // Report error within the result object
-              sendResponse({ 
-                jsonrpc: "2.0", 
-                result: { 
-                  content: [
-                    {
-                      type: "text",
-                      text: `Failed to publish post to LinkedIn: ${errorMessage}`
-                    }
-                  ],
-                  isError: true // Indicate tool execution error
-                }, 
-                id 
-              });
-          }
-      } else if (name === 'schedule_linkedin_post') {
-          console.error(`${packageName}: Received call for schedule_linkedin_post tool.`);
-          const apiKey = process.env.LINKEDIN_MCP_API_KEY;
-          const postText = args?.post_text;
-          const scheduledDate = args?.scheduled_date;
-          const media = args?.media;
-
-          if (!apiKey) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32001, message: "Server Configuration Error: API Key not set." }, id });
-              return;
-          }
-          if (typeof postText !== 'string' || postText.trim() === '') {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'post_text' (string) required." }, id });
-              return;
-          }
-          if (typeof scheduledDate !== 'string' || scheduledDate.trim() === '') {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'scheduled_date' (ISO 8601 string) required." }, id });
-              return;
-          }
-          if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/.test(scheduledDate)) {
-             sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'scheduled_date' must be a valid ISO 8601 string (e.g., 2025-12-31T10:00:00Z)." }, id });
-             return;
-           }
-          if (media && (!Array.isArray(media) || media.some(item => !item || typeof item !== 'object' || typeof item.file_url !== 'string' || typeof item.filename !== 'string'))) {
-               sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'media' must be an array of objects, each with 'file_url' and 'filename' strings." }, id });
-               return;
-          }
+// Without --account every stored account is removed
+async function runLogout(accountName = null) {
+    const credentials = loadCredentials();
+    if (accountName) {
+        if (!credentials.accounts[accountName]) {
+            console.log(`No saved account '${accountName}'.`);
+            return;
+        }
+        delete credentials.accounts[accountName];
+        if (credentials.defaultAccount === accountName) {
+            credentials.defaultAccount = Object.keys(credentials.accounts)[0] || null;
+        }
+        await saveCredentials(credentials);
+        console.log(`Logged out of account '${accountName}'.${credentials.defaultAccount ? ` The default account is now '${credentials.defaultAccount}'.` : ''}`);
+        return;
+    }
+    const credentialsPath = getCredentialsPath();
+    const hadCredentials = await fs.pathExists(credentialsPath);
+    await fs.remove(credentialsPath);
+    await removeKeysFromClientConfigs();
+    console.log(hadCredentials ? `Logged out. Removed ${credentialsPath}.` : 'No saved API key found.');
+    if (process.env.LINKEDIN_MCP_API_KEY) {
+        console.log('Note: LINKEDIN_MCP_API_KEY is still set in this shell.');
+    }
+}
 
-          try {
-              const headers = { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json", "Accept": "application/json" };
-              const payload = {
-                "post_text": postText,
-                "scheduled_date": scheduledDate,
-                "media": media || []
-               };
-              console.error(`${packageName}: Calling backend schedule API: ${backendScheduleApiUrl} with payload:`, JSON.stringify(payload, null, 2));
-              const apiResponse = await axios.post(backendScheduleApiUrl, payload, { headers, timeout: 60000 });
-              console.error(`${packageName}: Backend schedule API response status: ${apiResponse.status}`);
-              console.error(`${packageName}: Backend schedule API response data:`, JSON.stringify(apiResponse.data, null, 2));
-
-              if (apiResponse.data && apiResponse.data.success) {
-                   const scheduleDetails = apiResponse.data.scheduled_job_id ?
-                     ` (Scheduled Job ID: ${apiResponse.data.scheduled_job_id})` : '';
-                   sendResponse({
-                     jsonrpc: "2.0",
-                     result: {
-                       content: [
-                         {
-                           type: "text",
-                           text: `✅ Successfully scheduled post for LinkedIn${scheduleDetails}.`
-                         }
-                       ],
-                       isError: false
-                     },
-                     id
-                   });
-              } else {
-                  const errorMessage = apiResponse.data?.error || "Backend API Error (no detail)";
-                  console.error(`${packageName}: Backend Schedule API Error: ${errorMessage}`);
-                  sendResponse({
-                    jsonrpc: "2.0",
-                    result: {
-                      content: [
-                        {
-                          type: "text",
-                          text: `Failed to schedule post for LinkedIn: ${errorMessage}`
-                        }
-                      ],
-                      isError: true // Indicate tool execution error
-                    },
-                    id
-                  });
-              }
+// Arguments that only make sense per call, so they can't be account defaults. A default
+// idempotency_key would turn every later post into a replay of the first.
+const perCallArguments = new Set(['account', 'idempotency_key']);
 
-          } catch (error) {
-              let errorMessage = `Failed to call backend schedule API: ${error.message}`;
-              if (error.response) {
-                  // Extract the error message directly from the backend response
-                  const backendError = error.response.data?.error || error.response.data?.message;
-                  errorMessage = backendError || `Backend API Error (Status ${error.response.status})`;
-                  console.error(`${packageName}: Backend Schedule API Error Response:`, error.response.data);
-              } else if (error.request) {
-                  errorMessage = "No response received from backend schedule API.";
-              }
-              console.error(`${packageName}: ${errorMessage}`);
-
-              sendResponse({
-                jsonrpc: "2.0",
-                result: {
-                  content: [
-                    {
-                      type: "text",
-                      text: `Failed to schedule post for LinkedIn: ${errorMessage}`
-                    }
-                  ],
-                  isError: true // Indicate tool execution error
-                },
-                id
-              });
-          }
-      } else if (name === 'publish_twitter_post') {
-          console.error(`${packageName}: Received call for publish_twitter_post tool.`);
-          const apiKey = process.env.LINKEDIN_MCP_API_KEY;
-          const postText = args?.post_text;
-
-          if (!apiKey) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32001, message: "Server Configuration Error: API Key not set." }, id });
-              return;
-          }
-          if (typeof postText !== 'string' || postText.trim() === '') {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'post_text' (string) required." }, id });
-              return;
-          }
+// Parses "key=value"; values that look like JSON (numbers, booleans, ...) are stored as such
+function parseDefaultAssignment(assignment) {
+    const separator = assignment.indexOf('=');
+    if (separator <= 0) { return null; }
+    const rawValue = assignment.substring(separator + 1);
+    let value = rawValue;
+    try { value = JSON.parse(rawValue); } catch (e) {}
+    return [assignment.substring(0, separator), value];
+}
 
-          try {
-              const headers = { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json", "Accept": "application/json" };
-              const payload = { 
-                "post_text": postText
-              };
-              console.error(`${packageName}: Calling Twitter API: ${backendTwitterApiUrl} with payload:`, JSON.stringify(payload, null, 2));
-              const apiResponse = await axios.post(backendTwitterApiUrl, payload, { headers, timeout: 60000 });
-              console.error(`${packageName}: Twitter API response status: ${apiResponse.status}`);
-              console.error(`${packageName}: Twitter API response data:`, JSON.stringify(apiResponse.data, null, 2));
-
-              if (apiResponse.data && apiResponse.data.success) {
-                  // Include tweet_id from backend if available
-                  const tweetDetails = apiResponse.data.tweet_id ? 
-                    ` (Tweet ID: ${apiResponse.data.tweet_id})` : '';
-                  
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: { 
-                      content: [
-                        {
-                          type: "text",
-                          text: `✅ Successfully published tweet to Twitter${tweetDetails}.`
-                        }
-                      ],
-                      isError: false
-                    }, 
-                    id 
-                  });
-              } else {
-                  const errorMessage = apiResponse.data?.error || "Backend API Error (no detail)";
-                  console.error(`${packageName}: Twitter API Error: ${errorMessage}`);
-                  // Report error within the result object
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: {
-                      content: [
-                        {
-                          type: "text",
-                          text: `Failed to publish tweet to Twitter: ${errorMessage}`
-                        }
-                      ],
-                      isError: true
-                    }, 
-                    id 
-                  });
-              }
+// accounts                          list stored accounts
+// accounts use <name>               make <name> the default account
+// accounts set <name> key=value...  set tool argument defaults for <name>
+// accounts unset <name> key...      remove tool argument defaults
+async function runAccounts(args) {
+    const [action, accountName, ...rest] = args;
+    const credentials = loadCredentials();
+    if (!action) {
+        console.log(formatAccountsList(credentials));
+        return;
+    }
+    const account = credentials.accounts[accountName];
+    if (!['use', 'set', 'unset'].includes(action) || !accountName) {
+        console.error('Usage: accounts [use <name> | set <name> key=value... | unset <name> key...]');
+        process.exit(1);
+    }
+    if (!account) {
+        console.error(`Error: Unknown account '${accountName}'. Known accounts: ${Object.keys(credentials.accounts).join(', ') || 'none'}.`);
+        process.exit(1);
+    }
+    if (action === 'use') {
+        credentials.defaultAccount = accountName;
+        console.log(`'${accountName}' is now the default account.`);
+    } else if (action === 'set') {
+        const assignments = rest.map(parseDefaultAssignment);
+        if (assignments.length === 0 || assignments.includes(null)) {
+            console.error('Usage: accounts set <name> key=value...');
+            process.exit(1);
+        }
+        const perCall = assignments.filter(([key]) => perCallArguments.has(key));
+        if (perCall.length > 0) {
+            console.error(`Error: ${perCall.map(([key]) => `'${key}'`).join(', ')} cannot be a default; pass it with each call.`);
+            process.exit(1);
+        }
+        account.defaults = { ...account.defaults, ...Object.fromEntries(assignments) };
+        console.log(`Defaults for '${accountName}': ${JSON.stringify(account.defaults)}`);
+    } else {
+        rest.forEach(key => { delete account.defaults?.[key]; });
+        console.log(`Defaults for '${accountName}': ${JSON.stringify(account.defaults || {})}`);
+    }
+    await saveCredentials(credentials);
+}
 
-          } catch (error) {
-              let errorMessage = `Failed to call Twitter API: ${error.message}`;
-              // Determine a user-facing error message based on the error type
-              if (error.response) {
-                  // Extract the error message directly from the backend response
-                  const backendError = error.response.data?.error || error.response.data?.message;
-                  errorMessage = backendError || `Twitter API Error (Status ${error.response.status})`;
-                  console.error(`${packageName}: Twitter API Error Response:`, error.response.data); 
-              } else if (error.request) {
-                  errorMessage = "No response received from Twitter API.";
-              }
-              console.error(`${packageName}: ${errorMessage}`);
-              
-              // Report error within the result object
-              sendResponse({ 
-                jsonrpc: "2.0", 
-                result: { 
-                  content: [
-                    {
-                      type: "text",
-                      text: `Failed to publish tweet to Twitter: ${errorMessage}`
-                    }
-                  ],
-                  isError: true
-                }, 
-                id 
-              });
-          }
-      } else if (name === 'analyze_linkedin_chat') {
-          console.error(`${packageName}: Received call for analyze_linkedin_chat tool.`);
-          const apiKey = process.env.LINKEDIN_MCP_API_KEY;
-          const query = args?.query;
-          const conversationHistory = args?.conversation_history || [];
-
-          if (!apiKey) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32001, message: "Server Configuration Error: API Key not set." }, id });
-              return;
-          }
-          if (typeof query !== 'string' || query.trim() === '') {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'query' (string) required." }, id });
-              return;
-          }
-          if (!Array.isArray(conversationHistory)) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'conversation_history' must be an array." }, id });
-              return;
-          }
+// Backend API
+class McpError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
 
-          try {
-              const headers = { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json", "Accept": "application/json" };
-              const payload = { 
-                "query": query,
-                "conversation_history": conversationHistory
-              };
-              console.error(`${packageName}: Calling analyze chat API: ${backendAnalyzeChatApiUrl} with payload:`, JSON.stringify(payload, null, 2));
-              const apiResponse = await axios.post(backendAnalyzeChatApiUrl, payload, { headers, timeout: 60000 });
-              console.error(`${packageName}: Analyze chat API response status: ${apiResponse.status}`);
-              console.error(`${packageName}: Analyze chat API response data:`, JSON.stringify(apiResponse.data, null, 2));
-
-              if (apiResponse.data && apiResponse.data.reply) {
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: { 
-                      content: [
-                        {
-                          type: "text",
-                          text: apiResponse.data.reply
-                        }
-                      ],
-                      isError: false
-                    }, 
-                    id 
-                  });
-              } else {
-                  const errorMessage = apiResponse.data?.error || "Backend API Error (no detail)";
-                  console.error(`${packageName}: Analyze chat API Error: ${errorMessage}`);
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: {
-                      content: [
-                        {
-                          type: "text",
-                          text: `Failed to analyze LinkedIn chat: ${errorMessage}`
-                        }
-                      ],
-                      isError: true
-                    }, 
-                    id 
-                  });
-              }
+class BackendError extends Error {
+    // `transient` marks failures worth falling back on (no response, 429, 5xx), as opposed to the
+    // backend rejecting the request
+    constructor(message, { hint = '', transient = false } = {}) {
+        super(message);
+        this.hint = hint;
+        this.transient = transient;
+    }
+}
 
-          } catch (error) {
-              let errorMessage = `Failed to call analyze chat API: ${error.message}`;
-              if (error.response) {
-                  // Extract the error message directly from the backend response
-                  const backendError = error.response.data?.error || error.response.data?.message;
-                  errorMessage = backendError || `Backend API Error (Status ${error.response.status})`;
-                  console.error(`${packageName}: Analyze chat API Error Response:`, error.response.data); 
-              } else if (error.request) {
-                  errorMessage = "No response received from analyze chat API.";
-              }
-              console.error(`${packageName}: ${errorMessage}`);
-              
-              sendResponse({ 
-                jsonrpc: "2.0", 
-                result: { 
-                  content: [
-                    {
-                      type: "text",
-                      text: `Failed to analyze LinkedIn chat: ${errorMessage}`
-                    }
-                  ],
-                  isError: true
-                }, 
-                id 
-              });
-          }
-      } else if (name === 'generate_linkedin_post') {
-          console.error(`${packageName}: Received call for generate_linkedin_post tool.`);
-          const apiKey = process.env.LINKEDIN_MCP_API_KEY;
-          const content = args?.content;
-          const contentType = args?.content_type || 'article';
-
-          if (!apiKey) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32001, message: "Server Configuration Error: API Key not set." }, id });
-              return;
-          }
-          if (typeof content !== 'string' || content.trim() === '') {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'content' (string) required." }, id });
-              return;
-          }
+// Retries and circuit breaker for backend calls. Idempotent endpoints are retried on network
+// errors, 408/429/5xx with exponential backoff and full jitter, honouring Retry-After. Publishing
+// endpoints are only retried when the caller supplied an idempotency key, so a timeout after the
+// backend already posted can never produce a duplicate post.
+const retryConfig = runnerConfig.retry || {};
+const retrySettings = {
+    maxRetries: Number(process.env.LINKEDIN_MCP_MAX_RETRIES ?? retryConfig.maxRetries ?? 3),
+    baseDelayMs: Number(retryConfig.baseDelayMs ?? 500),
+    maxDelayMs: Number(retryConfig.maxDelayMs ?? 8000),
+    // Retry-After values beyond this are reported instead of waited out
+    maxRetryAfterMs: Number(retryConfig.maxRetryAfterMs ?? 30000)
+};
+const backendRetryPolicies = {
+    idempotent: { retryWithoutKey: true },
+    nonIdempotent: { retryWithoutKey: false }
+};
+const retryableStatuses = [408, 429, 500, 502, 503, 504];
 
-          try {
-              const headers = { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json", "Accept": "application/json" };
-              const payload = { 
-                "content": content,
-                "contentType": contentType
-              };
-              console.error(`${packageName}: Calling generate post API: ${backendGeneratePostApiUrl} with payload:`, JSON.stringify(payload, null, 2));
-              const apiResponse = await axios.post(backendGeneratePostApiUrl, payload, { headers, timeout: 60000 });
-              console.error(`${packageName}: Generate post API response status: ${apiResponse.status}`);
-              console.error(`${packageName}: Generate post API response data:`, JSON.stringify(apiResponse.data, null, 2));
-
-              if (apiResponse.data && apiResponse.data.success) {
-                  if (apiResponse.data.variants && Array.isArray(apiResponse.data.variants)) {
-                      // Handle the case where we get an array of variant posts
-                      const variants = apiResponse.data.variants;
-                      
-                      // Create content items - first a text description, then one item for each variant
-                      const contentItems = [
-                          {
-                              type: "text",
-                              text: `Generated ${variants.length} LinkedIn post variants:`
-                          }
-                      ];
-                      
-                      // Add each variant as a separate text item for better formatting
-                      variants.forEach((variant, index) => {
-                          contentItems.push({
-                              type: "text",
-                              text: `Option ${index + 1}:\n${variant}`
-                          });
-                      });
-                      
-                      sendResponse({ 
-                          jsonrpc: "2.0", 
-                          result: { 
-                              content: contentItems,
-                              isError: false
-                          }, 
-                          id 
-                      });
-                  } else {
-                      // Fallback for backward compatibility
-                      sendResponse({ 
-                          jsonrpc: "2.0", 
-                          result: { 
-                              content: [
-                                  {
-                                      type: "text",
-                                      text: apiResponse.data.message || "Successfully generated LinkedIn post, but no variants were returned. Please check the backend implementation."
-                                  }
-                              ],
-                              isError: false
-                          }, 
-                          id 
-                      });
-                  }
-              } else {
-                  const errorMessage = apiResponse.data?.error || "Backend API Error (no detail)";
-                  console.error(`${packageName}: Generate post API Error: ${errorMessage}`);
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: {
-                      content: [
-                        {
-                          type: "text",
-                          text: `Failed to generate LinkedIn post: ${errorMessage}`
-                        }
-                      ],
-                      isError: true
-                    }, 
-                    id 
-                  });
-              }
+const circuitConfig = runnerConfig.circuitBreaker || {};
+const circuitBreaker = {
+    failureThreshold: Number(circuitConfig.failureThreshold ?? 5),
+    cooldownMs: Number(circuitConfig.cooldownSeconds ?? 30) * 1000,
+    consecutiveFailures: 0,
+    openUntil: 0
+};
 
-          } catch (error) {
-              let errorMessage = `Failed to call generate post API: ${error.message}`;
-              if (error.response) {
-                  // Extract the error message directly from the backend response
-                  const backendError = error.response.data?.error || error.response.data?.message;
-                  errorMessage = backendError || `Backend API Error (Status ${error.response.status})`;
-                  console.error(`${packageName}: Generate post API Error Response:`, error.response.data); 
-              } else if (error.request) {
-                  errorMessage = "No response received from generate post API.";
-              }
-              console.error(`${packageName}: ${errorMessage}`);
-              
-              sendResponse({ 
-                jsonrpc: "2.0", 
-                result: { 
-                  content: [
-                    {
-                      type: "text",
-                      text: `Failed to generate LinkedIn post: ${errorMessage}`
-                    }
-                  ],
-                  isError: true
-                }, 
-                id 
-              });
-          }
-      } else if (name === 'get_linkedin_posts') {
-          console.error(`${packageName}: Received call for get_linkedin_posts tool.`);
-          const apiKey = process.env.LINKEDIN_MCP_API_KEY;
-          const limit = args?.limit || 5;
-
-          if (!apiKey) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32001, message: "Server Configuration Error: API Key not set." }, id });
-              return;
-          }
-          if (typeof limit !== 'number' || limit < 1 || limit > 20) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'limit' must be a number between 1 and 20." }, id });
-              return;
-          }
+class CircuitOpenError extends Error {}
 
-          try {
-              const headers = { 
-                "Authorization": `Bearer ${apiKey}`, 
-                "Content-Type": "application/json", 
-                "Accept": "*/*" // Accept any content type
-              };
-              const payload = { limit };
-              console.error(`${packageName}: Calling LinkedIn posts API: ${backendLinkedinPostsApiUrl} with payload:`, JSON.stringify(payload, null, 2));
-              const apiResponse = await axios.post(backendLinkedinPostsApiUrl, payload, { headers, timeout: 60000 });
-              console.error(`${packageName}: LinkedIn posts API response status: ${apiResponse.status}`);
-              console.error(`${packageName}: LinkedIn posts API response data:`, JSON.stringify(apiResponse.data, null, 2));
-
-              if (apiResponse.data && apiResponse.data.success) {
-                  // More flexible posts extraction - handle different response structures
-                  const posts = apiResponse.data.posts || [];
-                  
-                  // Safely map over posts with fallback values for missing properties
-                  const formattedPosts = posts.map(post => {
-                      if (!post) return {}; // Skip null/undefined posts
-                      
-                      return {
-                          text: post.text || '',
-                          postedDate: post.postedDate || post.posted_at || '',
-                          postUrl: post.post_url || post.postUrl || '',
-                          reactions: post.total_reactions_count || post.reactions || 0,
-                          comments: post.comments_count || post.comments || 0,
-                          reposts: post.reposts_count || post.reposts || 0
-                      };
-                  }).filter(post => post.text); // Only include posts with text content
-
-                  // Include staleness info if available
-                  const dataInfo = apiResponse.data.data_last_updated || 'Unknown';
-                  const stalenessInfo = apiResponse.data.data_staleness_info || '';
-                  const infoText = stalenessInfo 
-                      ? `Found ${formattedPosts.length} LinkedIn posts. Last updated: ${dataInfo}. ${stalenessInfo}`
-                      : `Found ${formattedPosts.length} LinkedIn posts. Last updated: ${dataInfo}`;
-
-                  // Format posts as text to avoid "unsupported content type: data" error
-                  let postsAsText = formattedPosts.map((post, index) => {
-                    return `Post ${index + 1}:\n` +
-                           `Content: ${post.text}\n` +
-                           `Posted: ${post.postedDate}\n` +
-                           `URL: ${post.postUrl}\n` +
-                           `Metrics: ${post.reactions} reactions, ${post.comments} comments, ${post.reposts} reposts\n`;
-                  }).join('\n\n');
-
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: { 
-                      content: [
-                        {
-                          type: "text",
-                          text: infoText
-                        },
-                        {
-                          type: "text",
-                          text: postsAsText
-                        }
-                      ],
-                      isError: false
-                    }, 
-                    id 
-                  });
-              } else {
-                  // More comprehensive error handling
-                  const errorMessage = apiResponse.data?.error || 
-                                      apiResponse.data?.message ||
-                                      "Backend API Error (no detail)";
-                                      
-                  // Include suggestion if available
-                  const suggestion = apiResponse.data?.suggestion 
-                      ? `\n\nSuggestion: ${apiResponse.data.suggestion}`
-                      : '';
-                                      
-                  console.error(`${packageName}: LinkedIn posts API Error: ${errorMessage}`);
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: {
-                      content: [
-                        {
-                          type: "text",
-                          text: `Failed to get LinkedIn posts: ${errorMessage}${suggestion}`
-                        }
-                      ],
-                      isError: true
-                    }, 
-                    id 
-                  });
-              }
+// The client cancelled the request (notifications/cancelled); nobody is waiting for an answer
+class RequestCancelledError extends Error {
+    constructor() {
+        super('Request cancelled by the client');
+    }
+}
 
-          } catch (error) {
-              let errorMessage = `Failed to call LinkedIn posts API: ${error.message}`;
-              if (error.response) {
-                  // Log complete response for debugging
-                  console.error(`${packageName}: LinkedIn posts API Full Response Headers:`, error.response.headers);
-                  console.error(`${packageName}: LinkedIn posts API Full Response Body:`, error.response.data);
-                  
-                  // Extract error message with all details from the response
-                  const responseData = error.response.data || {};
-                  const extractedError = responseData.error || 
-                                        responseData.message ||
-                                        (typeof responseData === 'string' ? responseData : null);
-                  
-                  // Include any suggestion provided
-                  const suggestion = responseData.suggestion
-                      ? `\n\nSuggestion: ${responseData.suggestion}`
-                      : '';
-                  
-                  // Use the backend's full error message
-                  if (extractedError) {
-                      errorMessage = `${extractedError}${suggestion}`;
-                  } else {
-                      // Fallback with a generic message but including the status
-                      errorMessage = `Backend API Error (Status ${error.response.status}): Unknown error${suggestion}`;
-                  }
-                  
-                  console.error(`${packageName}: LinkedIn posts API Error Response:`, error.response.data); 
-              } else if (error.request) {
-                  errorMessage = "No response received from LinkedIn posts API. The server may be unavailable or experiencing issues.";
-              }
-              console.error(`${packageName}: ${errorMessage}`);
-              
-              sendResponse({ 
-                jsonrpc: "2.0", 
-                result: { 
-                  content: [
-                    {
-                      type: "text",
-                      text: `Failed to get LinkedIn posts: ${errorMessage}`
-                    }
-                  ],
-                  isError: true
-                }, 
-                id 
-              });
-          }
-      } else if (name === 'get_linkedin_profile') {
-          console.error(`${packageName}: Received call for get_linkedin_profile tool.`);
-          const apiKey = process.env.LINKEDIN_MCP_API_KEY;
+// Resolves after `ms`, or rejects with RequestCancelledError as soon as `signal` aborts
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new RequestCancelledError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new RequestCancelledError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
-          if (!apiKey) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32001, message: "Server Configuration Error: API Key not set." }, id });
-              return;
-          }
+function isRetryableBackendError(error) {
+    if (error.response) { return retryableStatuses.includes(error.response.status); }
+    // Our own 60s timeout means the backend is busy; waiting another minute rarely helps
+    return Boolean(error.request) && error.code !== 'ECONNABORTED';
+}
 
-          try {
-              const headers = { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json", "Accept": "application/json" };
-              console.error(`${packageName}: Calling LinkedIn profile API: ${backendLinkedinProfileApiUrl}`);
-              const apiResponse = await axios.post(backendLinkedinProfileApiUrl, {}, { headers, timeout: 60000 });
-              console.error(`${packageName}: LinkedIn profile API response status: ${apiResponse.status}`);
-              console.error(`${packageName}: LinkedIn profile API response data:`, JSON.stringify(apiResponse.data, null, 2));
-
-              if (apiResponse.data && apiResponse.data.success) {
-                  const profile = apiResponse.data.profile || {};
-                  
-                  // Format profile as text to avoid "unsupported content type: data" error
-                  let profileHeadline = profile.headline || 'No headline';
-                  let profileSummary = profile.summary || 'No summary';
-                  
-                  // Format experience entries
-                  let experienceText = 'Experience:';
-                  if (profile.experience && Array.isArray(profile.experience) && profile.experience.length > 0) {
-                      profile.experience.forEach((exp, index) => {
-                          experienceText += `\n\n${index + 1}. ${exp.title || 'Role'} at ${exp.companyName || 'Company'}`;
-                          if (exp.dateRange || exp.duration) {
-                              experienceText += `\n   Duration: ${exp.dateRange || exp.duration || 'Not specified'}`;
-                          }
-                          if (exp.description) {
-                              experienceText += `\n   Description: ${exp.description}`;
-                          }
-                      });
-                  } else {
-                      experienceText += '\n   No experience data available';
-                  }
-                  
-                  // Format education entries
-                  let educationText = '\n\nEducation:';
-                  if (profile.education && Array.isArray(profile.education) && profile.education.length > 0) {
-                      profile.education.forEach((edu, index) => {
-                          educationText += `\n\n${index + 1}. ${edu.schoolName || edu.school || 'Institution'}`;
-                          if (edu.degree || edu.fieldOfStudy) {
-                              educationText += `\n   ${edu.degree || ''} ${edu.fieldOfStudy || ''}`.trim();
-                          }
-                          if (edu.dateRange || edu.dates) {
-                              educationText += `\n   Years: ${edu.dateRange || edu.dates || 'Not specified'}`;
-                          }
-                      });
-                  } else {
-                      educationText += '\n   No education data available';
-                  }
-                  
-                  // Combine all text
-                  const profileText = `Headline: ${profileHeadline}\n\nSummary: ${profileSummary}\n\n${experienceText}${educationText}`;
-                  
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: { 
-                      content: [
-                        {
-                          type: "text",
-                          text: `LinkedIn profile data retrieved. Last updated: ${apiResponse.data.data_last_updated || 'Unknown'}`
-                        },
-                        {
-                          type: "text",
-                          text: profileText
-                        }
-                      ],
-                      isError: false
-                    }, 
-                    id 
-                  });
-              } else {
-                  const errorMessage = apiResponse.data?.error || "Backend API Error (no detail)";
-                  console.error(`${packageName}: LinkedIn profile API Error: ${errorMessage}`);
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: {
-                      content: [
-                        {
-                          type: "text",
-                          text: `Failed to get LinkedIn profile: ${errorMessage}. This may occur if you haven't set your LinkedIn URL yet. Try using the set_linkedin_url tool first.`
-                        }
-                      ],
-                      isError: true
-                    }, 
-                    id 
-                  });
-              }
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfterMs(error) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (!retryAfter) { return null; }
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) { return seconds * 1000; }
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-          } catch (error) {
-              let errorMessage = `Failed to call LinkedIn profile API: ${error.message}`;
-              if (error.response) {
-                  // Extract complete error details from the response
-                  const responseData = error.response.data || {};
-                  const extractedError = responseData.error || 
-                                        responseData.message ||
-                                        (typeof responseData === 'string' ? responseData : null);
-                  
-                  // Include any suggestion provided
-                  const suggestion = responseData.suggestion
-                      ? `\n\nSuggestion: ${responseData.suggestion}`
-                      : '';
-                  
-                  // Use the backend's full error message
-                  if (extractedError) {
-                      errorMessage = `${extractedError}${suggestion}`;
-                  } else {
-                      // Fallback with a generic message but including the status
-                      errorMessage = `Backend API Error (Status ${error.response.status}): Unknown error${suggestion}`;
-                  }
-                  
-                  console.error(`${packageName}: LinkedIn profile API Error Response:`, error.response.data); 
-              } else if (error.request) {
-                  errorMessage = "No response received from LinkedIn profile API. The server may be unavailable or experiencing issues.";
-              }
-              console.error(`${packageName}: ${errorMessage}`);
-              
-              sendResponse({ 
-                jsonrpc: "2.0", 
-                result: { 
-                  content: [
-                    {
-                      type: "text",
-                      text: `Failed to get LinkedIn profile: ${errorMessage}`
-                    }
-                  ],
-                  isError: true
-                }, 
-                id 
-              });
-          }
-      } else if (name === 'set_linkedin_url') {
-          console.error(`${packageName}: Received call for set_linkedin_url tool.`);
-          const apiKey = process.env.LINKEDIN_MCP_API_KEY;
-          const linkedinUrl = args?.linkedin_url;
-
-          if (!apiKey) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32001, message: "Server Configuration Error: API Key not set." }, id });
-              return;
-          }
-          if (typeof linkedinUrl !== 'string' || linkedinUrl.trim() === '') {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid arguments: 'linkedin_url' (string) required." }, id });
-              return;
-          }
+function computeBackoffMs(attempt) {
+    const cap = Math.min(retrySettings.maxDelayMs, retrySettings.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * cap);
+}
 
-          try {
-              const headers = { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json", "Accept": "application/json" };
-              const payload = { linkedin_url: linkedinUrl };
-              console.error(`${packageName}: Calling set LinkedIn URL API: ${backendLinkedinSetUrlApiUrl} with payload:`, JSON.stringify(payload, null, 2));
-              const apiResponse = await axios.post(backendLinkedinSetUrlApiUrl, payload, { headers, timeout: 60000 });
-              console.error(`${packageName}: Set LinkedIn URL API response status: ${apiResponse.status}`);
-              console.error(`${packageName}: Set LinkedIn URL API response data:`, JSON.stringify(apiResponse.data, null, 2));
-
-              if (apiResponse.data && apiResponse.data.success) {
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: { 
-                      content: [
-                        {
-                          type: "text",
-                          text: apiResponse.data.message || "Successfully set LinkedIn URL."
-                        }
-                      ],
-                      isError: false
-                    }, 
-                    id 
-                  });
-              } else {
-                  const errorMessage = apiResponse.data?.error || "Backend API Error (no detail)";
-                  console.error(`${packageName}: Set LinkedIn URL API Error: ${errorMessage}`);
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: {
-                      content: [
-                        {
-                          type: "text",
-                          text: `Failed to set LinkedIn URL: ${errorMessage}. Please ensure the URL is a valid LinkedIn profile URL (e.g., https://www.linkedin.com/in/username/).`
-                        }
-                      ],
-                      isError: true
-                    }, 
-                    id 
-                  });
-              }
+function checkCircuit(label) {
+    const now = Date.now();
+    if (circuitBreaker.openUntil > now) {
+        const waitSeconds = Math.ceil((circuitBreaker.openUntil - now) / 1000);
+        throw new CircuitOpenError(`Backend appears to be down (${circuitBreaker.consecutiveFailures} consecutive failures); skipping ${label} for another ${waitSeconds}s.`);
+    }
+}
 
-          } catch (error) {
-              let errorMessage = `Failed to call set LinkedIn URL API: ${error.message}`;
-              if (error.response) {
-                  // Extract complete error details from the response
-                  const responseData = error.response.data || {};
-                  const extractedError = responseData.error || 
-                                        responseData.message ||
-                                        (typeof responseData === 'string' ? responseData : null);
-                  
-                  // Use the backend's full error message
-                  if (extractedError) {
-                      errorMessage = extractedError;
-                  } else {
-                      // Fallback with a generic message but including the status
-                      errorMessage = `Backend API Error (Status ${error.response.status}): Unknown error`;
-                  }
-                  
-                  console.error(`${packageName}: Set LinkedIn URL API Error Response:`, error.response.data); 
-              } else if (error.request) {
-                  errorMessage = "No response received from set LinkedIn URL API. The server may be unavailable or experiencing issues.";
-              }
-              console.error(`${packageName}: ${errorMessage}`);
-              
-              sendResponse({ 
-                jsonrpc: "2.0", 
-                result: { 
-                  content: [
-                    {
-                      type: "text",
-                      text: `Failed to set LinkedIn URL: ${errorMessage}`
-                    }
-                  ],
-                  isError: true
-                }, 
-                id 
-              });
-          }
-      } else if (name === 'refresh_linkedin_profile') {
-          console.error(`${packageName}: Received call for refresh_linkedin_profile tool.`);
-          const apiKey = process.env.LINKEDIN_MCP_API_KEY;
+// Only outages count towards opening the circuit; 4xx answers (incl. 429) show the backend is up
+function recordBackendOutcome(error) {
+    const isOutage = error && (!error.response || error.response.status >= 500);
+    if (!isOutage) {
+        circuitBreaker.consecutiveFailures = 0;
+        return;
+    }
+    circuitBreaker.consecutiveFailures += 1;
+    if (circuitBreaker.consecutiveFailures >= circuitBreaker.failureThreshold) {
+        circuitBreaker.openUntil = Date.now() + circuitBreaker.cooldownMs;
+        log.warning(`Circuit breaker open for ${circuitBreaker.cooldownMs / 1000}s after ${circuitBreaker.consecutiveFailures} consecutive backend failures.`);
+    }
+}
 
-          if (!apiKey) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32001, message: "Server Configuration Error: API Key not set." }, id });
-              return;
-          }
+// `signal` aborts the request in flight and any pending retry; the call then rejects with
+// RequestCancelledError, which neither trips the circuit breaker nor falls back to the cache.
+async function callBackend(endpoint, payload, { apiKey, label, accept = "application/json", retryPolicy = 'idempotent', idempotencyKey, signal }) {
+    registerLogSecret(apiKey);
+    const headers = { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json", "Accept": accept };
+    if (idempotencyKey) { headers["Idempotency-Key"] = idempotencyKey; }
+    const maxRetries = (backendRetryPolicies[retryPolicy].retryWithoutKey || idempotencyKey) ? retrySettings.maxRetries : 0;
 
-          try {
-              const headers = { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json", "Accept": "application/json" };
-              console.error(`${packageName}: Calling refresh LinkedIn profile API: ${backendLinkedinRefreshProfileApiUrl}`);
-              const apiResponse = await axios.post(backendLinkedinRefreshProfileApiUrl, {}, { headers, timeout: 60000 });
-              console.error(`${packageName}: Refresh LinkedIn profile API response status: ${apiResponse.status}`);
-              console.error(`${packageName}: Refresh LinkedIn profile API response data:`, JSON.stringify(apiResponse.data, null, 2));
-
-              if (apiResponse.data && apiResponse.data.success) {
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: { 
-                      content: [
-                        {
-                          type: "text",
-                          text: apiResponse.data.message || "Successfully refreshed LinkedIn profile data."
-                        }
-                      ],
-                      isError: false
-                    }, 
-                    id 
-                  });
-              } else {
-                  const errorMessage = apiResponse.data?.error || "Backend API Error (no detail)";
-                  console.error(`${packageName}: Refresh LinkedIn profile API Error: ${errorMessage}`);
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: {
-                      content: [
-                        {
-                          type: "text",
-                          text: `Failed to refresh LinkedIn profile: ${errorMessage}`
-                        }
-                      ],
-                      isError: true
-                    }, 
-                    id 
-                  });
-              }
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) { throw new RequestCancelledError(); }
+        checkCircuit(label);
+        try {
+            log.debug(`Calling ${label}`, { endpoint, payload, attempt });
+            const apiResponse = await axios.post(endpoint, payload, { headers, timeout: 60000, maxBodyLength: Infinity, signal });
+            log.debug(`${label} responded`, { status: apiResponse.status, data: apiResponse.data });
+            recordBackendOutcome(null);
+            return apiResponse.data;
+        } catch (error) {
+            if (axios.isCancel(error) || signal?.aborted) {
+                log.info(`${label} cancelled by the client.`);
+                throw new RequestCancelledError();
+            }
+            recordBackendOutcome(error);
+            if (attempt >= maxRetries || !isRetryableBackendError(error)) { throw error; }
+            const retryAfterMs = parseRetryAfterMs(error);
+            if (retryAfterMs !== null && retryAfterMs > retrySettings.maxRetryAfterMs) { throw error; }
+            const delayMs = retryAfterMs ?? computeBackoffMs(attempt);
+            const reason = error.response ? `status ${error.response.status}` : (error.code || error.message);
+            log.warning(`${label} failed (${reason}); retry ${attempt + 1}/${maxRetries} in ${delayMs}ms.`);
+            await sleep(delayMs, signal);
+        }
+    }
+}
+
+function formatSuggestion(data) {
+    return data && data.suggestion ? `\n\nSuggestion: ${data.suggestion}` : '';
+}
+
+// Message for a 2xx response whose body reports failure
+function describeBackendFailure(data) {
+    const errorMessage = data?.error || data?.message || "Backend API Error (no detail)";
+    return `${errorMessage}${formatSuggestion(data)}`;
+}
+
+function isTransientBackendError(error) {
+    return error instanceof CircuitOpenError || !error.response || error.response.status === 429 || error.response.status >= 500;
+}
+
+// Message for a rejected axios call, preferring whatever the backend said
+function describeBackendError(error, label) {
+    if (error.response) {
+        log.warning(`${label} error response`, { status: error.response.status });
+        log.debug(`${label} error response body`, { data: error.response.data });
+        const responseData = error.response.data || {};
+        const extractedError = responseData.error ||
+                              responseData.message ||
+                              (typeof responseData === 'string' && responseData.trim() !== '' ? responseData : null);
+        if (extractedError) {
+            return `${extractedError}${formatSuggestion(responseData)}`;
+        }
+        if (error.response.status === 429) {
+            const retryAfterMs = parseRetryAfterMs(error);
+            return `Rate limited by the backend${retryAfterMs !== null ? `; try again in ${Math.ceil(retryAfterMs / 1000)}s` : ''}.`;
+        }
+        return `Backend API Error (Status ${error.response.status}): Unknown error${formatSuggestion(responseData)}`;
+    }
+    if (error.request) {
+        return `No response received from ${label}. The server may be unavailable or experiencing issues.`;
+    }
+    if (error instanceof CircuitOpenError) {
+        return error.message;
+    }
+    return `Failed to call ${label}: ${error.message}`;
+}
+
+// Response Cache
+// The last successful get_linkedin_posts/get_linkedin_profile responses are kept on disk, keyed
+// by API key and LinkedIn URL. When the backend is unreachable we serve the cached copy (up to
+// maxStaleSeconds old) and say how old it is. A TTL > 0 additionally serves fresh entries without
+// calling the backend at all; the refresh tools invalidate entries so that path is skipped.
+const cacheConfig = runnerConfig.cache || {};
+const cacheSettings = {
+    enabled: process.env.LINKEDIN_MCP_CACHE !== 'off' && cacheConfig.enabled !== false,
+    ttlSeconds: {
+        posts: Number(process.env.LINKEDIN_MCP_CACHE_TTL_POSTS ?? cacheConfig.postsTtlSeconds ?? 0),
+        profile: Number(process.env.LINKEDIN_MCP_CACHE_TTL_PROFILE ?? cacheConfig.profileTtlSeconds ?? 0)
+    },
+    maxStaleSeconds: Number(process.env.LINKEDIN_MCP_CACHE_MAX_STALE ?? cacheConfig.maxStaleSeconds ?? 7 * 24 * 3600)
+};
+let responseCache = null;
+
+function getCacheFilePath() {
+    return path.join(getRunnerConfigDir(), 'cache.json');
+}
+
+function loadResponseCache() {
+    if (responseCache) { return responseCache; }
+    responseCache = { linkedinUrls: {}, entries: {} };
+    try {
+        if (fs.existsSync(getCacheFilePath())) {
+            responseCache = { ...responseCache, ...fs.readJsonSync(getCacheFilePath()) };
+        }
+    } catch (e) {
+        log.warning('Could not read response cache; starting empty.', { error: e.message });
+    }
+    return responseCache;
+}
+
+async function saveResponseCache() {
+    try {
+        await fs.ensureDir(getRunnerConfigDir());
+        await fs.writeJson(getCacheFilePath(), responseCache, { spaces: 2, mode: 0o600 });
+    } catch (e) {
+        log.warning('Could not write response cache.', { error: e.message });
+    }
+}
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16);
+}
+
+function getCacheKey(apiKey) {
+    const keyHash = hashApiKey(apiKey);
+    return `${keyHash}|${loadResponseCache().linkedinUrls[keyHash] || 'default'}`;
+}
+
+// Remembering the URL switches the cache key, so data cached for a previous profile is never served
+async function rememberLinkedinUrl(apiKey, linkedinUrl) {
+    if (!cacheSettings.enabled || !linkedinUrl) { return; }
+    const cache = loadResponseCache();
+    const keyHash = hashApiKey(apiKey);
+    const previousUrl = cache.linkedinUrls[keyHash];
+    if (previousUrl === linkedinUrl) { return; }
+    cache.linkedinUrls[keyHash] = linkedinUrl;
+    // Data cached before we knew the URL belongs to it, unless set_linkedin_url just invalidated
+    // it; data for a different URL does not
+    const unclaimed = cache.entries[`${keyHash}|default`];
+    if (!previousUrl && unclaimed) {
+        const carried = Object.entries(unclaimed).filter(([, entry]) => !entry.invalidated);
+        if (carried.length > 0) {
+            cache.entries[`${keyHash}|${linkedinUrl}`] = Object.fromEntries(carried);
+        }
+        delete cache.entries[`${keyHash}|default`];
+    }
+    await saveResponseCache();
+}
+
+function readCachedResponse(kind, apiKey) {
+    if (!cacheSettings.enabled) { return null; }
+    const entry = loadResponseCache().entries[getCacheKey(apiKey)]?.[kind];
+    if (!entry) { return null; }
+    return { ...entry, ageSeconds: Math.max(0, Math.round((Date.now() - new Date(entry.storedAt).getTime()) / 1000)) };
+}
+
+async function storeCachedResponse(kind, apiKey, data, limit) {
+    if (!cacheSettings.enabled) { return; }
+    const cache = loadResponseCache();
+    const cacheKey = getCacheKey(apiKey);
+    cache.entries[cacheKey] = { ...cache.entries[cacheKey], [kind]: { storedAt: new Date().toISOString(), limit, data } };
+    await saveResponseCache();
+}
+
+async function invalidateCachedResponse(kind, apiKey) {
+    const entry = loadResponseCache().entries[getCacheKey(apiKey)]?.[kind];
+    if (!entry || entry.invalidated) { return; }
+    entry.invalidated = true;
+    await saveResponseCache();
+}
+
+function formatAge(seconds) {
+    if (seconds < 60) { return `${seconds}s`; }
+    if (seconds < 3600) { return `${Math.floor(seconds / 60)}m`; }
+    if (seconds < 86400) { return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`; }
+    return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+}
+
+// Served-from-cache label, shown next to data_last_updated/data_staleness_info
+function formatCacheNotice(data) {
+    const cacheInfo = data && data._cache;
+    if (!cacheInfo) { return ''; }
+    if (cacheInfo.fallbackReason) {
+        return ` ⚠️ Served from local cache (cached ${formatAge(cacheInfo.ageSeconds)} ago) because the backend request failed: ${cacheInfo.fallbackReason}`;
+    }
+    return ` Served from local cache (cached ${formatAge(cacheInfo.ageSeconds)} ago).`;
+}
+
+// Cached copy of `kind` for this request, trimmed to `limit` posts; `fallbackReason` marks stale use
+function serveCachedResponse(entry, limit, fallbackReason) {
+    const data = { ...entry.data, _cache: { ageSeconds: entry.ageSeconds, storedAt: entry.storedAt, fallbackReason } };
+    if (limit && Array.isArray(data.posts)) { data.posts = data.posts.slice(0, limit); }
+    return data;
+}
+
+// Argument Validation
+// A small JSON Schema subset, enough for the schemas we declare in the tool registry.
+const schemaPatternMessages = {
+    '\\S': 'must not be blank'
+};
+
+function describeSchemaType(value) {
+    if (Array.isArray(value)) { return 'array'; }
+    if (value === null) { return 'null'; }
+    if (typeof value === 'number' && Number.isInteger(value)) { return 'integer'; }
+    return typeof value;
+}
+
+function matchesSchemaType(type, value) {
+    const actual = describeSchemaType(value);
+    if (type === 'number') { return actual === 'number' || actual === 'integer'; }
+    return actual === type;
+}
+
+function validateAgainstSchema(schema, value, fieldPath) {
+    const label = `'${fieldPath || 'arguments'}'`;
+    if (schema.type && !matchesSchemaType(schema.type, value)) {
+        return [`${label} must be ${schema.type === 'array' || schema.type === 'object' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`];
+    }
+    const problems = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${label} must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string') {
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) { problems.push(`${label} must be at least ${schema.minLength} characters`); }
+        if (schema.maxLength !== undefined && length > schema.maxLength) { problems.push(`${label} must be at most ${schema.maxLength} characters (got ${length})`); }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            problems.push(`${label} ${schemaPatternMessages[schema.pattern] || `must match ${schema.pattern}`}`);
+        }
+        if (schema.format === 'date-time' && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/.test(value)) {
+            problems.push(`${label} must be a valid ISO 8601 string (e.g., 2025-12-31T10:00:00Z)`);
+        }
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) { problems.push(`${label} must be >= ${schema.minimum}`); }
+        if (schema.maximum !== undefined && value > schema.maximum) { problems.push(`${label} must be <= ${schema.maximum}`); }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) { problems.push(`${label} must have at least ${schema.minItems} items`); }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) { problems.push(`${label} must have at most ${schema.maxItems} items`); }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                problems.push(...validateAgainstSchema(schema.items, item, `${fieldPath}[${index}]`));
+            });
+        }
+    }
+    if (describeSchemaType(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                const expected = properties[key]?.type ? ` (${properties[key].type})` : '';
+                problems.push(`'${fieldPath ? `${fieldPath}.` : ''}${key}'${expected} required`);
+            }
+        });
+        Object.keys(value).forEach(key => {
+            const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+            if (properties[key]) {
+                if (value[key] !== undefined) { problems.push(...validateAgainstSchema(properties[key], value[key], childPath)); }
+            } else if (schema.additionalProperties === false) {
+                problems.push(`'${childPath}' is not a recognised argument`);
+            }
+        });
+    }
+    return problems;
+}
+
+// Fill in top-level `default` values declared in the schema
+function applySchemaDefaults(schema, args) {
+    const withDefaults = { ...args };
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+        if (withDefaults[key] === undefined && property.default !== undefined) {
+            withDefaults[key] = JSON.parse(JSON.stringify(property.default));
+        }
+    });
+    return withDefaults;
+}
+
+// Tool Registry
+// Every tool is declared once here. The inputSchema drives both tools/list and argument
+// validation in callTool. Backend tools declare an endpoint, a request mapper and a response
+// formatter; local tools declare a handler instead.
+function textContent(text) {
+    return { type: "text", text };
+}
+
+function errorResult(text) {
+    return { content: [textContent(text)], isError: true };
+}
+
+const nonBlankString = (description) => ({ type: "string", pattern: "\\S", description });
+
+const idempotencyKeySchema = {
+    type: "string",
+    pattern: "\\S",
+    description: "Optional. A unique key for this publish attempt (e.g. a UUID). Lets the runner safely retry on network errors without creating duplicates; reuse the same key when retrying manually."
+};
+
+const mediaSchema = (exampleFilename) => ({
+    type: "array",
+    description: "Optional. A list of media items to attach to the post: up to 20 images, or one video, or one PDF document. Each item needs a 'filename' and exactly one of 'file_url' (a direct URL), 'file_path' (a local file) or 'file_data' (base64). 'file_path' and 'file_data' are only uploaded when the backend's media_uploads feature is enabled. Local and inline files are checked against LinkedIn's type, size, dimension and duration limits before sending.",
+    items: {
+        type: "object",
+        properties: {
+            file_url: {
+                type: "string",
+                description: "A direct URL to the image or video file (e.g., ending in .jpg, .png, .mp4)."
+            },
+            file_path: {
+                type: "string",
+                description: "A path to a local image, video or PDF file on the machine running this server."
+            },
+            file_data: {
+                type: "string",
+                description: "The file contents, base64-encoded (a data: URI prefix is accepted)."
+            },
+            filename: {
+                type: "string",
+                description: `A filename for the media item (e.g., '${exampleFilename}').`
+            },
+            alt_text: {
+                type: "string",
+                description: "Optional. Alternative text describing the image for screen readers."
+            }
+        },
+        required: ["filename"]
+    }
+});
+
+function normalizeLinkedinPost(post) {
+    if (!post) return {}; // Skip null/undefined posts
+    const urnMatch = /urn:li:[a-zA-Z]+:\d+/.exec(post.post_url || post.postUrl || '');
+    return {
+        urn: post.urn || post.post_urn || (urnMatch ? urnMatch[0] : ''),
+        text: post.text || '',
+        postedDate: post.postedDate || post.posted_at || '',
+        postUrl: post.post_url || post.postUrl || '',
+        reactions: post.total_reactions_count || post.reactions || 0,
+        comments: post.comments_count || post.comments || 0,
+        reposts: post.reposts_count || post.reposts || 0
+    };
+}
+
+function formatPostsText(posts) {
+    return posts.map((post, index) => {
+        return `Post ${index + 1}:\n` +
+               `Content: ${post.text}\n` +
+               `Posted: ${post.postedDate}\n` +
+               `URL: ${post.postUrl}\n` +
+               `Metrics: ${post.reactions} reactions, ${post.comments} comments, ${post.reposts} reposts\n`;
+    }).join('\n\n');
+}
+
+function formatProfileText(profile) {
+    const profileHeadline = profile.headline || 'No headline';
+    const profileSummary = profile.summary || 'No summary';
+
+    let experienceText = 'Experience:';
+    if (profile.experience && Array.isArray(profile.experience) && profile.experience.length > 0) {
+        profile.experience.forEach((exp, index) => {
+            experienceText += `\n\n${index + 1}. ${exp.title || 'Role'} at ${exp.companyName || 'Company'}`;
+            if (exp.dateRange || exp.duration) {
+                experienceText += `\n   Duration: ${exp.dateRange || exp.duration || 'Not specified'}`;
+            }
+            if (exp.description) {
+                experienceText += `\n   Description: ${exp.description}`;
+            }
+        });
+    } else {
+        experienceText += '\n   No experience data available';
+    }
+
+    let educationText = '\n\nEducation:';
+    if (profile.education && Array.isArray(profile.education) && profile.education.length > 0) {
+        profile.education.forEach((edu, index) => {
+            educationText += `\n\n${index + 1}. ${edu.schoolName || edu.school || 'Institution'}`;
+            if (edu.degree || edu.fieldOfStudy) {
+                educationText += `\n   ${edu.degree || ''} ${edu.fieldOfStudy || ''}`.trim();
+            }
+            if (edu.dateRange || edu.dates) {
+                educationText += `\n   Years: ${edu.dateRange || edu.dates || 'Not specified'}`;
+            }
+        });
+    } else {
+        educationText += '\n   No education data available';
+    }
+
+    return `Headline: ${profileHeadline}\n\nSummary: ${profileSummary}\n\n${experienceText}${educationText}`;
+}
+
+// Structured output for the data tools. Clients on protocol 2025-06-18 or later get these shapes
+// as `structuredContent` (and the schemas in tools/list); the text rendering stays for everyone.
+const cacheOutputSchema = {
+    type: "object",
+    description: "Present when the data was served from the local cache.",
+    properties: {
+        stored_at: { type: "string", description: "When the cached copy was stored (ISO 8601)." },
+        age_seconds: { type: "integer" },
+        fallback_reason: { type: "string", description: "Why the backend could not be used, if it failed." }
+    },
+    required: ["stored_at", "age_seconds"]
+};
+
+const linkedinPostsOutputSchema = {
+    type: "object",
+    properties: {
+        posts: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    urn: { type: "string", description: "The post URN, e.g. urn:li:activity:123." },
+                    text: { type: "string" },
+                    posted_at: { type: "string", description: "When the post was published, as reported by LinkedIn." },
+                    url: { type: "string" },
+                    reactions: { type: "integer" },
+                    comments: { type: "integer" },
+                    reposts: { type: "integer" }
+                },
+                required: ["urn", "text", "posted_at", "url", "reactions", "comments", "reposts"]
+            }
+        },
+        data_last_updated: { type: "string" },
+        data_staleness_info: { type: "string" },
+        cache: cacheOutputSchema,
+        account: { type: "string", description: "The account the data belongs to." }
+    },
+    required: ["posts"]
+};
+
+const linkedinProfileOutputSchema = {
+    type: "object",
+    properties: {
+        linkedin_url: { type: "string" },
+        headline: { type: "string" },
+        summary: { type: "string" },
+        experience: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    title: { type: "string" },
+                    company: { type: "string" },
+                    date_range: { type: "string" },
+                    description: { type: "string" }
+                },
+                required: ["title", "company"]
+            }
+        },
+        education: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    school: { type: "string" },
+                    degree: { type: "string" },
+                    field_of_study: { type: "string" },
+                    date_range: { type: "string" }
+                },
+                required: ["school"]
+            }
+        },
+        data_last_updated: { type: "string" },
+        cache: cacheOutputSchema,
+        account: { type: "string", description: "The account the profile belongs to." }
+    },
+    required: ["headline", "summary", "experience", "education"]
+};
+
+// Copies the optional string fields that are actually set, so the result matches the schema
+function pickStrings(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => typeof value === 'string' && value !== ''));
+}
+
+function structureResponseMetadata(data) {
+    const cacheInfo = data._cache;
+    return {
+        ...pickStrings({ data_last_updated: data.data_last_updated, data_staleness_info: data.data_staleness_info }),
+        ...(cacheInfo ? {
+            cache: {
+                stored_at: cacheInfo.storedAt,
+                age_seconds: Math.round(cacheInfo.ageSeconds),
+                ...(cacheInfo.fallbackReason ? { fallback_reason: cacheInfo.fallbackReason } : {})
+            }
+        } : {})
+    };
+}
+
+function structureLinkedinPosts(data) {
+    const posts = (data.posts || []).map(normalizeLinkedinPost).filter(post => post.text).map(post => ({
+        urn: post.urn,
+        text: post.text,
+        posted_at: String(post.postedDate),
+        url: post.postUrl,
+        reactions: Number(post.reactions) || 0,
+        comments: Number(post.comments) || 0,
+        reposts: Number(post.reposts) || 0
+    }));
+    return { posts, ...structureResponseMetadata(data) };
+}
+
+function structureLinkedinProfile(data) {
+    const profile = data.profile || {};
+    return {
+        ...pickStrings({ linkedin_url: data.linkedin_url }),
+        headline: profile.headline || '',
+        summary: profile.summary || '',
+        experience: (Array.isArray(profile.experience) ? profile.experience : []).map(exp => ({
+            title: exp.title || '',
+            company: exp.companyName || exp.company || '',
+            ...pickStrings({ date_range: exp.dateRange || exp.duration, description: exp.description })
+        })),
+        education: (Array.isArray(profile.education) ? profile.education : []).map(edu => ({
+            school: edu.schoolName || edu.school || '',
+            ...pickStrings({ degree: edu.degree, field_of_study: edu.fieldOfStudy, date_range: edu.dateRange || edu.dates })
+        })),
+        ...structureResponseMetadata(data)
+    };
+}
+
+// Local File Access
+// Tools that read or write files on this machine (media file_path, exports) serve whoever can run
+// the runner: stdio clients and the command line. Remote clients of `serve --http` may only touch
+// directories the operator lists in LINKEDIN_MCP_HTTP_FILE_DIRS (separated like PATH) or
+// "http": { "fileDirectories": [...] } in config.json; with none listed they get no file access.
+const httpFileDirectories = (process.env.LINKEDIN_MCP_HTTP_FILE_DIRS?.split(path.delimiter) ?? runnerConfig.http?.fileDirectories ?? [])
+    .filter(Boolean)
+    .map(dir => path.resolve(dir.replace(/^~(?=$|[\\/])/, os.homedir())));
+
+// The real location of `target` (symlinks resolved), for a file that may not exist yet
+async function resolveRealPath(target) {
+    try {
+        return await fs.realpath(target);
+    } catch (e) {
+        const parent = path.dirname(target);
+        return parent === target ? target : path.join(await resolveRealPath(parent), path.basename(target));
+    }
+}
+
+async function checkFileAccess(filePath, ctx = {}) {
+    if (ctx.session?.transport !== 'http') { return; }
+    const realPath = await resolveRealPath(filePath);
+    for (const dir of httpFileDirectories) {
+        const realDir = await resolveRealPath(dir);
+        if (realPath === realDir || realPath.startsWith(realDir + path.sep)) { return; }
+    }
+    throw new ToolError(httpFileDirectories.length === 0
+        ? `HTTP clients cannot read or write files on the server (${filePath}). The operator can allow directories with LINKEDIN_MCP_HTTP_FILE_DIRS`
+        : `${filePath} is outside the directories HTTP clients may use: ${httpFileDirectories.join(', ')}`);
+}
+
+// Media
+// Media items can point at a URL, a local file or carry base64 data. Local and inline media are
+// checked against LinkedIn's limits before anything is sent: the real type (from the file's
+// magic bytes, not its name), size, image dimensions and video duration.
+const megabyte = 1024 * 1024;
+const linkedinMediaLimits = {
+    'image/jpeg': { kind: 'image', maxBytes: 10 * megabyte, maxPixels: 36152320 },
+    'image/png': { kind: 'image', maxBytes: 10 * megabyte, maxPixels: 36152320 },
+    'image/gif': { kind: 'image', maxBytes: 10 * megabyte, maxPixels: 36152320 },
+    'video/mp4': { kind: 'video', minBytes: 75 * 1024, maxBytes: 500 * megabyte, minDurationSeconds: 3, maxDurationSeconds: 30 * 60 },
+    'application/pdf': { kind: 'document', maxBytes: 100 * megabyte }
+};
+const linkedinMaxImagesPerPost = 20;
+// Local files are sent base64-encoded in the JSON request; beyond this, host the file and use file_url
+const maxInlineUploadBytes = 200 * megabyte;
+
+const mediaTypesByExtension = {
+    jpg: 'image', jpeg: 'image', png: 'image', gif: 'image',
+    mp4: 'video', mov: 'video',
+    pdf: 'document', ppt: 'document', pptx: 'document', doc: 'document', docx: 'document'
+};
+
+// Raised for problems the caller can fix (bad media, ...); reported as an isError tool result
+class ToolError extends Error {}
+
+function formatBytes(bytes) {
+    if (bytes >= megabyte) { return `${(bytes / megabyte).toFixed(1)} MB`; }
+    if (bytes >= 1024) { return `${Math.round(bytes / 1024)} KB`; }
+    return `${bytes} bytes`;
+}
+
+function sniffMimeType(header) {
+    if (header.length >= 3 && header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) { return 'image/jpeg'; }
+    if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) { return 'image/png'; }
+    if (/^GIF8[79]a/.test(header.toString('latin1', 0, 6))) { return 'image/gif'; }
+    if (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') { return 'image/webp'; }
+    if (header.toString('latin1', 0, 5) === '%PDF-') { return 'application/pdf'; }
+    if (header.toString('latin1', 4, 8) === 'ftyp') {
+        const brand = header.toString('latin1', 8, 12);
+        if (brand === 'qt  ') { return 'video/quicktime'; }
+        if (/^(heic|heix|mif1|msf1)$/.test(brand)) { return 'image/heic'; }
+        return 'video/mp4';
+    }
+    return null;
+}
+
+// A random-access view over a local file or an in-memory buffer
+async function openMediaSource(item, ctx) {
+    if (typeof item.file_path === 'string') {
+        const filePath = path.resolve(item.file_path.replace(/^~(?=$|[\\/])/, os.homedir()));
+        await checkFileAccess(filePath, ctx);
+        let stat;
+        try {
+            stat = await fs.stat(filePath);
+        } catch (e) {
+            throw new ToolError(`file not found: ${filePath}`);
+        }
+        if (!stat.isFile()) { throw new ToolError(`not a file: ${filePath}`); }
+        return {
+            origin: filePath,
+            size: stat.size,
+            read: async (offset, length) => {
+                const buffer = Buffer.alloc(Math.max(0, Math.min(length, stat.size - offset)));
+                if (buffer.length === 0) { return buffer; }
+                const handle = await fs.promises.open(filePath, 'r');
+                try {
+                    await handle.read(buffer, 0, buffer.length, offset);
+                } finally {
+                    await handle.close();
+                }
+                return buffer;
+            },
+            readAll: () => fs.readFile(filePath)
+        };
+    }
+    const base64 = item.file_data.replace(/^data:[^;,]+;base64,/, '').replace(/\s+/g, '');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length === 0) {
+        throw new ToolError("'file_data' is not valid base64");
+    }
+    const data = Buffer.from(base64, 'base64');
+    return {
+        origin: 'inline data',
+        size: data.length,
+        read: async (offset, length) => data.subarray(offset, offset + length),
+        readAll: async () => data
+    };
+}
+
+async function readImageDimensions(mimeType, source) {
+    const header = await source.read(0, 64 * 1024);
+    if (mimeType === 'image/png' && header.length >= 24) {
+        return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+    }
+    if (mimeType === 'image/gif' && header.length >= 10) {
+        return { width: header.readUInt16LE(6), height: header.readUInt16LE(8) };
+    }
+    if (mimeType === 'image/jpeg') {
+        // Walk the JPEG segments until a start-of-frame marker (SOF0-SOF15, minus DHT/JPG/DAC)
+        let offset = 2;
+        while (offset + 9 < header.length && header[offset] === 0xFF) {
+            const marker = header[offset + 1];
+            const segmentLength = header.readUInt16BE(offset + 2);
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                return { height: header.readUInt16BE(offset + 5), width: header.readUInt16BE(offset + 7) };
+            }
+            offset += 2 + segmentLength;
+        }
+    }
+    return null;
+}
+
+// Duration from the movie header (moov/mvhd) box of an MP4. Truncated or malformed files give
+// null rather than reading past the end of what is there.
+async function readMp4DurationSeconds(source) {
+    const findBox = async (type, start, end) => {
+        let offset = start;
+        end = Math.min(end, source.size);
+        while (offset + 8 <= end) {
+            const header = await source.read(offset, 16);
+            if (header.length < 8) { return null; }
+            let boxSize = header.readUInt32BE(0);
+            let headerSize = 8;
+            if (boxSize === 1) {
+                if (header.length < 16) { return null; }
+                boxSize = Number(header.readBigUInt64BE(8));
+                headerSize = 16;
+            } else if (boxSize === 0) {
+                boxSize = end - offset;
+            }
+            if (boxSize < headerSize) { return null; }
+            if (header.toString('latin1', 4, 8) === type) {
+                return { start: offset + headerSize, end: offset + boxSize };
+            }
+            offset += boxSize;
+        }
+        return null;
+    };
+
+    const moov = await findBox('moov', 0, source.size);
+    const mvhd = moov && await findBox('mvhd', moov.start, moov.end);
+    if (!mvhd) { return null; }
+    const box = await source.read(mvhd.start, Math.min(32, mvhd.end - mvhd.start));
+    const version = box[0];
+    if (box.length < (version === 1 ? 32 : 20)) { return null; }
+    const timescale = version === 1 ? box.readUInt32BE(20) : box.readUInt32BE(12);
+    const duration = version === 1 ? Number(box.readBigUInt64BE(24)) : box.readUInt32BE(16);
+    return timescale > 0 ? duration / timescale : null;
+}
+
+// Inspects one media item. URL items are not downloaded; only their extension is checked.
+async function inspectMediaItem(item, ctx) {
+    const sources = ['file_url', 'file_path', 'file_data'].filter(key => typeof item[key] === 'string');
+    if (sources.length !== 1) {
+        throw new ToolError(`provide exactly one of 'file_url', 'file_path' or 'file_data' (got ${sources.length === 0 ? 'none' : sources.join(', ')})`);
+    }
+    if (item.file_url) {
+        const extension = path.extname(item.file_url.split('?')[0] || item.filename).substring(1).toLowerCase();
+        return { remote: true, kind: mediaTypesByExtension[extension] || mediaTypesByExtension[path.extname(item.filename).substring(1).toLowerCase()] };
+    }
+
+    const source = await openMediaSource(item, ctx);
+    const mimeType = sniffMimeType(await source.read(0, 32));
+    const limits = linkedinMediaLimits[mimeType];
+    if (!limits) {
+        throw new ToolError(`unsupported file type ${mimeType || '(unrecognised)'} in ${source.origin}. LinkedIn accepts JPEG, PNG and GIF images, MP4 videos and PDF documents`);
+    }
+    const details = { source, mimeType, kind: limits.kind, size: source.size };
+    if (source.size > limits.maxBytes) {
+        throw new ToolError(`${source.origin} is ${formatBytes(source.size)}; LinkedIn allows at most ${formatBytes(limits.maxBytes)} for ${mimeType}`);
+    }
+    if (limits.minBytes && source.size < limits.minBytes) {
+        throw new ToolError(`${source.origin} is ${formatBytes(source.size)}; LinkedIn requires at least ${formatBytes(limits.minBytes)} for ${mimeType}`);
+    }
+    if (limits.kind === 'image') {
+        const dimensions = await readImageDimensions(mimeType, source);
+        if (dimensions) {
+            Object.assign(details, dimensions);
+            if (dimensions.width * dimensions.height > limits.maxPixels) {
+                throw new ToolError(`${source.origin} is ${dimensions.width}x${dimensions.height} (${dimensions.width * dimensions.height} pixels); LinkedIn allows at most ${limits.maxPixels} pixels`);
+            }
+        }
+    }
+    if (limits.kind === 'video') {
+        const durationSeconds = await readMp4DurationSeconds(source);
+        if (durationSeconds === null) {
+            throw new ToolError(`could not read the duration of ${source.origin}; is it a complete MP4 file?`);
+        }
+        details.durationSeconds = durationSeconds;
+        if (durationSeconds < limits.minDurationSeconds || durationSeconds > limits.maxDurationSeconds) {
+            throw new ToolError(`${source.origin} is ${durationSeconds.toFixed(1)}s long; LinkedIn videos must be between ${limits.minDurationSeconds}s and ${limits.maxDurationSeconds / 60} minutes`);
+        }
+    }
+    return details;
+}
+
+function describeInspectedMedia(item, details) {
+    if (details.remote) {
+        return `${item.filename} (${details.kind || 'unknown type, may be rejected'}) from ${item.file_url}, not inspected`;
+    }
+    const facts = [details.mimeType, formatBytes(details.size)];
+    if (details.width) { facts.push(`${details.width}x${details.height}`); }
+    if (details.durationSeconds !== undefined) { facts.push(`${details.durationSeconds.toFixed(1)}s`); }
+    return `${item.filename} (${facts.join(', ')}) from ${details.source.origin}`;
+}
+
+// LinkedIn posts carry up to 20 images, or a single video, or a single document
+function checkMediaCombination(kinds) {
+    const count = (kind) => kinds.filter(candidate => candidate === kind).length;
+    if (count('video') + count('document') > 0 && kinds.length > 1) {
+        throw new ToolError('a post with a video or document cannot have any other media');
+    }
+    if (count('image') > linkedinMaxImagesPerPost) {
+        throw new ToolError(`LinkedIn allows at most ${linkedinMaxImagesPerPost} images per post (got ${count('image')})`);
+    }
+}
+
+// Validates every item and converts local/inline media into the upload format. The backend is only
+// known to take file_url items; uploads need the media_uploads feature.
+async function resolveMedia(media, ctx) {
+    const resolved = [];
+    const kinds = [];
+    for (const [index, item] of media.entries()) {
+        if (typeof item.file_url !== 'string' && !hasBackendFeature('media_uploads')) {
+            throw new ToolError(`media[${index}] (${item.filename}): uploading local or inline files is not enabled. Host the file and pass 'file_url' instead. ${backendFeatureMissingMessage('media_uploads')}`);
+        }
+        let details;
+        try {
+            details = await inspectMediaItem(item, ctx);
+        } catch (error) {
+            if (!(error instanceof ToolError)) { throw error; }
+            throw new ToolError(`media[${index}] (${item.filename}): ${error.message}`);
+        }
+        kinds.push(details.kind);
+        const altText = item.alt_text ? { alt_text: item.alt_text } : {};
+        if (details.remote) {
+            resolved.push({ file_url: item.file_url, filename: item.filename, ...altText });
+        } else {
+            if (details.size > maxInlineUploadBytes) {
+                throw new ToolError(`media[${index}] (${item.filename}): ${details.source.origin} is ${formatBytes(details.size)}; files over ${formatBytes(maxInlineUploadBytes)} cannot be uploaded inline, host it and pass 'file_url' instead`);
+            }
+            const data = await details.source.readAll();
+            resolved.push({ filename: item.filename, mime_type: details.mimeType, file_data: data.toString('base64'), ...altText });
+        }
+    }
+    checkMediaCombination(kinds);
+    return resolved;
+}
+
+// Inline data is only needed for the upload; local records keep a placeholder instead
+function omitInlineMediaData(media) {
+    return (media || []).map(({ file_data: fileData, ...item }) => (fileData ? { ...item, file_data: `<${fileData.length} base64 characters>` } : item));
+}
+
+async function prepareMediaArgs(args, ctx) {
+    return args.media ? { ...args, media: await resolveMedia(args.media, ctx) } : args;
+}
+
+// Post Preview
+// Renders a post the way LinkedIn will show it, without sending anything to the backend.
+const linkedinMaxCharacters = 3000;
+// The feed collapses a post after roughly this many characters or lines behind "...see more"
+const linkedinFoldCharacters = 210;
+const linkedinFoldLines = 3;
+
+function truncateAtFold(text) {
+    const lines = text.split('\n');
+    let visible = lines.slice(0, linkedinFoldLines).join('\n');
+    let truncated = lines.length > linkedinFoldLines;
+    if ([...visible].length > linkedinFoldCharacters) {
+        visible = [...visible].slice(0, linkedinFoldCharacters).join('').replace(/\s+\S*$/, '');
+        truncated = true;
+    }
+    return { visible: visible.trimEnd(), truncated };
+}
+
+function extractPostEntities(text) {
+    const unique = (values) => [...new Set(values)];
+    return {
+        hashtags: unique([...text.matchAll(/(?:^|\s)(#[\p{L}\p{N}_]+)/gu)].map(match => match[1])),
+        mentions: unique([...text.matchAll(/(?:^|\s)(@[\p{L}\p{N}_.-]*[\p{L}\p{N}_])/gu)].map(match => match[1])),
+        links: unique([...text.matchAll(/https?:\/\/[^\s<>"]+/g)].map(match => match[0].replace(/[).,!?;:'"]+$/, '')))
+    };
+}
+
+async function describeMediaForPreview(media, ctx) {
+    const lines = [];
+    const kinds = [];
+    for (const [index, item] of media.entries()) {
+        try {
+            const details = await inspectMediaItem(item, ctx);
+            kinds.push(details.kind);
+            const uploadNote = !details.remote && !hasBackendFeature('media_uploads') ? ' ⚠️ uploads are not enabled, host it and use file_url' : '';
+            lines.push(`  ${index + 1}. ${describeInspectedMedia(item, details)}${uploadNote}`);
+        } catch (error) {
+            if (!(error instanceof ToolError)) { throw error; }
+            lines.push(`  ${index + 1}. ${item.filename} ❌ ${error.message}`);
+        }
+    }
+    try {
+        checkMediaCombination(kinds);
+    } catch (error) {
+        if (!(error instanceof ToolError)) { throw error; }
+        lines.push(`  ❌ ${error.message}`);
+    }
+    return lines.join('\n');
+}
+
+async function renderLinkedinPreview({ post_text: postText, media, scheduled_date: scheduledDate }, ctx) {
+    const length = [...postText].length;
+    const { visible, truncated } = truncateAtFold(postText);
+    const { hashtags, mentions, links } = extractPostEntities(postText);
+    const list = (values) => values.length > 0 ? values.join(' ') : 'none';
+
+    const lines = [
+        `Characters: ${length} / ${linkedinMaxCharacters} ${length <= linkedinMaxCharacters ? '✅' : `❌ (${length - linkedinMaxCharacters} over the limit)`}`,
+        `Hashtags (${hashtags.length}): ${list(hashtags)}`,
+        `Mentions (${mentions.length}): ${list(mentions)}`,
+        `Links (${links.length}): ${list(links)}`,
+        `Media (${(media || []).length}): ${(media || []).length > 0 ? `\n${await describeMediaForPreview(media, ctx)}` : 'none'}`
+    ];
+    if (scheduledDate) {
+        const inPast = new Date(scheduledDate).getTime() <= Date.now();
+        lines.push(`Scheduled for: ${scheduledDate}${inPast ? ' ⚠️ this is in the past; the backend will reject it' : ''}`);
+    }
+
+    return [
+        textContent("🔍 LinkedIn post preview. Nothing was sent to LinkedIn."),
+        textContent(`In the feed, before "see more":\n\n${visible}${truncated ? '… see more' : ''}\n\n${truncated ? `(The remaining ${length - [...visible].length} characters are hidden behind "see more".)` : '(The whole post is visible without "see more".)'}`),
+        textContent(lines.join('\n'))
+    ];
+}
+
+const dryRunSchema = {
+    type: "boolean",
+    description: "Optional. If true, return a preview (feed fold, character count, hashtags, mentions, links, media) without sending anything."
+};
+
+// Local Stores
+// Small JSON files in the runner's config directory (drafts, scheduled jobs, ...). Files are
+// written owner-only since they hold unpublished content. A file that exists but can't be read is
+// an error rather than an empty store, so the next write can't replace it and lose its contents.
+function getStorePath(fileName) {
+    return path.join(getRunnerConfigDir(), fileName);
+}
+
+async function readJsonStore(fileName, fallback) {
+    const storePath = getStorePath(fileName);
+    if (!(await fs.pathExists(storePath))) { return fallback; }
+    try {
+        return await fs.readJson(storePath);
+    } catch (e) {
+        const reason = e.message.replace(`${storePath}: `, '');
+        log.error(`Could not read ${storePath}.`, { error: reason });
+        throw new ToolError(`Could not read ${storePath} (${reason}). Fix or move the file; it has been left unchanged.`);
+    }
+}
+
+async function writeJsonStore(fileName, data) {
+    await fs.ensureDir(getRunnerConfigDir());
+    await fs.writeJson(getStorePath(fileName), data, { spaces: 2, mode: 0o600 });
+}
+
+// Serialises read-modify-write cycles per file, since tool calls run concurrently
+const storeLocks = new Map();
+
+async function updateJsonStore(fileName, fallback, mutate) {
+    const previous = storeLocks.get(fileName) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+        const data = await readJsonStore(fileName, fallback);
+        const result = await mutate(data);
+        await writeJsonStore(fileName, data);
+        return result;
+    });
+    storeLocks.set(fileName, run);
+    return run;
+}
+
+function generateLocalId(prefix) {
+    return `${prefix}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Drafts
+// Drafts keep every previous revision in `versions` so an edit can be compared or undone later.
+const draftsStoreFile = 'drafts.json';
+const maxDraftVersions = 20;
+
+async function loadDrafts() {
+    return (await readJsonStore(draftsStoreFile, { drafts: [] })).drafts || [];
+}
+
+function requireDraft(drafts, draftId) {
+    const draft = drafts.find(candidate => candidate.id === draftId);
+    if (!draft) {
+        throw new McpError(-32602, `Invalid arguments: no draft with id '${draftId}'. Use list_linkedin_drafts to see saved drafts.`);
+    }
+    return draft;
+}
+
+// Runs `mutate(drafts)` under the store lock and saves the result
+function updateDrafts(mutate) {
+    return updateJsonStore(draftsStoreFile, { drafts: [] }, (store) => {
+        store.drafts = store.drafts || [];
+        return mutate(store.drafts, store);
+    });
+}
+
+function formatDraftSummary(draft) {
+    const snippet = draft.post_text.length > 100 ? `${draft.post_text.substring(0, 100)}…` : draft.post_text;
+    const tags = draft.tags.length > 0 ? ` [${draft.tags.join(', ')}]` : '';
+    return `${draft.id}: ${draft.title || '(untitled)'}${tags}\n` +
+           `   Status: ${draft.status} | Version ${draft.version} | Updated ${draft.updated_at}\n` +
+           `   ${snippet.replace(/\n/g, ' ')}`;
+}
+
+function formatDraftDetails(draft) {
+    let text = `Draft ${draft.id}: ${draft.title || '(untitled)'}\n` +
+               `Status: ${draft.status} | Version ${draft.version} | Created ${draft.created_at} | Updated ${draft.updated_at}\n` +
+               `Tags: ${draft.tags.length > 0 ? draft.tags.join(', ') : 'none'}\n`;
+    if (draft.media.length > 0) {
+        text += `Media: ${draft.media.map(item => item.filename).join(', ')}\n`;
+    }
+    if (draft.result) {
+        text += `Result: ${Object.entries(draft.result).map(([key, value]) => `${key}=${value}`).join(', ')}\n`;
+    }
+    text += `\n${draft.post_text}`;
+    if (draft.source_content) {
+        text += `\n\n--- Source content ---\n${draft.source_content}`;
+    }
+    if (draft.versions.length > 0) {
+        text += `\n\n--- Previous versions ---\n` + draft.versions.map(version =>
+            `v${version.version} (${version.saved_at}): ${version.post_text.substring(0, 80).replace(/\n/g, ' ')}${version.post_text.length > 80 ? '…' : ''}`
+        ).join('\n');
+    }
+    return text;
+}
+
+// Drafts live in a plain JSON file, so inline base64 media would bloat it; a path or URL is enough
+function requireStorableDraftMedia(media) {
+    if ((media || []).some(item => item.file_data !== undefined)) {
+        throw new McpError(-32602, "Invalid arguments: drafts can't store inline 'file_data' media. Save the file and use 'file_path' or 'file_url' instead.");
+    }
+}
+
+async function saveDraft(args) {
+    requireStorableDraftMedia(args.media);
+    const now = new Date().toISOString();
+    const draft = {
+        id: generateLocalId('draft'),
+        title: args.title || '',
+        post_text: args.post_text,
+        tags: args.tags || [],
+        source_content: args.source_content || '',
+        media: args.media || [],
+        status: 'draft',
+        version: 1,
+        versions: [],
+        created_at: now,
+        updated_at: now
+    };
+    await updateDrafts(drafts => { drafts.push(draft); });
+    return { content: [textContent(`✅ Saved draft ${draft.id}.`), textContent(formatDraftSummary(draft))], isError: false };
+}
+
+async function listDrafts(args) {
+    if (args.draft_id) {
+        const draft = requireDraft(await loadDrafts(), args.draft_id);
+        return { content: [textContent(formatDraftDetails(draft))], isError: false };
+    }
+    const query = (args.query || '').toLowerCase();
+    const drafts = (await loadDrafts())
+        .filter(draft => !args.tag || draft.tags.includes(args.tag))
+        .filter(draft => !args.status || draft.status === args.status)
+        .filter(draft => !query || `${draft.title}\n${draft.post_text}`.toLowerCase().includes(query))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    if (drafts.length === 0) {
+        return { content: [textContent("No matching drafts found.")], isError: false };
+    }
+    return {
+        content: [
+            textContent(`Found ${drafts.length} draft${drafts.length === 1 ? '' : 's'}. Pass draft_id to see the full text and history.`),
+            textContent(drafts.map(formatDraftSummary).join('\n\n'))
+        ],
+        isError: false
+    };
+}
+
+async function updateDraft(args) {
+    requireStorableDraftMedia(args.media);
+    const draft = await updateDrafts(drafts => {
+        const draft = requireDraft(drafts, args.draft_id);
+        draft.versions.push({ version: draft.version, title: draft.title, post_text: draft.post_text, tags: draft.tags, media: draft.media, saved_at: draft.updated_at });
+        draft.versions = draft.versions.slice(-maxDraftVersions);
+        ['title', 'post_text', 'tags', 'source_content', 'media'].forEach(field => {
+            if (args[field] !== undefined) { draft[field] = args[field]; }
+        });
+        draft.version += 1;
+        draft.updated_at = new Date().toISOString();
+        return draft;
+    });
+    return { content: [textContent(`✅ Updated draft ${draft.id} to version ${draft.version}.`), textContent(formatDraftSummary(draft))], isError: false };
+}
+
+async function deleteDraft(args) {
+    const draft = await updateDrafts(drafts => {
+        const draft = requireDraft(drafts, args.draft_id);
+        drafts.splice(drafts.indexOf(draft), 1);
+        return draft;
+    });
+    return { content: [textContent(`🗑️ Deleted draft ${draft.id}${draft.title ? ` (${draft.title})` : ''}.`)], isError: false };
+}
+
+// Sends a draft through publish_linkedin_post/schedule_linkedin_post and records the outcome
+async function sendDraft(toolName, args, ctx) {
+    const draft = requireDraft(await loadDrafts(), args.draft_id);
+    if (draft.status !== 'draft' && !args.resend) {
+        return errorResult(`Draft ${draft.id} was already ${draft.status}. Pass resend: true to send it again.`);
+    }
+    const { draft_id: draftId, resend, ...passThrough } = args;
+    const outcome = await runTool(toolName, { ...passThrough, post_text: draft.post_text, media: draft.media }, ctx);
+    if (outcome.dryRun || outcome.result.isError) {
+        return outcome.result;
+    }
+
+    const current = await updateDrafts(drafts => {
+        const current = requireDraft(drafts, draftId);
+        current.status = toolName === 'schedule_linkedin_post' ? 'scheduled' : 'published';
+        current.result = toolName === 'schedule_linkedin_post'
+            ? { scheduled_job_id: outcome.data?.scheduled_job_id, scheduled_date: args.scheduled_date }
+            : { post_urn: outcome.data?.post_urn, published_at: new Date().toISOString() };
+        current.updated_at = new Date().toISOString();
+        return current;
+    });
+    return {
+        content: [...outcome.result.content, textContent(`Draft ${current.id} marked as ${current.status}.`)],
+        isError: false
+    };
+}
+
+const draftIdSchema = nonBlankString("The ID of the draft (e.g. 'draft_1a2b3c4d'), as returned by save_linkedin_draft or list_linkedin_drafts.");
+
+const draftResendSchema = {
+    type: "boolean",
+    description: "Optional. Send the draft even though it was already published or scheduled. Without it, such drafts are refused so they aren't posted twice."
+};
+
+const draftFieldSchemas = {
+    title: { type: "string", description: "Optional. A short title to find the draft again." },
+    tags: { type: "array", items: { type: "string" }, description: "Optional. Tags such as campaign names or topics." },
+    source_content: { type: "string", description: "Optional. The article, notes or other material the draft was written from." }
+};
+
+// Scheduled Posts
+// Every job scheduled through this runner is also tracked in scheduled.json, so the queue can be
+// shown even when the backend listing is unavailable.
+const scheduledStoreFile = 'scheduled.json';
+
+async function loadScheduledJobs() {
+    return (await readJsonStore(scheduledStoreFile, { jobs: [] })).jobs || [];
+}
+
+// Inserts or updates the locally tracked job with this ID
+function trackScheduledJob(jobId, changes) {
+    if (!jobId) { return Promise.resolve(); }
+    return updateJsonStore(scheduledStoreFile, { jobs: [] }, (store) => {
+        store.jobs = store.jobs || [];
+        const now = new Date().toISOString();
+        let job = store.jobs.find(candidate => candidate.scheduled_job_id === jobId);
+        if (!job) {
+            job = { scheduled_job_id: jobId, status: 'scheduled', created_at: now };
+            store.jobs.push(job);
+        }
+        Object.assign(job, changes, { updated_at: now });
+    });
+}
+
+function normalizeScheduledPost(post) {
+    return {
+        scheduled_job_id: post.scheduled_job_id || post.id || '',
+        post_text: post.post_text || post.text || '',
+        scheduled_date: post.scheduled_date || post.scheduled_at || '',
+        status: post.status || 'scheduled',
+        media: post.media || []
+    };
+}
+
+function formatScheduledPost(post, full = false) {
+    const text = full || post.post_text.length <= 100 ? post.post_text : `${post.post_text.substring(0, 100)}…`;
+    const media = post.media.length > 0 ? `\n   Media: ${post.media.map(item => item.filename).join(', ')}` : '';
+    return `${post.scheduled_job_id} | ${post.scheduled_date} | ${post.status}${media}\n   ${full ? text : text.replace(/\n/g, ' ')}`;
+}
+
+// The backend listing when it is enabled and reachable, else the jobs tracked in scheduled.json
+async function loadScheduledPostList(args, ctx) {
+    const local = async (reason) => ({
+        posts: (await loadScheduledJobs()).map(normalizeScheduledPost),
+        sourceNote: `tracked locally by this runner. ${reason}, so jobs scheduled elsewhere are missing and statuses may be out of date`
+    });
+    if (!hasBackendFeature('scheduled_posts')) {
+        return local('The backend listing is not enabled (LINKEDIN_MCP_BACKEND_FEATURES=scheduled_posts)');
+    }
+    let data;
+    try {
+        data = await requestToolData(toolRegistry.get('list_scheduled_posts'), args, ctx);
+    } catch (error) {
+        if (!(error instanceof BackendError)) { throw error; }
+        log.warning(`Scheduled posts listing failed (${error.message}); using local tracking.`);
+        return local(`⚠️ The backend listing is unavailable (${error.message})`);
+    }
+    const posts = (data.scheduled_posts || []).map(normalizeScheduledPost);
+    try {
+        for (const post of posts) {
+            await trackScheduledJob(post.scheduled_job_id, { post_text: post.post_text, scheduled_date: post.scheduled_date, status: post.status });
+        }
+    } catch (error) {
+        if (!(error instanceof ToolError)) { throw error; }
+        return { posts, sourceNote: `from the backend (not tracked locally: ${error.message})` };
+    }
+    return { posts, sourceNote: 'from the backend' };
+}
+
+async function listScheduledPosts(args, ctx) {
+    const { posts: listed, sourceNote } = await loadScheduledPostList(args, ctx);
+    const posts = listed
+        .filter(post => !args.status || post.status === args.status)
+        .sort((a, b) => a.scheduled_date.localeCompare(b.scheduled_date));
+    return {
+        content: [
+            textContent(`${posts.length} scheduled post${posts.length === 1 ? '' : 's'} ${sourceNote}.`),
+            ...(posts.length > 0 ? [textContent(posts.map(post => formatScheduledPost(post)).join('\n\n'))] : [])
+        ],
+        isError: false
+    };
+}
+
+async function getScheduledPost(args, ctx) {
+    if (!hasBackendFeature('scheduled_posts')) {
+        const job = (await loadScheduledJobs()).find(candidate => candidate.scheduled_job_id === args.scheduled_job_id);
+        if (!job) {
+            return errorResult(`No scheduled post ${args.scheduled_job_id} is tracked locally. ${backendFeatureMissingMessage('scheduled_posts')}`);
+        }
+        return {
+            content: [
+                textContent(`Showing the copy tracked locally, last updated ${job.updated_at}; its status may be out of date.`),
+                textContent(formatScheduledPost(normalizeScheduledPost(job), true))
+            ],
+            isError: false
+        };
+    }
+    try {
+        const data = await requestToolData(toolRegistry.get('get_scheduled_post'), args, ctx);
+        return { content: [textContent(formatScheduledPost(normalizeScheduledPost(data.scheduled_post || {}), true))], isError: false };
+    } catch (error) {
+        if (!(error instanceof BackendError)) { throw error; }
+        const job = (await loadScheduledJobs()).find(candidate => candidate.scheduled_job_id === args.scheduled_job_id);
+        if (!job) {
+            return errorResult(`Failed to get scheduled post: ${error.message}`);
+        }
+        return {
+            content: [
+                textContent(`⚠️ Backend unavailable (${error.message}). Showing the copy tracked locally, last updated ${job.updated_at}.`),
+                textContent(formatScheduledPost(normalizeScheduledPost(job), true))
+            ],
+            isError: false
+        };
+    }
+}
+
+// The backend may keep the job ID or issue a new one; either way the local copy follows it
+async function recordReschedule(data, args) {
+    const changes = {};
+    ['scheduled_date', 'post_text', 'media'].forEach(key => {
+        if (args[key] !== undefined) { changes[key] = args[key]; }
+    });
+    if (changes.media) { changes.media = omitInlineMediaData(changes.media); }
+    const newJobId = data.scheduled_job_id || args.scheduled_job_id;
+    if (newJobId !== args.scheduled_job_id) {
+        const previous = (await loadScheduledJobs()).find(job => job.scheduled_job_id === args.scheduled_job_id) || {};
+        await trackScheduledJob(args.scheduled_job_id, { status: 'rescheduled', replaced_by: newJobId });
+        await trackScheduledJob(newJobId, { post_text: previous.post_text, scheduled_date: previous.scheduled_date, media: previous.media, ...changes, status: 'scheduled' });
+        return;
+    }
+    await trackScheduledJob(newJobId, changes);
+}
+
+const scheduledJobIdSchema = nonBlankString("The scheduled job ID returned by schedule_linkedin_post (e.g. 'job_123').");
+
+// Twitter Threads
+// Twitter counts length by weight, not by characters: every URL counts as 23 (t.co), emoji and
+// most non-Latin scripts (CJK, ...) count as 2, and Latin, Cyrillic, Greek etc. count as 1.
+const twitterMaxWeightedLength = 280;
+const twitterUrlWeight = 23;
+const twitterMaxThreadLength = 25;
+const twitterUrlPattern = /\bhttps?:\/\/[^\s<>"]+|\bwww\.[^\s<>"]+/gi;
+// Code point ranges weighted 1 by twitter-text; everything else weighs 2
+const twitterLightRanges = [[0x0000, 0x10FF], [0x2000, 0x200D], [0x2010, 0x201F], [0x2032, 0x2037]];
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const sentenceSegmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
+
+function findTwitterUrls(text) {
+    return [...text.matchAll(twitterUrlPattern)].map(match => {
+        // Trailing punctuation ends a sentence rather than belonging to the link
+        const url = match[0].replace(/[.,;:!?)\]'"]+$/, '');
+        return { start: match.index, end: match.index + url.length };
+    });
+}
+
+function twitterWeightedLength(text) {
+    const normalized = text.normalize('NFC');
+    let weight = 0;
+    let offset = 0;
+    for (const url of findTwitterUrls(normalized)) {
+        weight += weightOfPlainText(normalized.substring(offset, url.start)) + twitterUrlWeight;
+        offset = url.end;
+    }
+    return weight + weightOfPlainText(normalized.substring(offset));
+}
+
+function weightOfPlainText(text) {
+    let weight = 0;
+    for (const { segment } of graphemeSegmenter.segment(text)) {
+        if (/\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(segment)) {
+            weight += 2;
+            continue;
+        }
+        for (const character of segment) {
+            const codePoint = character.codePointAt(0);
+            weight += twitterLightRanges.some(([low, high]) => codePoint >= low && codePoint <= high) ? 1 : 2;
+        }
+    }
+    return weight;
+}
+
+// Breaks a piece that is too long on its own at word boundaries, or mid-word as a last resort
+function splitLongPiece(text, limit) {
+    const parts = [];
+    let current = '';
+    for (const word of text.split(/(?<=\s)/)) {
+        if (twitterWeightedLength(current + word) <= limit) {
+            current += word;
+            continue;
+        }
+        if (current.trim()) { parts.push(current.trim()); }
+        current = '';
+        if (twitterWeightedLength(word) <= limit) {
+            current = word;
+            continue;
+        }
+        for (const { segment } of graphemeSegmenter.segment(word)) {
+            if (twitterWeightedLength(current + segment) > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += segment;
+        }
+    }
+    if (current.trim()) { parts.push(current.trim()); }
+    return parts;
+}
+
+function packTweets(text, limit) {
+    const pieces = [];
+    for (const paragraph of text.split(/\n\s*\n/)) {
+        const sentences = [...sentenceSegmenter.segment(paragraph.trim())].map(({ segment }) => segment);
+        sentences.forEach((sentence, index) => {
+            // Keep paragraph breaks when consecutive paragraphs end up in the same tweet
+            const separator = index === 0 && pieces.length > 0 ? '\n\n' : '';
+            pieces.push({ separator, text: sentence });
+        });
+    }
+
+    const tweets = [];
+    let current = '';
+    for (const piece of pieces) {
+        const candidate = current ? `${current}${piece.separator}${piece.text}`.trimEnd() : piece.text.trim();
+        if (twitterWeightedLength(candidate) <= limit) {
+            current = current ? `${current}${piece.separator}${piece.text}` : piece.text;
+            continue;
+        }
+        if (current.trim()) { tweets.push(current.trim()); }
+        current = '';
+        if (twitterWeightedLength(piece.text.trim()) <= limit) {
+            current = piece.text;
+        } else {
+            tweets.push(...splitLongPiece(piece.text.trim(), limit));
+        }
+    }
+    if (current.trim()) { tweets.push(current.trim()); }
+    return tweets;
+}
+
+function numberingSuffix(index, total) {
+    return ` ${index + 1}/${total}`;
+}
+
+function applyNumbering(tweets, numbering) {
+    return numbering && tweets.length > 1 ? tweets.map((tweet, index) => tweet + numberingSuffix(index, tweets.length)) : tweets;
+}
+
+// Splits text into tweets on sentence boundaries, leaving room for " i/n" when numbering
+function splitIntoTweets(text, { numbering = true } = {}) {
+    let tweets = packTweets(text, twitterMaxWeightedLength);
+    if (!numbering || tweets.length < 2) {
+        return tweets;
+    }
+    // The suffix width depends on the tweet count, which depends on the suffix width
+    let total = tweets.length;
+    for (;;) {
+        tweets = packTweets(text, twitterMaxWeightedLength - numberingSuffix(total - 1, total).length);
+        if (tweets.length <= total) { break; }
+        total = tweets.length;
+    }
+    return applyNumbering(tweets, true);
+}
+
+// The final tweets for publish_twitter_thread / publish_twitter_post with auto_split
+function buildThread(args) {
+    if (args.tweets) {
+        return applyNumbering(args.tweets.map(tweet => tweet.trim()), args.numbering);
+    }
+    return splitIntoTweets(args.thread_text ?? args.post_text, { numbering: args.numbering });
+}
+
+function describeTweetLength(text) {
+    const weight = twitterWeightedLength(text);
+    return `${weight} / ${twitterMaxWeightedLength} ${weight <= twitterMaxWeightedLength ? '✅' : '❌ too long'}`;
+}
+
+function renderTwitterPreview(args) {
+    const tweets = args.tweets || args.thread_text || (args.auto_split && twitterWeightedLength(args.post_text) > twitterMaxWeightedLength)
+        ? buildThread(args)
+        : [args.post_text];
+    const header = tweets.length > 1
+        ? `🔍 Twitter thread preview (${tweets.length} tweets). Nothing was sent to Twitter.`
+        : '🔍 Tweet preview. Nothing was sent to Twitter.';
+    return [
+        textContent(header),
+        ...tweets.map((tweet, index) => textContent(`${tweets.length > 1 ? `Tweet ${index + 1}` : 'Tweet'} (${describeTweetLength(tweet)}):\n${tweet}`))
+    ];
+}
+
+function validateThreadArgs(args) {
+    const problems = [];
+    if ((args.tweets === undefined) === (args.thread_text === undefined)) {
+        problems.push("provide exactly one of 'tweets' or 'thread_text'");
+        return problems;
+    }
+    const tweets = buildThread({ numbering: true, ...args });
+    if (tweets.length > twitterMaxThreadLength) {
+        problems.push(`the thread would have ${tweets.length} tweets; at most ${twitterMaxThreadLength} are allowed`);
+    }
+    if (args.tweets) {
+        tweets.forEach((tweet, index) => {
+            const weight = twitterWeightedLength(tweet);
+            if (weight > twitterMaxWeightedLength) {
+                problems.push(`'tweets[${index}]' is ${weight} weighted characters${args.numbering !== false && tweets.length > 1 ? ' including its numbering' : ''}; Twitter allows ${twitterMaxWeightedLength}`);
+            }
+        });
+    }
+    return problems;
+}
+
+function validateTweetArgs(args) {
+    const weight = twitterWeightedLength(args.post_text ?? '');
+    if (weight <= twitterMaxWeightedLength || args.auto_split) {
+        return [];
+    }
+    return [`'post_text' is ${weight} weighted characters; Twitter allows ${twitterMaxWeightedLength} (URLs count as ${twitterUrlWeight}, emoji and CJK characters as 2). Set 'auto_split' to post it as a thread, or use publish_twitter_thread`];
+}
+
+// Posts tweets one by one, each replying to the previous. Stops at the first failure, including a
+// tweet the backend returned no ID for (the next one could not reply to it); with an idempotency
+// key each tweet gets its own derived key, so repeating the call resumes the thread.
+async function postTweetThread(tweets, { idempotencyKey }, ctx) {
+    const tweetTool = toolRegistry.get('publish_twitter_post');
+    const tweetIds = [];
+    if (tweets.length > 1 && !hasBackendFeature('tweet_replies')) {
+        return { tweetIds, error: backendFeatureMissingMessage('tweet_replies'), failedIndex: 0 };
+    }
+    for (const [index, tweet] of tweets.entries()) {
+        const outcome = await runBackendTool(tweetTool, {
+            post_text: tweet,
+            reply_to_tweet_id: tweetIds[index - 1],
+            idempotency_key: idempotencyKey ? `${idempotencyKey}-${index + 1}` : undefined
+        }, ctx);
+        if (outcome.error) {
+            return { tweetIds, error: outcome.error, failedIndex: index };
+        }
+        tweetIds.push(outcome.data.tweet_id);
+        if (!outcome.data.tweet_id && index < tweets.length - 1) {
+            return { tweetIds, error: `the backend returned no ID for tweet ${index + 1}, so the next tweet cannot reply to it`, failedIndex: index + 1 };
+        }
+    }
+    return { tweetIds };
+}
+
+function formatThreadOutcome(tweets, { tweetIds, error, failedIndex }) {
+    const posted = tweetIds.map((tweetId, index) => `  ${index + 1}. ${tweetId ?? '(no ID returned)'}`).join('\n');
+    if (error) {
+        return errorResult(`Failed to publish Twitter thread at tweet ${failedIndex + 1} of ${tweets.length}: ${error}` +
+            (tweetIds.length > 0 ? `\nAlready posted (in order):\n${posted}\nThe remaining tweets were not posted. Repeat the call with the same idempotency_key to resume.` : '\nNothing was posted.'));
+    }
+    return { content: [textContent(`✅ Successfully published a thread of ${tweets.length} tweets to Twitter.\nTweet IDs (in order):\n${posted}`)], isError: false };
+}
+
+async function publishTwitterThread(args, ctx) {
+    const tweets = buildThread(args);
+    return formatThreadOutcome(tweets, await postTweetThread(tweets, { idempotencyKey: args.idempotency_key }, ctx));
+}
+
+// publish_twitter_post: a single tweet, or a thread when auto_split is set and the text is too long
+async function publishTweet(args, ctx) {
+    if (args.auto_split && twitterWeightedLength(args.post_text) > twitterMaxWeightedLength) {
+        return publishTwitterThread({ post_text: args.post_text, numbering: args.numbering, idempotency_key: args.idempotency_key }, ctx);
+    }
+    if (args.reply_to_tweet_id && !hasBackendFeature('tweet_replies')) {
+        return errorResult(`Failed to publish tweet to Twitter: ${backendFeatureMissingMessage('tweet_replies')}`);
+    }
+    return (await runBackendTool(toolRegistry.get('publish_twitter_post'), args, ctx)).result;
+}
+
+const threadNumberingSchema = {
+    type: "boolean",
+    default: true,
+    description: "Optional. Append '1/n', '2/n', ... to each tweet of a thread (default true)."
+};
+
+// Cross-Posting
+// cross_post publishes one source text everywhere at once: LinkedIn gets it as written, Twitter
+// gets a version with fewer hashtags that is either shortened to one tweet or split into a thread.
+const crossPostPlatforms = ['linkedin', 'twitter'];
+const crossPostPlatformNames = { linkedin: 'LinkedIn', twitter: 'Twitter' };
+
+// Keeps the first `maxHashtags` distinct hashtags. Extra hashtags in a sentence become plain words
+// ("#Rust" -> "Rust") so the sentence still reads; extra ones in a hashtag block are dropped.
+function trimHashtags(text, maxHashtags) {
+    const kept = new Set();
+    const hashtagOnly = /^(?:\s*#[\p{L}\p{N}_]+)*\s*$/u;
+    return text
+        .replace(/(?<=^|\s)#([\p{L}\p{N}_]+)/gu, (hashtag, word, offset) => {
+            const key = word.toLowerCase();
+            if (kept.has(key) || kept.size < maxHashtags) {
+                kept.add(key);
+                return hashtag;
+            }
+            const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+            const lineEnd = text.indexOf('\n', offset) === -1 ? text.length : text.indexOf('\n', offset);
+            const inBlock = hashtagOnly.test(text.substring(lineStart, lineEnd)) || hashtagOnly.test(text.substring(offset + hashtag.length));
+            return inBlock ? '' : word;
+        })
+        .replace(/[^\S\n]{2,}/g, ' ')
+        .replace(/[^\S\n]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Longest run of whole sentences (or, failing that, words) that fits one tweet. A closing block
+// of hashtags is kept at the end when it fits.
+function shortenToTweet(text) {
+    if (twitterWeightedLength(text) <= twitterMaxWeightedLength) {
+        return text;
+    }
+    const trailingHashtags = text.match(/(?:\s+#[\p{L}\p{N}_]+)+\s*$/u)?.[0].trim() ?? '';
+    const body = trailingHashtags ? text.substring(0, text.length - text.match(/(?:\s+#[\p{L}\p{N}_]+)+\s*$/u)[0].length) : text;
+    const suffix = trailingHashtags && twitterWeightedLength(trailingHashtags) < twitterMaxWeightedLength / 2 ? ` ${trailingHashtags}` : '';
+    const limit = twitterMaxWeightedLength - twitterWeightedLength(suffix) - 1;
+    let shortened = '';
+    for (const { segment } of sentenceSegmenter.segment(body)) {
+        if (twitterWeightedLength((shortened + segment).trim()) > limit) { break; }
+        shortened += segment;
+    }
+    shortened = shortened.trim();
+    if (!shortened) {
+        shortened = `${splitLongPiece(body, limit)[0]}…`;
+    } else if (!/[.!?…]$/.test(shortened)) {
+        shortened += '…';
+    }
+    return `${shortened}${suffix}`;
+}
+
+function adaptForTwitter(args) {
+    const text = trimHashtags(args.post_text, args.twitter_max_hashtags);
+    if (args.twitter_mode === 'shorten') {
+        return [shortenToTweet(text)];
+    }
+    return splitIntoTweets(text, { numbering: args.numbering });
+}
+
+async function renderCrossPostPreview(args, ctx) {
+    const content = [];
+    if (args.platforms.includes('linkedin')) {
+        content.push(...await renderLinkedinPreview(args, ctx));
+    }
+    if (args.platforms.includes('twitter')) {
+        content.push(...(args.scheduled_date
+            ? [textContent('Twitter: would be skipped, scheduling is not supported for Twitter.')]
+            : renderTwitterPreview({ tweets: adaptForTwitter(args), numbering: false })));
+    }
+    return content;
+}
+
+async function crossPostToLinkedin(args, ctx) {
+    const toolName = args.scheduled_date ? 'schedule_linkedin_post' : 'publish_linkedin_post';
+    const outcome = await runTool(toolName, {
+        post_text: args.post_text,
+        ...(args.media ? { media: args.media } : {}),
+        ...(args.scheduled_date ? { scheduled_date: args.scheduled_date } : {}),
+        ...(args.idempotency_key ? { idempotency_key: `${args.idempotency_key}-linkedin` } : {})
+    }, ctx);
+    if (outcome.result.isError) {
+        return { status: 'failed', message: outcome.error };
+    }
+    return args.scheduled_date
+        ? { status: 'scheduled', message: `scheduled for ${args.scheduled_date} (Scheduled Job ID: ${outcome.data.scheduled_job_id ?? 'unknown'})` }
+        : { status: 'published', message: `published (Post ID: ${outcome.data.post_urn ?? 'unknown'})` };
+}
+
+async function crossPostToTwitter(args, ctx) {
+    if (args.scheduled_date) {
+        return { status: 'skipped', message: 'scheduling is not supported for Twitter; publish it separately at the scheduled time' };
+    }
+    const tweets = adaptForTwitter(args);
+    const outcome = await postTweetThread(tweets, { idempotencyKey: args.idempotency_key && `${args.idempotency_key}-twitter` }, ctx);
+    if (outcome.error) {
+        const posted = outcome.tweetIds.length > 0 ? ` (tweets already posted: ${outcome.tweetIds.join(', ')})` : '';
+        return { status: 'failed', message: `${outcome.error}${posted}` };
+    }
+    return {
+        status: 'published',
+        message: tweets.length > 1
+            ? `published a thread of ${tweets.length} tweets (Tweet IDs: ${outcome.tweetIds.join(', ')})`
+            : `published (Tweet ID: ${outcome.tweetIds[0] ?? 'unknown'})`
+    };
+}
+
+// Each platform runs independently, so one failing never hides the other's outcome
+async function crossPost(args, ctx) {
+    const senders = { linkedin: crossPostToLinkedin, twitter: crossPostToTwitter };
+    const platforms = [...new Set(args.platforms)];
+    const outcomes = await Promise.all(platforms.map(async (platform) => {
+        try {
+            return await senders[platform](args, ctx);
+        } catch (error) {
+            if (!(error instanceof McpError)) { throw error; }
+            return { status: 'failed', message: error.message };
+        }
+    }));
+    const icons = { published: '✅', scheduled: '✅', skipped: '⏭️', failed: '❌' };
+    const lines = platforms.map((platform, index) => `${icons[outcomes[index].status]} ${crossPostPlatformNames[platform]}: ${outcomes[index].message}`);
+    const failed = outcomes.filter(outcome => outcome.status === 'failed').length;
+    const succeeded = outcomes.filter(outcome => outcome.status === 'published' || outcome.status === 'scheduled').length;
+    const summary = failed === 0 ? 'Cross-post finished.' : `Cross-post partially failed (${failed} of ${platforms.length} platforms).`;
+    return { content: [textContent(`${summary}\n${lines.join('\n')}`)], isError: succeeded === 0 && failed > 0 };
+}
+
+// Post Analytics
+// analyze_post_performance does the arithmetic itself instead of leaving it to the model.
+// Engagement is reactions + comments + reposts. Weekday and hour use the requested time zone.
+const postLengthBuckets = [
+    { name: 'short', label: 'Short (<500 chars)', max: 499 },
+    { name: 'medium', label: 'Medium (500-1299 chars)', max: 1299 },
+    { name: 'long', label: 'Long (1300+ chars)', max: Infinity }
+];
+const weekdayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function median(values) {
+    if (values.length === 0) { return 0; }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mean(values) {
+    return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Text-only heuristics, since the posts endpoint does not report attachments
+function detectPostFormat(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.filter(line => /^(\d+[.)]|[-•*→✅👉])\s/u.test(line)).length >= 3) { return 'list'; }
+    if (/\?\s*$/.test(lines[0] || '')) { return 'question hook'; }
+    if (/https?:\/\//.test(text)) { return 'with link'; }
+    return 'plain text';
+}
+
+function localDateParts(isoDate, timeZone) {
+    const date = new Date(isoDate);
+    if (Number.isNaN(date.getTime())) { return null; }
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' })
+        .formatToParts(date).map(part => [part.type, part.value]));
+    return { weekday: parts.weekday, hour: Number(parts.hour) };
+}
+
+function summarizeGroup(name, posts) {
+    const engagement = posts.map(post => post.engagement);
+    return { group: name, posts: posts.length, average_engagement: round1(mean(engagement)), median_engagement: round1(median(engagement)) };
+}
+
+function groupPosts(posts, keyOf, order) {
+    const groups = new Map();
+    posts.forEach(post => {
+        const key = keyOf(post);
+        if (key === null) { return; }
+        if (!groups.has(key)) { groups.set(key, []); }
+        groups.get(key).push(post);
+    });
+    const keys = order ? order.filter(key => groups.has(key)) : [...groups.keys()];
+    return keys.map(key => summarizeGroup(key, groups.get(key)));
+}
+
+// Compares the older and newer half of the window and fits a least-squares slope per post
+function computeTrend(postsOldestFirst) {
+    if (postsOldestFirst.length < 4) {
+        return { direction: 'not enough posts', first_half_average: null, second_half_average: null, change_percent: null, slope_per_post: null };
+    }
+    const half = Math.floor(postsOldestFirst.length / 2);
+    const firstHalf = mean(postsOldestFirst.slice(0, half).map(post => post.engagement));
+    const secondHalf = mean(postsOldestFirst.slice(postsOldestFirst.length - half).map(post => post.engagement));
+    const xs = postsOldestFirst.map((post, index) => index);
+    const ys = postsOldestFirst.map(post => post.engagement);
+    const xMean = mean(xs);
+    const yMean = mean(ys);
+    const slope = xs.reduce((sum, x, index) => sum + (x - xMean) * (ys[index] - yMean), 0) / xs.reduce((sum, x) => sum + (x - xMean) ** 2, 0);
+    const changePercent = firstHalf === 0 ? null : round1(((secondHalf - firstHalf) / firstHalf) * 100);
+    const direction = changePercent === null ? 'flat' : changePercent > 10 ? 'rising' : changePercent < -10 ? 'falling' : 'flat';
+    return { direction, first_half_average: round1(firstHalf), second_half_average: round1(secondHalf), change_percent: changePercent, slope_per_post: round1(slope) };
+}
+
+function analyzePosts(rawPosts, { timeZone, topCount }) {
+    const posts = rawPosts.map(normalizeLinkedinPost).filter(post => post.text).map(post => {
+        const local = localDateParts(post.postedDate, timeZone);
+        return {
+            urn: post.urn,
+            url: post.postUrl,
+            posted_at: String(post.postedDate),
+            text: post.text,
+            length: [...post.text].length,
+            format: detectPostFormat(post.text),
+            weekday: local?.weekday ?? null,
+            hour: local?.hour ?? null,
+            reactions: Number(post.reactions) || 0,
+            comments: Number(post.comments) || 0,
+            reposts: Number(post.reposts) || 0
+        };
+    }).map(post => ({ ...post, engagement: post.reactions + post.comments + post.reposts }));
+
+    const engagement = posts.map(post => post.engagement);
+    const ranked = [...posts].sort((a, b) => b.engagement - a.engagement);
+    const performer = (post) => ({ urn: post.urn, url: post.url, posted_at: post.posted_at, engagement: post.engagement, excerpt: post.text.replace(/\s+/g, ' ').substring(0, 80) });
+    const oldestFirst = posts.filter(post => post.weekday !== null).sort((a, b) => new Date(a.posted_at) - new Date(b.posted_at));
+    return {
+        time_zone: timeZone,
+        post_count: posts.length,
+        engagement: {
+            total: engagement.reduce((sum, value) => sum + value, 0),
+            average: round1(mean(engagement)),
+            median: round1(median(engagement)),
+            average_reactions: round1(mean(posts.map(post => post.reactions))),
+            average_comments: round1(mean(posts.map(post => post.comments))),
+            average_reposts: round1(mean(posts.map(post => post.reposts)))
+        },
+        by_weekday: groupPosts(posts, post => post.weekday, weekdayNames),
+        by_hour: groupPosts(posts, post => (post.hour === null ? null : `${String(post.hour).padStart(2, '0')}:00`), [...Array(24).keys()].map(hour => `${String(hour).padStart(2, '0')}:00`)),
+        by_length: groupPosts(posts, post => postLengthBuckets.find(bucket => post.length <= bucket.max).label, postLengthBuckets.map(bucket => bucket.label)),
+        by_format: groupPosts(posts, post => post.format).sort((a, b) => b.average_engagement - a.average_engagement),
+        top_performers: ranked.slice(0, topCount).map(performer),
+        bottom_performers: ranked.slice(Math.max(topCount, ranked.length - topCount)).reverse().map(performer),
+        trend: computeTrend(oldestFirst),
+        posts: posts.map(({ urn, posted_at: postedAt, weekday, hour, length, format, reactions, comments, reposts, engagement: total }) => ({
+            urn, posted_at: postedAt, weekday, hour, length, format, reactions, comments, reposts, engagement: total
+        }))
+    };
+}
+
+function formatGroupTable(title, rows) {
+    if (rows.length === 0) { return `${title}: no data`; }
+    return `${title}:\n| Group | Posts | Avg engagement | Median |\n| --- | --- | --- | --- |\n` +
+        rows.map(row => `| ${row.group} | ${row.posts} | ${row.average_engagement} | ${row.median_engagement} |`).join('\n');
+}
+
+function formatPerformanceReport(analysis) {
+    const best = (rows) => (rows.length > 0 ? [...rows].sort((a, b) => b.average_engagement - a.average_engagement)[0].group : 'n/a');
+    const { engagement, trend } = analysis;
+    const trendText = trend.change_percent === null
+        ? `Trend: ${trend.direction}.`
+        : `Trend: ${trend.direction} (${trend.change_percent > 0 ? '+' : ''}${trend.change_percent}% from the older half to the newer half of the window; ${trend.slope_per_post} engagement per post).`;
+    const summary = [
+        `Analyzed ${analysis.post_count} posts (times in ${analysis.time_zone}).`,
+        `Engagement per post: average ${engagement.average}, median ${engagement.median} (reactions ${engagement.average_reactions}, comments ${engagement.average_comments}, reposts ${engagement.average_reposts} on average).`,
+        `Best weekday: ${best(analysis.by_weekday)}. Best hour: ${best(analysis.by_hour)}. Best length: ${best(analysis.by_length)}. Best format: ${best(analysis.by_format)}.`,
+        trendText,
+        'Groups with one or two posts are anecdotes, not patterns.'
+    ].join('\n');
+    const performers = (title, rows) => `${title}:\n` + rows.map((row, index) => `${index + 1}. ${row.engagement} engagement, ${row.posted_at}: "${row.excerpt}" ${row.url}`).join('\n');
+    const postTable = '| Posted | Weekday | Hour | Length | Format | Reactions | Comments | Reposts | Engagement |\n| --- | --- | --- | --- | --- | --- | --- | --- | --- |\n' +
+        analysis.posts.map(post => `| ${post.posted_at} | ${post.weekday ?? '?'} | ${post.hour ?? '?'} | ${post.length} | ${post.format} | ${post.reactions} | ${post.comments} | ${post.reposts} | ${post.engagement} |`).join('\n');
+    return [
+        summary,
+        [
+            formatGroupTable('By weekday', analysis.by_weekday),
+            formatGroupTable('By hour', analysis.by_hour),
+            formatGroupTable('By length', analysis.by_length),
+            formatGroupTable('By format', analysis.by_format)
+        ].join('\n\n'),
+        `${performers('Top performers', analysis.top_performers)}\n\n${performers('Bottom performers', analysis.bottom_performers)}`,
+        `Posts:\n${postTable}`
+    ];
+}
+
+async function analyzePostPerformance(args, ctx) {
+    let data;
+    try {
+        data = await requestToolData(toolRegistry.get('get_linkedin_posts'), { limit: args.limit }, ctx);
+    } catch (error) {
+        if (!(error instanceof BackendError)) { throw error; }
+        return errorResult(`Failed to analyze post performance: ${error.message}${error.hint}`);
+    }
+    const analysis = analyzePosts(data.posts || [], { timeZone: args.time_zone, topCount: args.top_count });
+    if (analysis.post_count === 0) {
+        return errorResult('Failed to analyze post performance: no posts with text were returned.');
+    }
+    const texts = formatPerformanceReport(analysis);
+    texts[0] += formatCacheNotice(data);
+    return { content: texts.map(textContent), structuredContent: analysis, isError: false };
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+const performanceGroupSchema = {
+    type: "array",
+    items: {
+        type: "object",
+        properties: {
+            group: { type: "string" },
+            posts: { type: "integer" },
+            average_engagement: { type: "number" },
+            median_engagement: { type: "number" }
+        },
+        required: ["group", "posts", "average_engagement", "median_engagement"]
+    }
+};
+
+const performerSchema = {
+    type: "array",
+    items: {
+        type: "object",
+        properties: {
+            urn: { type: "string" },
+            url: { type: "string" },
+            posted_at: { type: "string" },
+            engagement: { type: "integer" },
+            excerpt: { type: "string" }
+        },
+        required: ["urn", "engagement"]
+    }
+};
+
+const postPerformanceOutputSchema = {
+    type: "object",
+    properties: {
+        time_zone: { type: "string" },
+        post_count: { type: "integer" },
+        engagement: {
+            type: "object",
+            properties: {
+                total: { type: "integer" },
+                average: { type: "number" },
+                median: { type: "number" },
+                average_reactions: { type: "number" },
+                average_comments: { type: "number" },
+                average_reposts: { type: "number" }
+            },
+            required: ["total", "average", "median"]
+        },
+        by_weekday: performanceGroupSchema,
+        by_hour: performanceGroupSchema,
+        by_length: performanceGroupSchema,
+        by_format: performanceGroupSchema,
+        top_performers: performerSchema,
+        bottom_performers: performerSchema,
+        trend: {
+            type: "object",
+            properties: {
+                direction: { type: "string" },
+                first_half_average: { type: ["number", "null"] },
+                second_half_average: { type: ["number", "null"] },
+                change_percent: { type: ["number", "null"] },
+                slope_per_post: { type: ["number", "null"] }
+            },
+            required: ["direction"]
+        },
+        posts: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    urn: { type: "string" },
+                    posted_at: { type: "string" },
+                    weekday: { type: ["string", "null"] },
+                    hour: { type: ["integer", "null"] },
+                    length: { type: "integer" },
+                    format: { type: "string" },
+                    reactions: { type: "integer" },
+                    comments: { type: "integer" },
+                    reposts: { type: "integer" },
+                    engagement: { type: "integer" }
+                },
+                required: ["urn", "posted_at", "length", "format", "reactions", "comments", "reposts", "engagement"]
+            }
+        },
+        account: { type: "string" }
+    },
+    required: ["post_count", "engagement", "by_weekday", "by_hour", "by_length", "by_format", "top_performers", "bottom_performers", "trend", "posts"]
+};
+
+// Export
+// export_linkedin_data (and the `export` command) writes the posts and profile the read tools
+// return to a file. CSV holds one table, so a CSV export with both writes the profile next to
+// the posts as <name>-profile.csv.
+const exportFormats = { '.csv': 'csv', '.json': 'json', '.md': 'markdown', '.markdown': 'markdown' };
+const exportPostColumns = ['posted_at', 'text', 'url', 'urn', 'reactions', 'comments', 'reposts', 'engagement'];
+const exportDatePattern = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function exportFormatFor(args) {
+    return args.format || exportFormats[path.extname(args.path).toLowerCase()] || null;
+}
+
+// A date-only `to_date` includes that whole day
+function parseExportDate(value, endOfDay) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    }
+    return new Date(value);
+}
+
+function validateExportArgs(args) {
+    const problems = [];
+    if (!exportFormatFor(args)) {
+        problems.push(`'format' is required when the path does not end in ${Object.keys(exportFormats).join(', ')}`);
+    }
+    ['from_date', 'to_date'].forEach(field => {
+        if (args[field] !== undefined && (!exportDatePattern.test(args[field]) || Number.isNaN(parseExportDate(args[field]).getTime()))) {
+            problems.push(`'${field}' must be a date like 2025-05-01 or an ISO 8601 timestamp`);
+        }
+    });
+    if (args.from_date && args.to_date && parseExportDate(args.from_date, false) > parseExportDate(args.to_date, true)) {
+        problems.push("'from_date' must not be after 'to_date'");
+    }
+    return problems;
+}
+
+function selectExportPosts(data, args) {
+    const from = args.from_date ? parseExportDate(args.from_date, false) : null;
+    const to = args.to_date ? parseExportDate(args.to_date, true) : null;
+    return structureLinkedinPosts(data).posts
+        .filter(post => {
+            if (!from && !to) { return true; }
+            const postedAt = new Date(post.posted_at);
+            if (Number.isNaN(postedAt.getTime())) { return false; }
+            return (!from || postedAt >= from) && (!to || postedAt <= to);
+        })
+        .map(post => {
+            const row = { ...post, engagement: post.reactions + post.comments + post.reposts };
+            return Object.fromEntries(args.columns.map(column => [column, row[column]]));
+        });
+}
+
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab, CR) is prefixed with '
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) { text = `'${text}`; }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// The profile as field/value rows; experience and education become one row per entry
+function profileCsvRows(profile) {
+    const rows = [
+        { field: 'linkedin_url', value: profile.linkedin_url },
+        { field: 'headline', value: profile.headline },
+        { field: 'summary', value: profile.summary }
+    ];
+    profile.experience.forEach((exp, index) => {
+        rows.push({ field: `experience_${index + 1}`, value: [exp.title, exp.company, exp.date_range].filter(Boolean).join(' | ') });
+    });
+    profile.education.forEach((edu, index) => {
+        rows.push({ field: `education_${index + 1}`, value: [edu.school, edu.degree, edu.field_of_study, edu.date_range].filter(Boolean).join(' | ') });
+    });
+    return rows;
+}
+
+function markdownCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function toMarkdown({ posts, profile, columns, exportedAt }) {
+    const sections = [`# LinkedIn export\n\nExported ${exportedAt}.`];
+    if (profile) {
+        const lines = [`## Profile`, '', `- **Headline:** ${profile.headline || 'n/a'}`];
+        if (profile.linkedin_url) { lines.push(`- **URL:** ${profile.linkedin_url}`); }
+        if (profile.summary) { lines.push('', profile.summary); }
+        if (profile.experience.length > 0) {
+            lines.push('', '### Experience', '', ...profile.experience.map(exp => `- ${[exp.title, exp.company, exp.date_range].filter(Boolean).join(', ')}`));
+        }
+        if (profile.education.length > 0) {
+            lines.push('', '### Education', '', ...profile.education.map(edu => `- ${[edu.school, edu.degree, edu.field_of_study, edu.date_range].filter(Boolean).join(', ')}`));
+        }
+        sections.push(lines.join('\n'));
+    }
+    if (posts) {
+        sections.push(`## Posts (${posts.length})\n\n` +
+            `| ${columns.join(' | ')} |\n| ${columns.map(() => '---').join(' | ')} |\n` +
+            posts.map(post => `| ${columns.map(column => markdownCell(post[column])).join(' | ')} |`).join('\n'));
+    }
+    return sections.join('\n\n') + '\n';
+}
+
+// Writes every file or none: all targets are checked before the first write. Without overwrite
+// the write itself also refuses an existing file, in case one appeared after the check.
+async function writeExportFiles(files, overwrite, ctx) {
+    for (const file of files) {
+        await checkFileAccess(file.path, ctx);
+        if (!overwrite && await fs.pathExists(file.path)) {
+            throw new ToolError(`${file.path} already exists (set overwrite to replace it)`);
+        }
+    }
+    for (const file of files) {
+        await fs.ensureDir(path.dirname(file.path));
+        await fs.writeFile(file.path, file.content, { encoding: 'utf8', flag: overwrite ? 'w' : 'wx' });
+    }
+}
+
+function buildExportFiles(targetPath, format, { posts, profile, columns, exportedAt }) {
+    if (format === 'json') {
+        return [{ path: targetPath, content: JSON.stringify({ exported_at: exportedAt, ...(profile ? { profile } : {}), ...(posts ? { posts } : {}) }, null, 2) + '\n' }];
+    }
+    if (format === 'markdown') {
+        return [{ path: targetPath, content: toMarkdown({ posts, profile, columns, exportedAt }) }];
+    }
+    const profileFile = () => ({ path: targetPath, content: toCsv(['field', 'value'], profileCsvRows(profile)) });
+    if (!posts) { return [profileFile()]; }
+    const files = [{ path: targetPath, content: toCsv(columns, posts) }];
+    if (profile) {
+        const extension = path.extname(targetPath);
+        files.push({ ...profileFile(), path: `${targetPath.slice(0, targetPath.length - extension.length)}-profile${extension || '.csv'}` });
+    }
+    return files;
+}
+
+async function exportLinkedinData(args, ctx) {
+    const targetPath = path.resolve(args.path.replace(/^~(?=$|[\\/])/, os.homedir()));
+    const format = exportFormatFor(args);
+    const include = new Set(args.include);
+    let posts = null;
+    let profile = null;
+    const notices = [];
+    try {
+        if (include.has('posts')) {
+            const data = await requestToolData(toolRegistry.get('get_linkedin_posts'), { limit: args.limit }, ctx);
+            posts = selectExportPosts(data, args);
+            notices.push(formatCacheNotice(data));
+        }
+        if (include.has('profile')) {
+            const data = await requestToolData(toolRegistry.get('get_linkedin_profile'), {}, ctx);
+            const { data_last_updated: lastUpdated, data_staleness_info: stalenessInfo, cache, ...fields } = structureLinkedinProfile(data);
+            profile = fields;
+            notices.push(formatCacheNotice(data));
+        }
+        const files = buildExportFiles(targetPath, format, { posts, profile, columns: args.columns, exportedAt: new Date().toISOString() });
+        await writeExportFiles(files, args.overwrite, ctx);
+        const written = [];
+        if (posts) {
+            const range = args.from_date || args.to_date ? ` between ${args.from_date || 'the start'} and ${args.to_date || 'now'}` : '';
+            written.push(`${posts.length} post${posts.length === 1 ? '' : 's'}${range}`);
+        }
+        if (profile) { written.push('the profile'); }
+        log.info(`Exported ${written.join(' and ')}.`, { files: files.map(file => file.path) });
+        return {
+            content: [textContent(`Exported ${written.join(' and ')} as ${format.toUpperCase()} to:\n${files.map(file => `- ${file.path}`).join('\n')}${[...new Set(notices)].join('')}`)],
+            isError: false
+        };
+    } catch (error) {
+        if (error instanceof BackendError) {
+            return errorResult(`Failed to export LinkedIn data: ${error.message}${error.hint}`);
+        }
+        if (error instanceof ToolError || error.code === 'EEXIST' || error.code === 'EACCES' || error.code === 'EISDIR' || error.code === 'ENOTDIR' || error.code === 'EROFS') {
+            return errorResult(`Failed to export LinkedIn data: ${error.message}`);
+        }
+        throw error;
+    }
+}
+
+// Audit Log
+// Every publish_linkedin_post, schedule_linkedin_post and publish_twitter_post attempt (including
+// ones made through drafts, threads and cross_post) is appended to audit.jsonl in the config
+// directory: who sent what (account, client, content hash), the outcome and the IDs it produced.
+// get_publish_history and the `audit` command read it back.
+const auditLogFile = 'audit.jsonl';
+const auditResultIcons = { success: '✅', failed: '❌', cancelled: '⚠️' };
+
+function hashContent(text) {
+    return crypto.createHash('sha256').update(text || '', 'utf8').digest('hex');
+}
+
+function describeAuditMedia(media) {
+    return (media || []).map(item => ({
+        filename: item.filename,
+        ...(item.file_url ? { source: 'url', location: item.file_url } : {}),
+        ...(item.file_path ? { source: 'file', location: item.file_path } : {}),
+        ...(typeof item.file_data === 'string' ? { source: 'inline', base64_length: item.file_data.length } : {})
+    }));
+}
+
+function auditOutcome(data, error) {
+    if (!error) { return { result: 'success', ...pickStrings({ post_urn: data?.post_urn, tweet_id: data?.tweet_id, scheduled_job_id: data?.scheduled_job_id }) }; }
+    if (error instanceof RequestCancelledError) {
+        return { result: 'cancelled', error: 'Cancelled by the client while the request was in flight; the post may or may not have gone out.' };
+    }
+    return { result: 'failed', error: error.message };
+}
+
+// Never throws: a full disk must not turn a successful post into a reported failure
+async function recordPublishAttempt(tool, args, ctx, { data, error } = {}) {
+    const text = args.post_text || '';
+    const entry = {
+        time: new Date().toISOString(),
+        tool: tool.name,
+        platform: tool.audit.platform,
+        action: tool.audit.action,
+        account: ctx.account?.name ?? null,
+        via: ctx.session ? (ctx.session.clientInfo?.name || 'MCP client') : 'command line',
+        content_sha256: hashContent(text),
+        content_length: [...text].length,
+        // With content redaction on, the hash and length are all that is kept of the text
+        ...(loggingSettings.redactContent ? {} : { excerpt: text.replace(/\s+/g, ' ').trim().substring(0, 80) }),
+        media: describeAuditMedia(args.media),
+        ...pickStrings({ scheduled_date: args.scheduled_date, reply_to_tweet_id: args.reply_to_tweet_id, idempotency_key: args.idempotency_key }),
+        ...auditOutcome(data, error)
+    };
+    try {
+        await fs.ensureDir(getRunnerConfigDir());
+        await fs.appendFile(getStorePath(auditLogFile), `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+    } catch (e) {
+        log.warning(`Could not write ${auditLogFile}; this attempt is not in the audit log.`, { error: e.message, entry });
+    }
+}
+
+async function readAuditLog() {
+    const auditPath = getStorePath(auditLogFile);
+    let raw;
+    try {
+        raw = await fs.readFile(auditPath, 'utf8');
+    } catch (e) {
+        if (e.code !== 'ENOENT') { log.warning(`Could not read ${auditPath}.`, { error: e.message }); }
+        return [];
+    }
+    const entries = [];
+    raw.split('\n').filter(line => line.trim() !== '').forEach((line, index) => {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            log.warning(`Skipping unreadable line ${index + 1} of ${auditPath}.`);
+        }
+    });
+    return entries;
+}
+
+function validateHistoryArgs(args) {
+    const problems = [];
+    ['since', 'until'].forEach(field => {
+        if (args[field] !== undefined && (!exportDatePattern.test(args[field]) || Number.isNaN(parseExportDate(args[field]).getTime()))) {
+            problems.push(`'${field}' must be a date like 2025-05-01 or an ISO 8601 timestamp`);
+        }
+    });
+    return problems;
+}
+
+function matchesHistoryFilters(entry, args) {
+    const time = new Date(entry.time);
+    if (args.since && time < parseExportDate(args.since, false)) { return false; }
+    if (args.until && time > parseExportDate(args.until, true)) { return false; }
+    if (args.platform && entry.platform !== args.platform) { return false; }
+    if (args.action && entry.action !== args.action) { return false; }
+    if (args.result && entry.result !== args.result) { return false; }
+    if (args.account && entry.account !== args.account) { return false; }
+    if (args.content_hash && !String(entry.content_sha256).startsWith(args.content_hash.toLowerCase())) { return false; }
+    if (args.post_text && entry.content_sha256 !== hashContent(args.post_text)) { return false; }
+    if (args.search && ![entry.excerpt, entry.error].some(field => typeof field === 'string' && field.toLowerCase().includes(args.search.toLowerCase()))) { return false; }
+    return true;
+}
+
+function formatAuditEntry(entry) {
+    const what = `${crossPostPlatformNames[entry.platform] || entry.platform} ${entry.action}`;
+    const who = `${entry.account ? `'${entry.account}'` : 'unknown account'} via ${entry.via}`;
+    const ids = [entry.post_urn, entry.tweet_id && `tweet ${entry.tweet_id}`, entry.scheduled_job_id && `job ${entry.scheduled_job_id}`].filter(Boolean).join(', ');
+    const content = typeof entry.excerpt === 'string' ? `"${entry.excerpt}${entry.content_length > 80 ? '…' : ''}"` : `${entry.content_length} characters, text not recorded`;
+    const lines = [`${entry.time} ${auditResultIcons[entry.result] || ''} ${what} by ${who}: ${content} (sha256 ${String(entry.content_sha256).substring(0, 12)})`];
+    if (entry.scheduled_date) { lines.push(`   scheduled for ${entry.scheduled_date}`); }
+    if (entry.reply_to_tweet_id) { lines.push(`   in reply to tweet ${entry.reply_to_tweet_id}`); }
+    if (entry.media?.length > 0) { lines.push(`   media: ${entry.media.map(item => `${item.filename} (${item.source})`).join(', ')}`); }
+    if (ids) { lines.push(`   → ${ids}`); }
+    if (entry.error) { lines.push(`   error: ${entry.error}`); }
+    return lines.join('\n');
+}
+
+async function getPublishHistory(args) {
+    const matching = (await readAuditLog()).filter(entry => matchesHistoryFilters(entry, args)).reverse();
+    const entries = matching.slice(0, args.limit);
+    const auditPath = getStorePath(auditLogFile);
+    const header = matching.length === 0
+        ? `No matching publish attempts in ${auditPath}.`
+        : `Publish history: ${entries.length} of ${matching.length} matching attempt${matching.length === 1 ? '' : 's'}, newest first (from ${auditPath}).`;
+    return {
+        content: [textContent([header, ...entries.map(formatAuditEntry)].join('\n\n'))],
+        structuredContent: { entries, total_matching: matching.length, log_path: auditPath },
+        isError: false
+    };
+}
+
+const publishHistoryOutputSchema = {
+    type: "object",
+    properties: {
+        entries: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    time: { type: "string" },
+                    tool: { type: "string" },
+                    platform: { type: "string" },
+                    action: { type: "string" },
+                    account: { type: ["string", "null"] },
+                    via: { type: "string" },
+                    content_sha256: { type: "string" },
+                    content_length: { type: "integer" },
+                    excerpt: { type: "string" },
+                    media: { type: "array", items: { type: "object" } },
+                    scheduled_date: { type: "string" },
+                    reply_to_tweet_id: { type: "string" },
+                    idempotency_key: { type: "string" },
+                    result: { type: "string", enum: ["success", "failed", "cancelled"] },
+                    post_urn: { type: "string" },
+                    tweet_id: { type: "string" },
+                    scheduled_job_id: { type: "string" },
+                    error: { type: "string" }
+                },
+                required: ["time", "tool", "platform", "action", "content_sha256", "result"]
+            }
+        },
+        total_matching: { type: "integer" },
+        log_path: { type: "string" }
+    },
+    required: ["entries", "total_matching", "log_path"]
+};
+
+// Refresh Polling
+// The refresh endpoints only start a re-scrape. With `wait`, the refresh tools poll the matching
+// read endpoint until data_last_updated moves past the value from before the refresh, sending
+// notifications/progress while they wait, and give up cleanly after `timeout_seconds`.
+const refreshPollSettings = { initialIntervalMs: 2000, maxIntervalMs: 10000, backoffFactor: 1.5 };
+
+// What the backend currently reports, bypassing the response cache
+async function fetchDataLastUpdated(dataTool, ctx) {
+    const data = await requestToolData(dataTool, applySchemaDefaults(dataTool.inputSchema, {}), ctx, { fresh: true });
+    return data._cache ? null : (data.data_last_updated || null);
+}
+
+async function refreshLinkedinData(refreshToolName, dataToolName, args, ctx) {
+    const refreshTool = toolRegistry.get(refreshToolName);
+    const dataTool = toolRegistry.get(dataToolName);
+    if (!args.wait) {
+        return (await runBackendTool(refreshTool, args, ctx)).result;
+    }
+
+    let baseline = null;
+    try {
+        baseline = await fetchDataLastUpdated(dataTool, ctx);
+    } catch (error) {
+        if (!(error instanceof BackendError)) { throw error; }
+        log.warning(`Could not read data_last_updated before ${refreshToolName} (${error.message}).`);
+    }
+    const outcome = await runBackendTool(refreshTool, args, ctx);
+    if (outcome.result.isError) { return outcome.result; }
+    const started = outcome.result.content;
+    if (!baseline) {
+        return { content: [...started, textContent(`⚠️ Could not tell when the refresh finishes: ${dataToolName} reported no last-updated time before it started. Check data_last_updated with ${dataToolName} in a minute or two.`)], isError: false };
+    }
+
+    try {
+        return await pollForRefreshedData(dataTool, baseline, started, args, ctx);
+    } finally {
+        // Polls cache the pre-refresh data; unless new data arrived, mark it outdated again
+        const cached = readCachedResponse(dataTool.cache, ctx.apiKey);
+        if (cached && cached.data.data_last_updated === baseline) {
+            await invalidateCachedResponse(dataTool.cache, ctx.apiKey);
+        }
+    }
+}
+
+async function pollForRefreshedData(dataTool, baseline, started, args, ctx) {
+    const dataToolName = dataTool.name;
+    // Progress has to increase with every notification; a value that hasn't moved is not sent.
+    // Waiting tops out at timeout - 1 so "finished" is always a step up.
+    let lastProgress = -1;
+    const report = (progress, message) => {
+        if (!ctx.reportProgress || progress <= lastProgress) { return; }
+        lastProgress = progress;
+        ctx.reportProgress(progress, args.timeout_seconds, message);
+    };
+    const startedAt = Date.now();
+    const deadline = startedAt + args.timeout_seconds * 1000;
+    let intervalMs = refreshPollSettings.initialIntervalMs;
+    report(0, `Refresh started; waiting for ${dataToolName} to report new data.`);
+    while (Date.now() < deadline) {
+        await sleep(Math.min(intervalMs, deadline - Date.now()), ctx.signal);
+        intervalMs = Math.min(refreshPollSettings.maxIntervalMs, intervalMs * refreshPollSettings.backoffFactor);
+        const elapsedSeconds = Math.round((Date.now() - startedAt) / 1000);
+        let lastUpdated;
+        try {
+            lastUpdated = await fetchDataLastUpdated(dataTool, ctx);
+        } catch (error) {
+            if (!(error instanceof BackendError)) { throw error; }
+            if (!error.transient) {
+                return { content: [...started, textContent(`⚠️ The refresh was started, but checking for new data failed: ${error.message}`)], isError: false };
+            }
+            log.warning(`Polling ${dataToolName} failed (${error.message}); trying again.`);
+            report(Math.min(elapsedSeconds, args.timeout_seconds - 1), `Still waiting (${elapsedSeconds}s); the last check failed and will be retried.`);
+            continue;
+        }
+        if (lastUpdated && lastUpdated !== baseline) {
+            report(args.timeout_seconds, `Refresh finished after ${elapsedSeconds}s.`);
+            return { content: [...started, textContent(`✅ Refresh finished after ${elapsedSeconds}s. New data is ready (last updated: ${lastUpdated}); ${dataToolName} now returns it.`)], isError: false };
+        }
+        report(Math.min(elapsedSeconds, args.timeout_seconds - 1), `Still waiting for new data (${elapsedSeconds}s of ${args.timeout_seconds}s).`);
+    }
+    return {
+        content: [...started, textContent(`⏱️ The refresh was started, but ${dataToolName} still reported data from ${baseline} after ${args.timeout_seconds}s. It may finish later; check data_last_updated with ${dataToolName} before relying on the data.`)],
+        isError: false
+    };
+}
+
+const refreshWaitProperties = {
+    wait: {
+        type: "boolean",
+        default: false,
+        description: "Optional. Wait until the refreshed data is actually available before returning (sends progress notifications while waiting). Recommended before reading the data again."
+    },
+    timeout_seconds: {
+        type: "integer",
+        minimum: 5,
+        maximum: 600,
+        default: 120,
+        description: "Optional. With wait, how long to wait for new data before giving up (default 120)."
+    }
+};
+
+const toolDefinitions = [
+    {
+        name: "list_accounts",
+        description: "List the stored LinkedIn accounts (name, masked API key, LinkedIn URL, argument defaults) and which one is used when a tool call has no 'account' argument.",
+        inputSchema: {
+            type: "object",
+            properties: {}
+        },
+        requiresApiKey: false,
+        accountArgument: false,
+        handler: async () => ({ content: [textContent(formatAccountsList(loadCredentials()))], isError: false })
+    },
+    {
+        name: "publish_linkedin_post",
+        description: "Publish a text post to LinkedIn, optionally including media (images, videos or a PDF document) given as a URL ('file_url'), a local file ('file_path') or base64 contents ('file_data'). 'file_path' and 'file_data' need the backend's media_uploads feature.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                post_text: { ...nonBlankString("The text content of the LinkedIn post."), maxLength: linkedinMaxCharacters },
+                media: mediaSchema('promo_video.mp4'),
+                idempotency_key: idempotencyKeySchema,
+                dry_run: dryRunSchema
+            },
+            required: ["post_text"]
+        },
+        endpoint: backendApiUrl,
+        retryPolicy: "nonIdempotent",
+        apiLabel: "backend publish API",
+        failureMessage: "Failed to publish post to LinkedIn",
+        audit: { platform: 'linkedin', action: 'publish' },
+        invalidatesCache: ["posts"],
+        updatesResources: ["linkedin://posts/recent"],
+        prepare: prepareMediaArgs,
+        mapRequest: (args) => ({ post_text: args.post_text, media: args.media || [] }),
+        preview: renderLinkedinPreview,
+        formatResponse: (data) => {
+            // Include post_urn from backend if available
+            const postDetails = data.post_urn ? ` (Post ID: ${data.post_urn})` : '';
+            return [textContent(`✅ Successfully published post to LinkedIn${postDetails}.`)];
+        }
+    },
+    {
+        name: "schedule_linkedin_post",
+        description: "Schedule a text post for LinkedIn at a specific future date and time, optionally including media (images, videos or a PDF document) given as a URL ('file_url'), a local file ('file_path') or base64 contents ('file_data'). 'file_path' and 'file_data' need the backend's media_uploads feature.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                post_text: { ...nonBlankString("The text content of the LinkedIn post to be scheduled."), maxLength: linkedinMaxCharacters },
+                scheduled_date: {
+                    type: "string",
+                    format: "date-time",
+                    description: "The date and time to publish the post, in ISO 8601 format (e.g., '2025-12-31T10:00:00Z' or '2025-12-31T15:30:00+05:30'). Must be in the future."
+                },
+                media: mediaSchema('meeting_notes.mp4'),
+                idempotency_key: idempotencyKeySchema,
+                dry_run: dryRunSchema
+            },
+            required: ["post_text", "scheduled_date"]
+        },
+        endpoint: backendScheduleApiUrl,
+        retryPolicy: "nonIdempotent",
+        apiLabel: "backend schedule API",
+        failureMessage: "Failed to schedule post for LinkedIn",
+        audit: { platform: 'linkedin', action: 'schedule' },
+        prepare: prepareMediaArgs,
+        mapRequest: (args) => ({ post_text: args.post_text, scheduled_date: args.scheduled_date, media: args.media || [] }),
+        preview: renderLinkedinPreview,
+        onSuccess: (data, args, ctx) => trackScheduledJob(data.scheduled_job_id, { post_text: args.post_text, scheduled_date: args.scheduled_date, media: omitInlineMediaData(args.media), account: ctx.account?.name, status: 'scheduled' }),
+        formatResponse: (data) => {
+            const scheduleDetails = data.scheduled_job_id ? ` (Scheduled Job ID: ${data.scheduled_job_id})` : '';
+            return [textContent(`✅ Successfully scheduled post for LinkedIn${scheduleDetails}.`)];
+        }
+    },
+    {
+        name: "preview_linkedin_post",
+        description: "Preview a LinkedIn post without publishing it: the text as shown before LinkedIn's \"see more\" fold, the character count against LinkedIn's limit, and the hashtags, mentions, links and media it contains.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                post_text: nonBlankString("The text content of the LinkedIn post to preview."),
+                media: mediaSchema('promo_video.mp4')
+            },
+            required: ["post_text"]
+        },
+        requiresApiKey: false,
+        handler: async (args, ctx) => ({ content: await renderLinkedinPreview(args, ctx), isError: false })
+    },
+    {
+        name: "save_linkedin_draft",
+        description: "Save a LinkedIn post draft locally so it can be picked up later, even in a new conversation. Media must be given as 'file_url' or 'file_path'; drafts don't store inline 'file_data'.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                post_text: { ...nonBlankString("The text of the draft post."), maxLength: linkedinMaxCharacters },
+                ...draftFieldSchemas,
+                media: mediaSchema('promo_video.mp4')
+            },
+            required: ["post_text"]
+        },
+        requiresApiKey: false,
+        handler: saveDraft
+    },
+    {
+        name: "list_linkedin_drafts",
+        description: "List saved LinkedIn drafts, optionally filtered by tag, status or text. Pass draft_id to get one draft's full text, source content and version history.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                draft_id: { type: "string", description: "Optional. Show the full details of this draft." },
+                tag: { type: "string", description: "Optional. Only drafts with this tag." },
+                status: { type: "string", enum: ["draft", "published", "scheduled"], description: "Optional. Only drafts with this status." },
+                query: { type: "string", description: "Optional. Only drafts whose title or text contains this text." }
+            }
+        },
+        requiresApiKey: false,
+        handler: listDrafts
+    },
+    {
+        name: "update_linkedin_draft",
+        description: "Edit a saved LinkedIn draft. The previous text is kept in the draft's version history.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                draft_id: draftIdSchema,
+                post_text: { ...nonBlankString("Optional. The new text of the draft."), maxLength: linkedinMaxCharacters },
+                ...draftFieldSchemas,
+                media: mediaSchema('promo_video.mp4')
+            },
+            required: ["draft_id"]
+        },
+        requiresApiKey: false,
+        handler: updateDraft
+    },
+    {
+        name: "delete_linkedin_draft",
+        description: "Delete a saved LinkedIn draft.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                draft_id: draftIdSchema
+            },
+            required: ["draft_id"]
+        },
+        requiresApiKey: false,
+        handler: deleteDraft
+    },
+    {
+        name: "publish_linkedin_draft",
+        description: "Publish a saved draft to LinkedIn now (same as publish_linkedin_post with the draft's text and media) and mark it as published.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                draft_id: draftIdSchema,
+                idempotency_key: idempotencyKeySchema,
+                dry_run: dryRunSchema,
+                resend: draftResendSchema
+            },
+            required: ["draft_id"]
+        },
+        requiresApiKey: false, // checked by publish_linkedin_post
+        handler: (args, ctx) => sendDraft('publish_linkedin_post', args, ctx)
+    },
+    {
+        name: "schedule_linkedin_draft",
+        description: "Schedule a saved draft for LinkedIn (same as schedule_linkedin_post with the draft's text and media) and mark it as scheduled.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                draft_id: draftIdSchema,
+                scheduled_date: {
+                    type: "string",
+                    format: "date-time",
+                    description: "The date and time to publish the post, in ISO 8601 format (e.g., '2025-12-31T10:00:00Z'). Must be in the future."
+                },
+                idempotency_key: idempotencyKeySchema,
+                dry_run: dryRunSchema,
+                resend: draftResendSchema
+            },
+            required: ["draft_id", "scheduled_date"]
+        },
+        requiresApiKey: false, // checked by schedule_linkedin_post
+        handler: (args, ctx) => sendDraft('schedule_linkedin_post', args, ctx)
+    },
+    {
+        name: "list_scheduled_posts",
+        description: "List LinkedIn posts scheduled for later, with their job IDs, dates and status. Shows the jobs this runner tracked locally when the backend listing is not enabled or unavailable.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                status: { type: "string", enum: ["scheduled", "published", "cancelled", "failed"], description: "Optional. Only jobs with this status." }
+            }
+        },
+        endpoint: backendListScheduledApiUrl,
+        apiLabel: "list scheduled posts API",
+        mapRequest: (args) => (args.status ? { status: args.status } : {}),
+        handler: listScheduledPosts
+    },
+    {
+        name: "get_scheduled_post",
+        description: "Get the full text, media and status of a scheduled LinkedIn post by its job ID (the locally tracked copy when the backend lookup is not enabled).",
+        inputSchema: {
+            type: "object",
+            properties: {
+                scheduled_job_id: scheduledJobIdSchema
+            },
+            required: ["scheduled_job_id"]
+        },
+        endpoint: backendGetScheduledApiUrl,
+        apiLabel: "get scheduled post API",
+        mapRequest: (args) => ({ scheduled_job_id: args.scheduled_job_id }),
+        handler: getScheduledPost
+    },
+    {
+        name: "cancel_scheduled_post",
+        description: "Cancel a scheduled LinkedIn post so it is never published.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                scheduled_job_id: scheduledJobIdSchema
+            },
+            required: ["scheduled_job_id"]
+        },
+        endpoint: backendCancelScheduledApiUrl,
+        backendFeature: 'scheduled_posts',
+        apiLabel: "cancel scheduled post API",
+        failureMessage: "Failed to cancel scheduled post",
+        mapRequest: (args) => ({ scheduled_job_id: args.scheduled_job_id }),
+        onSuccess: (data, args) => trackScheduledJob(args.scheduled_job_id, { status: 'cancelled' }),
+        formatResponse: (data, args) => [textContent(data.message || `✅ Cancelled scheduled post ${args.scheduled_job_id}.`)]
+    },
+    {
+        name: "reschedule_linkedin_post",
+        description: "Change the date, text or media of a scheduled LinkedIn post, e.g. to fix a typo before it goes out.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                scheduled_job_id: scheduledJobIdSchema,
+                scheduled_date: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Optional. The new date and time in ISO 8601 format (e.g., '2025-12-31T10:00:00Z'). Must be in the future."
+                },
+                post_text: { ...nonBlankString("Optional. The corrected text of the post."), maxLength: linkedinMaxCharacters },
+                media: mediaSchema('promo_video.mp4')
+            },
+            required: ["scheduled_job_id"]
+        },
+        validate: (args) => (args.scheduled_date === undefined && args.post_text === undefined && args.media === undefined)
+            ? ["provide at least one of 'scheduled_date', 'post_text' or 'media' to change"]
+            : [],
+        endpoint: backendRescheduleApiUrl,
+        backendFeature: 'scheduled_posts',
+        apiLabel: "reschedule post API",
+        retryPolicy: "nonIdempotent",
+        failureMessage: "Failed to reschedule LinkedIn post",
+        mapRequest: (args) => ({ scheduled_job_id: args.scheduled_job_id, scheduled_date: args.scheduled_date, post_text: args.post_text, media: args.media }),
+        prepare: prepareMediaArgs,
+        onSuccess: recordReschedule,
+        formatResponse: (data, args) => {
+            const jobId = data.scheduled_job_id || args.scheduled_job_id;
+            const changed = ['scheduled_date', 'post_text', 'media'].filter(key => args[key] !== undefined).join(', ');
+            return [textContent(`✅ Updated scheduled post ${jobId} (${changed}).${jobId !== args.scheduled_job_id ? ` It replaces job ${args.scheduled_job_id}.` : ''}`)];
+        }
+    },
+    {
+        name: "publish_twitter_post",
+        description: "Publish a text post (tweet) to Twitter. Length is counted the way Twitter does (URLs count as 23, emoji and CJK characters as 2). Set auto_split to post longer text as a thread.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                post_text: nonBlankString("The text content of the tweet (maximum 280 weighted characters unless auto_split is set)."),
+                reply_to_tweet_id: {
+                    type: "string",
+                    description: "Optional. Post the tweet as a reply to this tweet ID (needs the backend's tweet_replies feature)."
+                },
+                auto_split: {
+                    type: "boolean",
+                    default: false,
+                    description: "Optional. If the text is longer than one tweet, split it on sentence boundaries and publish it as a thread (needs the backend's tweet_replies feature)."
+                },
+                numbering: threadNumberingSchema,
+                idempotency_key: idempotencyKeySchema,
+                dry_run: dryRunSchema
+            },
+            required: ["post_text"]
+        },
+        endpoint: backendTwitterApiUrl,
+        retryPolicy: "nonIdempotent",
+        apiLabel: "Twitter API",
+        failureMessage: "Failed to publish tweet to Twitter",
+        audit: { platform: 'twitter', action: 'publish' },
+        validate: validateTweetArgs,
+        mapRequest: (args) => ({ post_text: args.post_text, ...(args.reply_to_tweet_id ? { reply_to_tweet_id: args.reply_to_tweet_id } : {}) }),
+        preview: renderTwitterPreview,
+        handler: publishTweet,
+        formatResponse: (data) => {
+            // Include tweet_id from backend if available
+            const tweetDetails = data.tweet_id ? ` (Tweet ID: ${data.tweet_id})` : '';
+            return [textContent(`✅ Successfully published tweet to Twitter${tweetDetails}.`)];
+        }
+    },
+    {
+        name: "publish_twitter_thread",
+        description: "Publish a thread to Twitter, either from a list of tweets or from longer text that is split on sentence boundaries. Each tweet replies to the previous one; the tweet IDs are reported in order. Use dry_run to preview the split.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                tweets: {
+                    type: "array",
+                    minItems: 1,
+                    items: { type: "string", pattern: "\\S" },
+                    description: "The tweets of the thread, in order (each at most 280 weighted characters, including numbering). Provide this or thread_text."
+                },
+                thread_text: nonBlankString("Text to split into a thread automatically. Provide this or tweets."),
+                numbering: threadNumberingSchema,
+                idempotency_key: idempotencyKeySchema,
+                dry_run: dryRunSchema
+            }
+        },
+        backendFeature: 'tweet_replies',
+        validate: validateThreadArgs,
+        preview: renderTwitterPreview,
+        handler: publishTwitterThread
+    },
+    {
+        name: "cross_post",
+        description: "Publish (or schedule) one text to LinkedIn and Twitter at once. LinkedIn gets the full text; Twitter gets a version with fewer hashtags, split into a thread or shortened to one tweet. Returns the result for each platform separately. Twitter posts cannot be scheduled and are skipped when scheduled_date is set.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                post_text: { ...nonBlankString("The source text, as it should appear on LinkedIn."), maxLength: linkedinMaxCharacters },
+                platforms: {
+                    type: "array",
+                    minItems: 1,
+                    items: { type: "string", enum: crossPostPlatforms },
+                    default: crossPostPlatforms,
+                    description: "Optional. Where to post (default both LinkedIn and Twitter)."
+                },
+                scheduled_date: {
+                    type: "string",
+                    format: "date-time",
+                    description: "Optional. Schedule the LinkedIn post for this ISO 8601 date/time instead of publishing now."
+                },
+                media: mediaSchema('launch_photo.png'),
+                twitter_mode: {
+                    type: "string",
+                    enum: ["thread", "shorten"],
+                    default: "thread",
+                    description: "Optional. How to fit longer text on Twitter: split it into a thread (default) or shorten it to one tweet. Media is only attached on LinkedIn."
+                },
+                twitter_max_hashtags: {
+                    type: "integer",
+                    minimum: 0,
+                    default: 2,
+                    description: "Optional. Keep at most this many hashtags in the Twitter version (default 2)."
+                },
+                numbering: threadNumberingSchema,
+                idempotency_key: idempotencyKeySchema,
+                dry_run: dryRunSchema
+            },
+            required: ["post_text"]
+        },
+        preview: renderCrossPostPreview,
+        handler: crossPost
+    },
+    {
+        name: "analyze_linkedin_chat",
+        description: "Ask questions about the user's LinkedIn profile, content, or network, with support for multi-turn conversations.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: nonBlankString("The question or request about LinkedIn data to be analyzed."),
+                conversation_history: {
+                    type: "array",
+                    default: [],
+                    description: "Optional. Previous messages in the conversation for context. Each message must have 'role' (user/assistant) and 'content' (text).",
+                    items: {
+                        type: "object",
+                        properties: {
+                            role: {
+                                type: "string",
+                                description: "The sender of the message: 'user' or 'assistant'."
+                            },
+                            content: {
+                                type: "string",
+                                description: "The text content of the message."
+                            }
+                        },
+                        required: ["role", "content"]
+                    }
+                }
+            },
+            required: ["query"]
+        },
+        endpoint: backendAnalyzeChatApiUrl,
+        apiLabel: "analyze chat API",
+        failureMessage: "Failed to analyze LinkedIn chat",
+        mapRequest: (args) => ({ query: args.query, conversation_history: args.conversation_history }),
+        isSuccess: (data) => Boolean(data && data.reply),
+        formatResponse: (data) => [textContent(data.reply)]
+    },
+    {
+        name: "generate_linkedin_post",
+        description: "Generate three LinkedIn post variants from any content (article, newsletter, notes, etc.) to optimize engagement.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                content: nonBlankString("The source content to transform into LinkedIn posts. Can be articles, emails, newsletters, notes, etc."),
+                content_type: {
+                    type: "string",
+                    default: "article",
+                    description: "Optional. A short description of the content type (e.g., 'article', 'newsletter', 'notes'). Defaults to 'article'."
+                }
+            },
+            required: ["content"]
+        },
+        endpoint: backendGeneratePostApiUrl,
+        apiLabel: "generate post API",
+        failureMessage: "Failed to generate LinkedIn post",
+        mapRequest: (args) => ({ content: args.content, contentType: args.content_type }),
+        formatResponse: (data) => {
+            if (!Array.isArray(data.variants)) {
+                // Fallback for backward compatibility
+                return [textContent(data.message || "Successfully generated LinkedIn post, but no variants were returned. Please check the backend implementation.")];
+            }
+            // A text description first, then one item per variant for better formatting
+            return [
+                textContent(`Generated ${data.variants.length} LinkedIn post variants:`),
+                ...data.variants.map((variant, index) => textContent(`Option ${index + 1}:\n${variant}`))
+            ];
+        }
+    },
+    {
+        name: "get_linkedin_posts",
+        description: "Retrieve the user's recent LinkedIn posts with engagement metrics.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                limit: {
+                    type: "number",
+                    minimum: 1,
+                    maximum: 20,
+                    default: 5,
+                    description: "Optional. Number of posts to retrieve (1-20). Defaults to 5."
+                }
+            }
+        },
+        endpoint: backendLinkedinPostsApiUrl,
+        apiLabel: "LinkedIn posts API",
+        accept: "*/*", // Accept any content type
+        cache: "posts",
+        failureMessage: "Failed to get LinkedIn posts",
+        mapRequest: (args) => ({ limit: args.limit }),
+        outputSchema: linkedinPostsOutputSchema,
+        structuredContent: structureLinkedinPosts,
+        formatResponse: (data) => {
+            const formattedPosts = (data.posts || []).map(normalizeLinkedinPost).filter(post => post.text);
+
+            // Include staleness info if available
+            const dataInfo = data.data_last_updated || 'Unknown';
+            const infoText = (data.data_staleness_info
+                ? `Found ${formattedPosts.length} LinkedIn posts. Last updated: ${dataInfo}. ${data.data_staleness_info}`
+                : `Found ${formattedPosts.length} LinkedIn posts. Last updated: ${dataInfo}`) + formatCacheNotice(data);
+
+            // Format posts as text to avoid "unsupported content type: data" error
+            return [textContent(infoText), textContent(formatPostsText(formattedPosts))];
+        }
+    },
+    {
+        name: "analyze_post_performance",
+        description: "Compute engagement statistics for the user's recent LinkedIn posts: average and median engagement (reactions + comments + reposts), breakdowns by weekday, hour, post length and format, top and bottom performers, and the trend across the window. The numbers are computed exactly, not estimated.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                limit: {
+                    type: "number",
+                    minimum: 1,
+                    maximum: 20,
+                    default: 20,
+                    description: "Optional. Number of recent posts to analyze (1-20). Defaults to 20."
+                },
+                time_zone: {
+                    type: "string",
+                    default: "UTC",
+                    description: "Optional. IANA time zone for the weekday/hour breakdown, e.g. 'Europe/Berlin'. Defaults to UTC."
+                },
+                top_count: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 10,
+                    default: 3,
+                    description: "Optional. How many top and bottom performers to list (default 3)."
+                }
+            }
+        },
+        validate: (args) => (args.time_zone === undefined || isValidTimeZone(args.time_zone) ? [] : [`'time_zone' must be an IANA time zone such as 'Europe/Berlin' (got '${args.time_zone}')`]),
+        outputSchema: postPerformanceOutputSchema,
+        handler: analyzePostPerformance
+    },
+    {
+        name: "export_linkedin_data",
+        description: "Write the user's LinkedIn posts (with metrics) and/or profile to a CSV, JSON or Markdown file on this machine. Posts can be limited to a date range and a set of columns. Use this when the user wants the data in a spreadsheet or document rather than in the chat.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                path: {
+                    type: "string",
+                    description: "Required. File to write, e.g. '~/Documents/linkedin-posts.csv'. Missing folders are created."
+                },
+                format: {
+                    type: "string",
+                    enum: ["csv", "json", "markdown"],
+                    description: "Optional. File format. Defaults to the path's extension (.csv, .json, .md)."
+                },
+                include: {
+                    type: "array",
+                    items: { type: "string", enum: ["posts", "profile"] },
+                    minItems: 1,
+                    default: ["posts", "profile"],
+                    description: "Optional. What to export (default both). A CSV export of both writes the profile to '<name>-profile.csv' next to the posts."
+                },
+                from_date: {
+                    type: "string",
+                    description: "Optional. Only export posts published on or after this date (YYYY-MM-DD or ISO 8601)."
+                },
+                to_date: {
+                    type: "string",
+                    description: "Optional. Only export posts published on or before this date (YYYY-MM-DD includes the whole day)."
+                },
+                columns: {
+                    type: "array",
+                    items: { type: "string", enum: exportPostColumns },
+                    minItems: 1,
+                    default: exportPostColumns,
+                    description: `Optional. Post columns to export, in this order. Defaults to all: ${exportPostColumns.join(', ')}. engagement is reactions + comments + reposts.`
+                },
+                limit: {
+                    type: "number",
+                    minimum: 1,
+                    maximum: 20,
+                    default: 20,
+                    description: "Optional. Number of recent posts to fetch before the date filter is applied (1-20). Defaults to 20."
+                },
+                overwrite: {
+                    type: "boolean",
+                    default: false,
+                    description: "Optional. Replace existing files. Without it the export fails if a target file exists."
+                }
+            },
+            required: ["path"]
+        },
+        validate: validateExportArgs,
+        handler: exportLinkedinData
+    },
+    {
+        name: "get_publish_history",
+        description: "Look up the local audit log of every LinkedIn publish/schedule and Twitter post attempt made through this runner: when, which account and client, a hash and excerpt of the content, media, the result and the post URN, tweet ID or scheduled job ID. Use it to answer questions like 'what did we post last week?' or 'was this text already published?'.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                limit: {
+                    type: "integer",
+                    minimum: 1,
+                    maximum: 500,
+                    default: 20,
+                    description: "Optional. Maximum number of entries to return, newest first (default 20)."
+                },
+                since: {
+                    type: "string",
+                    description: "Optional. Only attempts on or after this date (YYYY-MM-DD or ISO 8601)."
+                },
+                until: {
+                    type: "string",
+                    description: "Optional. Only attempts on or before this date (YYYY-MM-DD includes the whole day)."
+                },
+                platform: { type: "string", enum: ["linkedin", "twitter"], description: "Optional. Only this platform." },
+                action: { type: "string", enum: ["publish", "schedule"], description: "Optional. Only publishes or only schedules." },
+                result: { type: "string", enum: ["success", "failed", "cancelled"], description: "Optional. Only attempts with this outcome." },
+                account: { type: "string", description: "Optional. Only attempts made as this stored account (or 'LINKEDIN_MCP_API_KEY' for the environment variable key)." },
+                search: { type: "string", description: "Optional. Case-insensitive text to look for in the content excerpt or the error." },
+                post_text: { type: "string", description: "Optional. Full post text; matches attempts with exactly this content (by hash)." },
+                content_hash: { type: "string", description: "Optional. SHA-256 of the content, or a prefix of it." }
+            }
+        },
+        requiresApiKey: false,
+        accountArgument: false,
+        validate: validateHistoryArgs,
+        outputSchema: publishHistoryOutputSchema,
+        handler: getPublishHistory
+    },
+    {
+        name: "get_linkedin_profile",
+        description: "Retrieve the user's LinkedIn profile information including headline, summary, experience, and education.",
+        inputSchema: {
+            type: "object",
+            properties: {}
+        },
+        endpoint: backendLinkedinProfileApiUrl,
+        apiLabel: "LinkedIn profile API",
+        cache: "profile",
+        failureMessage: "Failed to get LinkedIn profile",
+        failureHint: ". This may occur if you haven't set your LinkedIn URL yet. Try using the set_linkedin_url tool first.",
+        outputSchema: linkedinProfileOutputSchema,
+        structuredContent: structureLinkedinProfile,
+        formatResponse: (data) => [
+            textContent(`LinkedIn profile data retrieved. Last updated: ${data.data_last_updated || 'Unknown'}${formatCacheNotice(data)}`),
+            // Format profile as text to avoid "unsupported content type: data" error
+            textContent(formatProfileText(data.profile || {}))
+        ]
+    },
+    {
+        name: "set_linkedin_url",
+        description: "Set or update the LinkedIn profile URL to analyze. Required before using profile/posts retrieval tools if not set previously.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                linkedin_url: nonBlankString("The full LinkedIn profile URL (e.g., https://www.linkedin.com/in/username/)")
+            },
+            required: ["linkedin_url"]
+        },
+        endpoint: backendLinkedinSetUrlApiUrl,
+        apiLabel: "set LinkedIn URL API",
+        failureMessage: "Failed to set LinkedIn URL",
+        // Data cached for the previous URL must not be served for the new one
+        invalidatesCache: ["profile", "posts"],
+        onSuccess: (data, args, ctx) => rememberLinkedinUrl(ctx.apiKey, data.linkedin_url || args.linkedin_url),
+        updatesResources: ["linkedin://profile", "linkedin://posts/recent"],
+        failureHint: ". Please ensure the URL is a valid LinkedIn profile URL (e.g., https://www.linkedin.com/in/username/).",
+        mapRequest: (args) => ({ linkedin_url: args.linkedin_url }),
+        formatResponse: (data) => [textContent(data.message || "Successfully set LinkedIn URL.")]
+    },
+    {
+        name: "refresh_linkedin_profile",
+        description: "Force a refresh of the LinkedIn profile data to update any recent changes. The refresh runs in the background; set wait to return only once the new data is available.",
+        inputSchema: {
+            type: "object",
+            properties: { ...refreshWaitProperties }
+        },
+        endpoint: backendLinkedinRefreshProfileApiUrl,
+        apiLabel: "refresh LinkedIn profile API",
+        failureMessage: "Failed to refresh LinkedIn profile",
+        invalidatesCache: ["profile"],
+        updatesResources: ["linkedin://profile"],
+        formatResponse: (data) => [textContent(data.message || "Successfully refreshed LinkedIn profile data.")],
+        handler: (args, ctx) => refreshLinkedinData('refresh_linkedin_profile', 'get_linkedin_profile', args, ctx)
+    },
+    {
+        name: "refresh_linkedin_posts",
+        description: "Force a refresh of LinkedIn posts data to capture recently published content. The refresh runs in the background; set wait to return only once the new posts are available.",
+        inputSchema: {
+            type: "object",
+            properties: { ...refreshWaitProperties }
+        },
+        endpoint: backendLinkedinRefreshPostsApiUrl,
+        apiLabel: "refresh LinkedIn posts API",
+        failureMessage: "Failed to refresh LinkedIn posts",
+        invalidatesCache: ["posts"],
+        updatesResources: ["linkedin://posts/recent"],
+        formatResponse: (data) => [textContent(data.message || "Successfully refreshed LinkedIn posts data.")],
+        handler: (args, ctx) => refreshLinkedinData('refresh_linkedin_posts', 'get_linkedin_posts', args, ctx)
+    }
+];
+
+const accountSchema = {
+    type: "string",
+    pattern: "\\S",
+    description: "Optional. The stored account to act as (see list_accounts). Defaults to the default account."
+};
+
+// Every tool takes an optional `account` argument unless it opts out with `accountArgument: false`
+function withAccountArgument(tool) {
+    if (tool.accountArgument === false) { return tool; }
+    return { ...tool, inputSchema: { ...tool.inputSchema, properties: { ...tool.inputSchema.properties, account: accountSchema } } };
+}
+
+const toolRegistry = new Map(toolDefinitions.map(tool => [tool.name, withAccountArgument(tool)]));
+
+// Tools that need a backend feature the operator has not enabled are neither listed nor run
+function isToolAvailable(tool) {
+    return !tool.backendFeature || hasBackendFeature(tool.backendFeature);
+}
+
+// Calls a backend tool's endpoint and returns the response body, throwing BackendError when the
+// call fails or the backend reports failure. Shared by tools/call, resources and prompts.
+// `fresh` skips serving a still-valid cache entry (it is still the fallback during outages).
+async function requestToolData(tool, args, ctx, { fresh = false } = {}) {
+    const payload = tool.mapRequest ? tool.mapRequest(args) : {};
+    const cached = tool.cache ? readCachedResponse(tool.cache, ctx.apiKey) : null;
+    if (cached && !fresh && !cached.invalidated && cached.ageSeconds < cacheSettings.ttlSeconds[tool.cache] && !(args.limit > cached.limit)) {
+        log.info(`Serving ${tool.cache} from local cache (${cached.ageSeconds}s old).`);
+        return serveCachedResponse(cached, args.limit);
+    }
+
+    let data;
+    try {
+        data = await callBackend(tool.endpoint, payload, {
+            apiKey: ctx.apiKey,
+            label: tool.apiLabel,
+            accept: tool.accept,
+            retryPolicy: tool.retryPolicy,
+            idempotencyKey: args.idempotency_key,
+            signal: ctx.signal
+        });
+    } catch (error) {
+        if (error instanceof RequestCancelledError) { throw error; }
+        const errorMessage = describeBackendError(error, tool.apiLabel);
+        if (cached && isTransientBackendError(error) && cached.ageSeconds <= cacheSettings.maxStaleSeconds) {
+            log.warning(`${tool.apiLabel} failed (${errorMessage}); falling back to cached ${tool.cache}.`);
+            return serveCachedResponse(cached, args.limit, errorMessage);
+        }
+        throw new BackendError(errorMessage, { transient: isTransientBackendError(error) });
+    }
+
+    const succeeded = tool.isSuccess ? tool.isSuccess(data) : Boolean(data && data.success);
+    if (!succeeded) {
+        throw new BackendError(describeBackendFailure(data), { hint: tool.failureHint });
+    }
+    if (tool.cache) {
+        await rememberLinkedinUrl(ctx.apiKey, data.linkedin_url);
+        await storeCachedResponse(tool.cache, ctx.apiKey, data, args.limit);
+    }
+    return data;
+}
+
+async function runBackendTool(tool, args, ctx) {
+    let data;
+    try {
+        // prepare() may expand the arguments (e.g. inline local media); only the request sees that
+        const requestArgs = tool.prepare ? await tool.prepare(args, ctx) : args;
+        data = await requestToolData(tool, requestArgs, ctx);
+    } catch (error) {
+        if (tool.audit) { await recordPublishAttempt(tool, args, ctx, { error }); }
+        if (error instanceof ToolError) {
+            return { result: errorResult(`${tool.failureMessage}: ${error.message}`), error: error.message };
+        }
+        if (!(error instanceof BackendError)) { throw error; }
+        log.error(`${tool.apiLabel} failed: ${error.message}`);
+        return { result: errorResult(`${tool.failureMessage}: ${error.message}${error.hint}`), error: error.message };
+    }
+    if (tool.audit) { await recordPublishAttempt(tool, args, ctx, { data }); }
+    for (const kind of tool.invalidatesCache || []) {
+        await invalidateCachedResponse(kind, ctx.apiKey);
+    }
+    // The backend call succeeded, so bookkeeping problems (an unreadable local store) are a note
+    const notes = [];
+    if (tool.onSuccess) {
+        try {
+            await tool.onSuccess(data, args, ctx);
+        } catch (error) {
+            if (!(error instanceof ToolError)) { throw error; }
+            notes.push(textContent(`Note: ${error.message}`));
+        }
+    }
+    (tool.updatesResources || []).forEach(notifyResourceUpdated);
+    const structured = tool.structuredContent ? { structuredContent: tool.structuredContent(data, args) } : {};
+    return { result: { content: [...tool.formatResponse(data, args), ...notes], ...structured, isError: false }, data };
+}
+
+// Validates and dispatches a tool call. Protocol-level problems (unknown tool, missing API key,
+// bad arguments) throw McpError; backend failures come back as an isError result.
+async function callTool(name, args, ctx = {}) {
+    return (await runTool(name, args, ctx)).result;
+}
 
-          } catch (error) {
-              let errorMessage = `Failed to call refresh LinkedIn profile API: ${error.message}`;
-              if (error.response) {
-                  // Extract complete error details from the response
-                  const responseData = error.response.data || {};
-                  const extractedError = responseData.error || 
-                                        responseData.message ||
-                                        (typeof responseData === 'string' ? responseData : null);
-                  
-                  // Use the backend's full error message
-                  if (extractedError) {
-                      errorMessage = extractedError;
-                  } else {
-                      // Fallback with a generic message but including the status
-                      errorMessage = `Backend API Error (Status ${error.response.status}): Unknown error`;
-                  }
-                  
-                  console.error(`${packageName}: Refresh LinkedIn profile API Error Response:`, error.response.data); 
-              } else if (error.request) {
-                  errorMessage = "No response received from refresh LinkedIn profile API.";
+// Like callTool, but also returns the backend response body (`data`) or failure message
+// (`error`) so tools built on other tools can see post URNs, job IDs and so on.
+async function runTool(name, args, ctx = {}) {
+    const tool = toolRegistry.get(name);
+    if (!tool) {
+        log.warning(`tools/call for unknown tool ${name}.`);
+        throw new McpError(-32601, `Tool not found: ${name}`);
+    }
+    if (!isToolAvailable(tool)) {
+        throw new McpError(-32601, `Tool not available: ${name}. ${backendFeatureMissingMessage(tool.backendFeature)}`);
+    }
+    // Argument values (post text, chat history, ...) are bodies, so only their names are logged at info
+    log.info(`Calling tool ${name}.`, { arguments: Object.keys(args ?? {}) });
+    log.debug(`Arguments for ${name}`, { arguments: args });
+
+    // Nested calls (drafts, cross_post, ...) run as the account their caller resolved
+    const account = args?.account && tool.accountArgument !== false ? resolveAccount(args.account) : (ctx.account || (tool.requiresApiKey !== false ? resolveAccount() : null));
+    const accountDefaults = Object.entries(account?.defaults || {})
+        .filter(([key]) => !perCallArguments.has(key) && tool.inputSchema.properties?.[key] && args?.[key] === undefined);
+    const callArgs = { ...Object.fromEntries(accountDefaults), ...(args ?? {}) };
+    // After the defaults, so an account can default to dry runs
+    const isDryRun = Boolean(callArgs.dry_run && tool.preview);
+    if (tool.requiresApiKey !== false && !isDryRun && !account) {
+        throw new McpError(-32001, apiKeyMissingMessage);
+    }
+    const problems = validateAgainstSchema(tool.inputSchema, callArgs, '');
+    if (problems.length === 0 && tool.validate) {
+        problems.push(...tool.validate(callArgs));
+    }
+    if (problems.length > 0) {
+        throw new McpError(-32602, `Invalid arguments: ${problems.join('; ')}.`);
+    }
+
+    const toolArgs = applySchemaDefaults(tool.inputSchema, callArgs);
+    const toolCtx = { ...ctx, apiKey: account?.apiKey, account };
+    const outcome = await dispatchTool(tool, toolArgs, toolCtx, isDryRun);
+    // Say which account was used, so nobody posts from the wrong one by mistake
+    if (account && !ctx.account) {
+        outcome.result = { ...outcome.result, content: [...outcome.result.content, textContent(`Account: ${describeAccount(account)}${isDryRun ? ' (dry run, nothing was sent)' : ''}`)] };
+        if (outcome.result.structuredContent) {
+            outcome.result.structuredContent = { ...outcome.result.structuredContent, account: account.name };
+        }
+    }
+    return outcome;
+}
+
+async function dispatchTool(tool, toolArgs, toolCtx, isDryRun) {
+    if (isDryRun) {
+        log.info(`Dry run for ${tool.name}; nothing sent to the backend.`);
+        return { result: { content: await tool.preview(toolArgs, toolCtx), isError: false }, dryRun: true };
+    }
+    if (tool.handler) {
+        try {
+            return { result: await tool.handler(toolArgs, toolCtx) };
+        } catch (error) {
+            if (!(error instanceof ToolError)) { throw error; }
+            return { result: errorResult(error.message), error: error.message };
+        }
+    }
+    return runBackendTool(tool, toolArgs, toolCtx);
+}
+
+// Resources
+// Read-only views of the same data get_linkedin_profile and get_linkedin_posts return, so
+// clients can attach them as context without a tool call.
+const recentPostsResourceLimit = 10;
+
+const resourceDefinitions = [
+    {
+        uri: "linkedin://profile",
+        name: "LinkedIn profile",
+        description: "The user's LinkedIn headline, summary, experience and education.",
+        mimeType: "text/plain"
+    },
+    {
+        uri: "linkedin://posts/recent",
+        name: "Recent LinkedIn posts",
+        description: `The user's ${recentPostsResourceLimit} most recent LinkedIn posts with engagement metrics.`,
+        mimeType: "text/plain"
+    }
+];
+
+const resourceTemplateDefinitions = [
+    {
+        uriTemplate: "linkedin://posts/{urn}",
+        name: "LinkedIn post",
+        description: "A single recent LinkedIn post by URN (e.g. linkedin://posts/urn:li:activity:7100000000000000005).",
+        mimeType: "text/plain"
+    }
+];
+
+function formatPostText(post) {
+    return `Content: ${post.text}\n` +
+           `Posted: ${post.postedDate}\n` +
+           `URL: ${post.postUrl}\n` +
+           `Metrics: ${post.reactions} reactions, ${post.comments} comments, ${post.reposts} reposts`;
+}
+
+async function readResource(uri, ctx) {
+    if (uri === 'linkedin://profile') {
+        const data = await requestToolData(toolRegistry.get('get_linkedin_profile'), {}, ctx);
+        const text = `Last updated: ${data.data_last_updated || 'Unknown'}${formatCacheNotice(data)}\n\n${formatProfileText(data.profile || {})}`;
+        return [{ uri, mimeType: "text/plain", text }];
+    }
+
+    const postMatch = /^linkedin:\/\/posts\/(.+)$/.exec(uri);
+    if (!postMatch) {
+        throw new McpError(-32002, `Resource not found: ${uri}`);
+    }
+    const limit = postMatch[1] === 'recent' ? recentPostsResourceLimit : 20;
+    const data = await requestToolData(toolRegistry.get('get_linkedin_posts'), { limit }, ctx);
+    const posts = (data.posts || []).map(normalizeLinkedinPost).filter(post => post.text);
+
+    if (postMatch[1] === 'recent') {
+        const text = `Last updated: ${data.data_last_updated || 'Unknown'}${formatCacheNotice(data)}\n\n${formatPostsText(posts)}`;
+        return [{ uri, mimeType: "text/plain", text }];
+    }
+    const urn = decodeURIComponent(postMatch[1]);
+    const post = posts.find(candidate => candidate.urn === urn);
+    if (!post) {
+        throw new McpError(-32002, `Resource not found: ${uri}. Only the ${limit} most recent posts can be read.`);
+    }
+    return [{ uri, mimeType: "text/plain", text: formatPostText(post) }];
+}
+
+function notifyResourceUpdated(uri) {
+    activeSessions.forEach(session => {
+        if (session.subscriptions.has(uri)) {
+            log.debug(`Notifying session ${session.id} that ${uri} was updated.`);
+            session.notify({ jsonrpc: "2.0", method: "notifications/resources/updated", params: { uri } });
+        }
+    });
+}
+
+// Prompts
+// Ready-made workflows for the client's prompt menu. Each prompt pulls the user's profile and
+// posts into the conversation and tells the model which tools to use next.
+function parsePromptCount(value, fallback) {
+    const count = parseInt(value, 10);
+    return Number.isNaN(count) ? fallback : Math.min(Math.max(count, 1), 20);
+}
+
+const promptDefinitions = [
+    {
+        name: "analyze_recent_posts",
+        description: "Analyze my last N LinkedIn posts: what's working, what isn't, and what to write next.",
+        arguments: [
+            { name: "count", description: "Number of recent posts to analyze (1-20). Defaults to 5.", required: false }
+        ],
+        context: (args) => ({ profile: true, posts: parsePromptCount(args.count, 5) }),
+        instructions: (args) => `Analyze my last ${parsePromptCount(args.count, 5)} LinkedIn posts below.\n\n` +
+            "1. Rank them by engagement (reactions, comments, reposts) and explain what the top performers have in common: hook, format, topic, length.\n" +
+            "2. Point out patterns in the weakest posts.\n" +
+            "3. Suggest three concrete post ideas that build on what works, written for my audience given my profile.\n\n" +
+            "If you need more history, call get_linkedin_posts with a higher limit. If I like an idea, draft it with generate_linkedin_post."
+    },
+    {
+        name: "repurpose_article",
+        description: "Repurpose an article, newsletter or notes into a LinkedIn post in my voice.",
+        arguments: [
+            { name: "article", description: "The article, newsletter or notes to repurpose.", required: true },
+            { name: "content_type", description: "What kind of content it is (e.g. 'article', 'newsletter', 'notes'). Defaults to 'article'.", required: false }
+        ],
+        context: () => ({ profile: true, posts: 5 }),
+        instructions: (args) => `Repurpose the ${args.content_type || 'article'} below into a LinkedIn post that sounds like me.\n\n` +
+            `Call generate_linkedin_post with this content and content_type '${args.content_type || 'article'}' to get three variants, ` +
+            "then compare them against the tone, structure and length of my recent posts below and recommend the one that best fits my profile, with edits.\n" +
+            "Do not publish anything until I confirm. When I do, use publish_linkedin_post, or schedule_linkedin_post if I give a date.\n\n" +
+            `--- ${args.content_type || 'article'} ---\n${args.article}\n--- end ---`
+    },
+    {
+        name: "weekly_content_plan",
+        description: "Plan a week of LinkedIn posts based on my profile and what has worked before.",
+        arguments: [
+            { name: "topics", description: "Optional. Themes or announcements to cover this week.", required: false },
+            { name: "posts_per_week", description: "How many posts to plan. Defaults to 3.", required: false }
+        ],
+        context: () => ({ profile: true, posts: 10 }),
+        instructions: (args) => `Create a content plan of ${parsePromptCount(args.posts_per_week, 3)} LinkedIn posts for the coming week.\n\n` +
+            (args.topics ? `Cover these topics: ${args.topics}\n\n` : '') +
+            "For each post give the day and time to publish, the angle, a draft hook and the format (story, list, question, etc.), " +
+            "basing choices on what performed best in my recent posts below.\n" +
+            "Use generate_linkedin_post to draft full posts when helpful. Once I approve a post, schedule it with schedule_linkedin_post " +
+            "using an ISO 8601 date in the future."
+    },
+    {
+        name: "stronger_hook",
+        description: "Rewrite a draft post with a stronger opening hook, keeping my voice.",
+        arguments: [
+            { name: "draft", description: "The draft LinkedIn post to improve.", required: true }
+        ],
+        context: () => ({ profile: true, posts: 5 }),
+        instructions: (args) => "Rewrite the opening of my draft below so the first two lines (everything before LinkedIn's \"see more\" fold) make people want to click.\n\n" +
+            "Give three alternative hooks, each with a one-line reason, then the full rewritten post using the best one. " +
+            "Match the voice of my recent posts and the audience my profile below speaks to, and keep the rest of the draft intact unless it clearly needs fixing.\n" +
+            "Only publish with publish_linkedin_post after I confirm.\n\n" +
+            `--- draft ---\n${args.draft}\n--- end ---`
+    }
+];
+
+const promptRegistry = new Map(promptDefinitions.map(prompt => [prompt.name, prompt]));
+
+// Loads the profile/posts a prompt asks for. Failures become a note in the prompt rather than an
+// error, so the model can still fetch the data itself with the tools.
+async function buildPromptContext({ profile, posts }, ctx) {
+    const sections = [];
+    if (profile) {
+        try {
+            const data = await requestToolData(toolRegistry.get('get_linkedin_profile'), {}, ctx);
+            sections.push(`## My LinkedIn profile (last updated: ${data.data_last_updated || 'Unknown'})${formatCacheNotice(data)}\n\n${formatProfileText(data.profile || {})}`);
+        } catch (error) {
+            if (!(error instanceof BackendError)) { throw error; }
+            sections.push(`## My LinkedIn profile\n\n(Could not load profile: ${error.message}. Call get_linkedin_profile to retry.)`);
+        }
+    }
+    if (posts) {
+        try {
+            const data = await requestToolData(toolRegistry.get('get_linkedin_posts'), { limit: posts }, ctx);
+            const formattedPosts = (data.posts || []).map(normalizeLinkedinPost).filter(post => post.text);
+            sections.push(`## My ${formattedPosts.length} most recent LinkedIn posts (last updated: ${data.data_last_updated || 'Unknown'})${formatCacheNotice(data)}\n\n${formatPostsText(formattedPosts)}`);
+        } catch (error) {
+            if (!(error instanceof BackendError)) { throw error; }
+            sections.push(`## My recent LinkedIn posts\n\n(Could not load posts: ${error.message}. Call get_linkedin_posts to retry.)`);
+        }
+    }
+    return sections.join('\n\n');
+}
+
+async function getPrompt(name, args, ctx) {
+    const prompt = promptRegistry.get(name);
+    if (!prompt) {
+        throw new McpError(-32602, `Prompt not found: ${name}`);
+    }
+    const missing = prompt.arguments.filter(arg => arg.required && (typeof args[arg.name] !== 'string' || args[arg.name].trim() === ''));
+    if (missing.length > 0) {
+        throw new McpError(-32602, `Invalid arguments: ${missing.map(arg => `'${arg.name}'`).join(', ')} required.`);
+    }
+
+    let contextText;
+    if (ctx.apiKey) {
+        contextText = await buildPromptContext(prompt.context(args), ctx);
+    } else {
+        contextText = '(LinkedIn data unavailable: the runner has no API key configured.)';
+    }
+    return {
+        description: prompt.description,
+        messages: [
+            { role: "user", content: textContent(`${prompt.instructions(args)}\n\n${contextText}`) }
+        ]
+    };
+}
+
+// MCP Server Functions
+function sendResponse(response) {
+  const responseString = JSON.stringify(response);
+  console.log(responseString);
+}
+
+const activeSessions = new Map();
+
+// Newest first. The client's requested version is used if we support it, else our newest.
+const supportedProtocolVersions = ["2025-06-18", "2025-03-26", "2024-11-05"];
+const defaultProtocolVersion = "2024-11-05";
+
+function negotiateProtocolVersion(requested) {
+    return supportedProtocolVersions.includes(requested) ? requested : supportedProtocolVersions[0];
+}
+
+// outputSchema / structuredContent arrived in 2025-06-18; versions are dates, so they sort as strings
+function supportsStructuredOutput(session) {
+    return session.protocolVersion >= "2025-06-18";
+}
+
+function createSession(notify, transport) {
+    const session = { id: crypto.randomUUID(), notify, transport, createdAt: new Date().toISOString(), subscriptions: new Set(), protocolVersion: defaultProtocolVersion, inFlight: new Map() };
+    activeSessions.set(session.id, session);
+    return session;
+}
+
+const stdioSession = createSession(sendResponse, 'stdio');
+
+// Backend-bound requests wait for one of `maxConcurrentRequests` slots, shared by all sessions, so
+// a burst of calls can't flood the backend. Everything else (initialize, lists, notifications)
+// is answered right away, so a client can always cancel.
+const maxConcurrentRequests = Math.max(1, Number(process.env.LINKEDIN_MCP_MAX_CONCURRENT_REQUESTS ?? runnerConfig.maxConcurrentRequests ?? 4) || 4);
+const backendBoundMethods = ['tools/call', 'resources/read', 'prompts/get'];
+const requestSlots = { active: 0, waiting: [] };
+
+function acquireRequestSlot(signal) {
+    if (requestSlots.active < maxConcurrentRequests) {
+        requestSlots.active += 1;
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve };
+        requestSlots.waiting.push(waiter);
+        signal.addEventListener('abort', () => {
+            const index = requestSlots.waiting.indexOf(waiter);
+            if (index === -1) { return; }
+            requestSlots.waiting.splice(index, 1);
+            reject(new RequestCancelledError());
+        }, { once: true });
+    });
+}
+
+// Hands the slot straight to the next waiting request, if any
+function releaseRequestSlot() {
+    const next = requestSlots.waiting.shift();
+    if (next) {
+        next.resolve();
+    } else {
+        requestSlots.active -= 1;
+    }
+}
+
+// `send` delivers responses (and request-scoped notifications) back over the transport the
+// request arrived on; `session` carries per-client state and a channel for unsolicited notifications.
+async function handleRequest(request, send = sendResponse, session = stdioSession) {
+    return logSessionContext.run(session, () => trackRequest(request, send, session));
+}
+
+// Tracks each request in `session.inFlight` (id -> { method, controller }) while it runs, so
+// notifications/cancelled can abort it. The AbortSignal reaches the backend call through the tool
+// context; a cancelled request gets no response, as the MCP spec asks.
+async function trackRequest(request, send, session) {
+    if (!isJsonRpcRequest(request) || request.method === 'initialize') {
+        await routeRequest(request, send, session);
+        return;
+    }
+    const { id, method } = request;
+    if (session.inFlight.has(id)) {
+        send({ jsonrpc: "2.0", error: { code: -32600, message: `Invalid Request: id ${JSON.stringify(id)} is already used by a request in progress` }, id });
+        return;
+    }
+    const controller = new AbortController();
+    session.inFlight.set(id, { method, controller, startedAt: Date.now() });
+    const reply = (message) => {
+        if (!controller.signal.aborted) { send(message); }
+    };
+    let holdsSlot = false;
+    try {
+        if (backendBoundMethods.includes(method)) {
+            if (requestSlots.active >= maxConcurrentRequests) {
+                log.info(`${maxConcurrentRequests} requests already running; ${method} (id ${id}) is queued.`);
+            }
+            await acquireRequestSlot(controller.signal);
+            holdsSlot = true;
+        }
+        await routeRequest(request, reply, session, controller.signal);
+    } catch (error) {
+        // Once cancelled, whatever the aborted work threw has nobody to go to
+        if (!controller.signal.aborted) { throw error; }
+    } finally {
+        if (holdsSlot) { releaseRequestSlot(); }
+        session.inFlight.delete(id);
+    }
+    if (controller.signal.aborted) {
+        log.info(`Request ${id} (${method}) was cancelled; no response sent.`);
+    }
+}
+
+// Aborts everything a closing session still has running
+function cancelInFlightRequests(session) {
+    session.inFlight.forEach(entry => entry.controller.abort());
+}
+
+// JSON-RPC batches were added in protocol 2025-03-26 and removed again in 2025-06-18; sessions
+// on 2025-06-18 or later get a single Invalid Request error for a batch
+function acceptsBatches(session) {
+    return session.protocolVersion < "2025-06-18";
+}
+
+const batchNotSupportedError = { jsonrpc: "2.0", error: { code: -32600, message: "Invalid Request: batches are not supported in protocol 2025-06-18 and later" }, id: null };
+
+// A batch (JSON array) gets one array back with a response per request; notifications in it get
+// none, and a batch of only notifications gets no reply at all.
+async function handleStdioBatch(messages) {
+    if (!acceptsBatches(stdioSession)) {
+        sendResponse(batchNotSupportedError);
+        return;
+    }
+    if (messages.length === 0) {
+        sendResponse({ jsonrpc: "2.0", error: { code: -32600, message: "Invalid Request: empty batch" }, id: null });
+        return;
+    }
+    const responses = [];
+    const collect = (message) => {
+        if (message.id !== undefined) {
+            responses.push(message);
+        } else {
+            sendResponse(message);
+        }
+    };
+    await Promise.all(messages.map(message => handleRequest(message, collect).catch(err => {
+        log.error('Error during async handleRequest', { error: err });
+        if (isJsonRpcRequest(message)) {
+            collect({ jsonrpc: "2.0", error: { code: -32000, message: "Internal Server Error during request handling" }, id: message.id });
+        }
+    })));
+    if (responses.length > 0) {
+        sendResponse(responses);
+    }
+}
+
+async function routeRequest(request, send, session, signal) {
+
+  if (!request || typeof request !== 'object' || request.jsonrpc !== '2.0' || !request.id === undefined || typeof request.method !== 'string') {
+     const id = request?.id ?? null;
+     if(id !== null && request?.method !== 'initialize') {
+         send({ jsonrpc: "2.0", error: { code: -32600, message: "Invalid Request Structure" }, id });
+         return;
+     }
+     if(id === null && request?.method !== 'initialize') return;
+  }
+
+  const { method, params, id } = request;
+
+  // Handle Initialize Method
+  if (method === 'initialize') {
+      session.clientInfo = params?.clientInfo || null;
+      session.protocolVersion = negotiateProtocolVersion(params?.protocolVersion);
+      send({
+          jsonrpc: "2.0",
+          id: id,
+          result: {
+              protocolVersion: session.protocolVersion,
+              capabilities: {
+                  experimental: {},
+                  logging: {},
+                  prompts: { listChanged: false },
+                  resources: { subscribe: true, listChanged: false },
+                  tools: { listChanged: false }
+              },
+              serverInfo: {
+                  name: publishedPackageName,
+                  version: packageVersion
               }
-              console.error(`${packageName}: ${errorMessage}`);
-              
-              sendResponse({ 
-                jsonrpc: "2.0", 
-                result: { 
-                  content: [
-                    {
-                      type: "text",
-                      text: `Failed to refresh LinkedIn profile: ${errorMessage}`
-                    }
-                  ],
-                  isError: true
-                }, 
-                id 
-              });
-          }
-      } else if (name === 'refresh_linkedin_posts') {
-          console.error(`${packageName}: Received call for refresh_linkedin_posts tool.`);
-          const apiKey = process.env.LINKEDIN_MCP_API_KEY;
-
-          if (!apiKey) {
-              sendResponse({ jsonrpc: "2.0", error: { code: -32001, message: "Server Configuration Error: API Key not set." }, id });
-              return;
           }
+      });
+      log.info(`Initialized session ${session.id}.`, { protocolVersion: session.protocolVersion, client: session.clientInfo });
+      return;
+  }
 
-          try {
-              const headers = { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json", "Accept": "application/json" };
-              console.error(`${packageName}: Calling refresh LinkedIn posts API: ${backendLinkedinRefreshPostsApiUrl}`);
-              const apiResponse = await axios.post(backendLinkedinRefreshPostsApiUrl, {}, { headers, timeout: 60000 });
-              console.error(`${packageName}: Refresh LinkedIn posts API response status: ${apiResponse.status}`);
-              console.error(`${packageName}: Refresh LinkedIn posts API response data:`, JSON.stringify(apiResponse.data, null, 2));
-
-              if (apiResponse.data && apiResponse.data.success) {
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: { 
-                      content: [
-                        {
-                          type: "text",
-                          text: apiResponse.data.message || "Successfully refreshed LinkedIn posts data."
-                        }
-                      ],
-                      isError: false
-                    }, 
-                    id 
-                  });
-              } else {
-                  const errorMessage = apiResponse.data?.error || "Backend API Error (no detail)";
-                  console.error(`${packageName}: Refresh LinkedIn posts API Error: ${errorMessage}`);
-                  sendResponse({ 
-                    jsonrpc: "2.0", 
-                    result: {
-                      content: [
-                        {
-                          type: "text",
-                          text: `Failed to refresh LinkedIn posts: ${errorMessage}`
-                        }
-                      ],
-                      isError: true
-                    }, 
-                    id 
-                  });
-              }
-
-          } catch (error) {
-              let errorMessage = `Failed to call refresh LinkedIn posts API: ${error.message}`;
-              if (error.response) {
-                  // Extract complete error details from the response
-                  const responseData = error.response.data || {};
-                  const extractedError = responseData.error || 
-                                        responseData.message ||
-                                        (typeof responseData === 'string' ? responseData : null);
-                  
-                  // Use the backend's full error message
-                  if (extractedError) {
-                      errorMessage = extractedError;
-                  } else {
-                      // Fallback with a generic message but including the status
-                      errorMessage = `Backend API Error (Status ${error.response.status}): Unknown error`;
-                  }
-                  
-                  console.error(`${packageName}: Refresh LinkedIn posts API Error Response:`, error.response.data); 
-              } else if (error.request) {
-                  errorMessage = "No response received from refresh LinkedIn posts API.";
-              }
-              console.error(`${packageName}: ${errorMessage}`);
-              
-              sendResponse({ 
-                jsonrpc: "2.0", 
-                result: { 
-                  content: [
-                    {
-                      type: "text",
-                      text: `Failed to refresh LinkedIn posts: ${errorMessage}`
-                    }
-                  ],
-                  isError: true
-                }, 
-                id 
-              });
-          }
-      } else {
-          console.error(`${packageName}: Received tools/call for unknown tool: ${name}`);
-          sendResponse({ jsonrpc: "2.0", error: { code: -32601, message: `Tool not found: ${name}` }, id });
+  // Handle tools/call Method
+  if (method === 'tools/call') {
+      if (!params || typeof params !== 'object') {
+          send({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid params for tools/call" }, id });
+          return;
+      }
+      const { name, arguments: args } = params;
+      const progressToken = params._meta?.progressToken;
+      // notifications/progress for this call; `message` arrived in 2025-03-26
+      const reportProgress = progressToken === undefined ? undefined : (progress, total, message) => send({
+          jsonrpc: "2.0",
+          method: "notifications/progress",
+          params: { progressToken, progress, total, ...(message && session.protocolVersion >= "2025-03-26" ? { message } : {}) }
+      });
+      try {
+          const result = await callTool(name, args, { session, signal, reportProgress });
+          if (!supportsStructuredOutput(session)) { delete result.structuredContent; }
+          send({ jsonrpc: "2.0", result, id });
+      } catch (error) {
+          if (!(error instanceof McpError)) { throw error; }
+          send({ jsonrpc: "2.0", error: { code: error.code, message: error.message }, id });
       }
       return;
   }
 
   // Handle list requests and notifications
   if (method === 'tools/list') {
-      console.error(`${packageName}: Received tools/list request, sending known tool.`);
-      sendResponse({
+      log.debug(`tools/list: sending ${toolRegistry.size} tools.`);
+      send({
           jsonrpc: "2.0",
           id: id,
           result: {
-              tools: [
-                  {
-                      name: "publish_linkedin_post",
-                      description: "Publish a text post to LinkedIn, optionally including media (images/videos) specified by URL.",
-                      inputSchema: {
-                          type: "object",
-                          properties: {
-                              post_text: {
-                                  type: "string",
-                                  description: "The text content of the LinkedIn post."
-                              },
-                              media: {
-                                  type: "array",
-                                  description: "Optional. A list of media items to attach to the post. Each item must have a 'file_url' pointing to a direct image or video URL and a 'filename'.",
-                                  items: {
-                                      type: "object",
-                                      properties: {
-                                          file_url: {
-                                              type: "string",
-                                              description: "A direct URL to the image or video file (e.g., ending in .jpg, .png, .mp4)."
-                                          },
-                                          filename: {
-                                              type: "string",
-                                              description: "A filename for the media item (e.g., 'promo_video.mp4')."
-                                          }
-                                      },
-                                      required: ["file_url", "filename"]
-                                  }
-                              }
-                          },
-                          required: ["post_text"]
-                      }
-                  },
-                  {
-                      name: "schedule_linkedin_post",
-                      description: "Schedule a text post for LinkedIn at a specific future date and time, optionally including media (images/videos) specified by URL.",
-                      inputSchema: {
-                          type: "object",
-                          properties: {
-                              post_text: {
-                                  type: "string",
-                                  description: "The text content of the LinkedIn post to be scheduled."
-                              },
-                              scheduled_date: {
-                                  type: "string",
-                                  description: "The date and time to publish the post, in ISO 8601 format (e.g., '2025-12-31T10:00:00Z' or '2025-12-31T15:30:00+05:30'). Must be in the future."
-                              },
-                              media: {
-                                  type: "array",
-                                  description: "Optional. A list of media items to attach to the post. Each item must have a 'file_url' pointing to a direct image or video URL and a 'filename'.",
-                                  items: {
-                                      type: "object",
-                                      properties: {
-                                          file_url: {
-                                              type: "string",
-                                              description: "A direct URL to the image or video file (e.g., ending in .jpg, .png, .mp4)."
-                                          },
-                                          filename: {
-                                              type: "string",
-                                              description: "A filename for the media item (e.g., 'meeting_notes.mp4')."
-                                          }
-                                      },
-                                      required: ["file_url", "filename"]
-                                  }
-                              }
-                          },
-                          required: ["post_text", "scheduled_date"]
-                      }
-                  },
-                  {
-                      name: "publish_twitter_post",
-                      description: "Publish a text post (tweet) to Twitter.",
-                      inputSchema: {
-                          type: "object",
-                          properties: {
-                              post_text: {
-                                  type: "string",
-                                  description: "The text content of the tweet (maximum 280 characters)."
-                              }
-                          },
-                          required: ["post_text"]
-                      }
-                  },
-                  {
-                      name: "analyze_linkedin_chat",
-                      description: "Ask questions about the user's LinkedIn profile, content, or network, with support for multi-turn conversations.",
-                      inputSchema: {
-                          type: "object",
-                          properties: {
-                              query: {
-                                  type: "string",
-                                  description: "The question or request about LinkedIn data to be analyzed."
-                              },
-                              conversation_history: {
-                                  type: "array",
-                                  description: "Optional. Previous messages in the conversation for context. Each message must have 'role' (user/assistant) and 'content' (text).",
-                                  items: {
-                                      type: "object",
-                                      properties: {
-                                          role: {
-                                              type: "string",
-                                              description: "The sender of the message: 'user' or 'assistant'."
-                                          },
-                                          content: {
-                                              type: "string",
-                                              description: "The text content of the message."
-                                          }
-                                      },
-                                      required: ["role", "content"]
-                                  }
-                              }
-                          },
-                          required: ["query"]
-                      }
-                  },
-                  {
-                      name: "generate_linkedin_post",
-                      description: "Generate three LinkedIn post variants from any content (article, newsletter, notes, etc.) to optimize engagement.",
-                      inputSchema: {
-                          type: "object",
-                          properties: {
-                              content: {
-                                  type: "string",
-                                  description: "The source content to transform into LinkedIn posts. Can be articles, emails, newsletters, notes, etc."
-                              },
-                              content_type: {
-                                  type: "string",
-                                  description: "Optional. A short description of the content type (e.g., 'article', 'newsletter', 'notes'). Defaults to 'article'."
-                              }
-                          },
-                          required: ["content"]
-                      }
-                  },
-                  {
-                      name: "get_linkedin_posts",
-                      description: "Retrieve the user's recent LinkedIn posts with engagement metrics.",
-                      inputSchema: {
-                          type: "object",
-                          properties: {
-                              limit: {
-                                  type: "number",
-                                  description: "Optional. Number of posts to retrieve (1-20). Defaults to 5."
-                              }
-                          }
-                      }
-                  },
-                  {
-                      name: "get_linkedin_profile",
-                      description: "Retrieve the user's LinkedIn profile information including headline, summary, experience, and education.",
-                      inputSchema: {
-                          type: "object",
-                          properties: {}
-                      }
-                  },
-                  {
-                      name: "set_linkedin_url",
-                      description: "Set or update the LinkedIn profile URL to analyze. Required before using profile/posts retrieval tools if not set previously.",
-                      inputSchema: {
-                          type: "object",
-                          properties: {
-                              linkedin_url: {
-                                  type: "string",
-                                  description: "The full LinkedIn profile URL (e.g., https://www.linkedin.com/in/username/)"
-                              }
-                          },
-                          required: ["linkedin_url"]
-                      }
-                  },
-                  {
-                      name: "refresh_linkedin_profile",
-                      description: "Force a refresh of the LinkedIn profile data to update any recent changes.",
-                      inputSchema: {
-                          type: "object",
-                          properties: {}
-                      }
-                  },
-                  {
-                      name: "refresh_linkedin_posts",
-                      description: "Force a refresh of LinkedIn posts data to capture recently published content.",
-                      inputSchema: {
-                          type: "object",
-                          properties: {}
-                      }
-                  }
-              ]
+              tools: [...toolRegistry.values()].filter(isToolAvailable).map(({ name, description, inputSchema, outputSchema }) => ({
+                  name,
+                  description,
+                  inputSchema,
+                  ...(outputSchema && supportsStructuredOutput(session) ? { outputSchema } : {})
+              }))
           }
       });
       return;
-  } else if (method === 'resources/list' || method === 'prompts/list') {
-      console.error(`${packageName}: Received ${method} request, sending empty list.`);
-      sendResponse({ jsonrpc: "2.0", id: id, result: { [method.split('/')[0]]: [] } });
+  } else if (method === 'resources/list') {
+      log.debug(`resources/list: sending ${resourceDefinitions.length} resources.`);
+      send({ jsonrpc: "2.0", id: id, result: { resources: resourceDefinitions } });
+      return;
+  } else if (method === 'resources/templates/list') {
+      send({ jsonrpc: "2.0", id: id, result: { resourceTemplates: resourceTemplateDefinitions } });
+      return;
+  } else if (method === 'resources/read' || method === 'resources/subscribe' || method === 'resources/unsubscribe') {
+      const uri = params?.uri;
+      if (typeof uri !== 'string' || uri.trim() === '') {
+          send({ jsonrpc: "2.0", error: { code: -32602, message: `Invalid params for ${method}: 'uri' (string) required.` }, id });
+          return;
+      }
+      if (method === 'resources/subscribe') {
+          session.subscriptions.add(uri);
+          log.debug(`Session ${session.id} subscribed to ${uri}.`);
+          send({ jsonrpc: "2.0", id: id, result: {} });
+          return;
+      }
+      if (method === 'resources/unsubscribe') {
+          session.subscriptions.delete(uri);
+          send({ jsonrpc: "2.0", id: id, result: {} });
+          return;
+      }
+      try {
+          const account = resolveAccount();
+          if (!account) { throw new McpError(-32001, apiKeyMissingMessage); }
+          const contents = await readResource(uri, { session, apiKey: account.apiKey, account, signal });
+          send({ jsonrpc: "2.0", id: id, result: { contents } });
+      } catch (error) {
+          if (error instanceof McpError) {
+              send({ jsonrpc: "2.0", error: { code: error.code, message: error.message }, id });
+          } else if (error instanceof BackendError) {
+              send({ jsonrpc: "2.0", error: { code: -32603, message: `Failed to read ${uri}: ${error.message}` }, id });
+          } else {
+              throw error;
+          }
+      }
+      return;
+  } else if (method === 'prompts/list') {
+      log.debug(`prompts/list: sending ${promptDefinitions.length} prompts.`);
+      send({ jsonrpc: "2.0", id: id, result: { prompts: promptDefinitions.map(({ name, description, arguments: promptArgs }) => ({ name, description, arguments: promptArgs })) } });
+      return;
+  } else if (method === 'prompts/get') {
+      if (!params || typeof params.name !== 'string') {
+          send({ jsonrpc: "2.0", error: { code: -32602, message: "Invalid params for prompts/get: 'name' (string) required." }, id });
+          return;
+      }
+      try {
+          const result = await getPrompt(params.name, params.arguments || {}, { session, apiKey: resolveAccount()?.apiKey, signal });
+          send({ jsonrpc: "2.0", id: id, result });
+      } catch (error) {
+          if (!(error instanceof McpError)) { throw error; }
+          send({ jsonrpc: "2.0", error: { code: error.code, message: error.message }, id });
+      }
+      return;
+  } else if (method === 'logging/setLevel') {
+      // Sends this session log messages at that level and above: its own requests' entries and
+      // runner-wide ones, never another session's. What the runner writes to stderr and the log
+      // file stays under the operator's control (LINKEDIN_MCP_LOG_LEVEL)
+      if (!logLevels.includes(params?.level)) {
+          send({ jsonrpc: "2.0", error: { code: -32602, message: `Invalid params for logging/setLevel: 'level' must be one of ${logLevels.join(', ')}.` }, id });
+          return;
+      }
+      session.logLevel = params.level;
+      logSubscribers.add(session);
+      log.info(`Session ${session.id} receives log messages at ${params.level} and above.`);
+      send({ jsonrpc: "2.0", id: id, result: {} });
       return;
   } else if (method === 'notifications/initialized') {
-      console.error(`${packageName}: Received notifications/initialized.`);
+      log.debug('Received notifications/initialized.');
+      return;
+  } else if (method === 'notifications/cancelled') {
+      // Unknown or already finished requests are ignored; the response may simply have crossed paths
+      const entry = session.inFlight.get(params?.requestId);
+      if (entry) {
+          log.info(`Cancelling request ${params.requestId} (${entry.method})${params.reason ? `: ${params.reason}` : ''}.`);
+          entry.controller.abort();
+      }
+      return;
+  }
+
+  // Notifications never get a response, not even an error
+  if (id === undefined || id === null) {
+      log.debug(`Ignoring unknown notification ${method}.`);
       return;
   }
 
   // Default Method not found for others
-  console.error(`${packageName}: Method not found: ${method}`);
-  sendResponse({ jsonrpc: "2.0", error: { code: -32601, message: `Method not found: ${method}` }, id });
+  log.warning(`Method not found: ${method}`);
+  send({ jsonrpc: "2.0", error: { code: -32601, message: `Method not found: ${method}` }, id });
 }
 
 // Function to start the MCP server listener
 function startMcpServer() {
-    console.error(`${packageName}: Setting up MCP listener on stdin/stdout...`);
+    log.debug('Setting up MCP listener on stdin/stdout.');
 
     const rl = readline.createInterface({
       input: process.stdin,
@@ -1415,18 +4473,22 @@ function startMcpServer() {
     });
 
     rl.on('line', (line) => {
-      console.error(`${packageName}: Received line: ${line.substring(0, 100)}...`);
       try {
         const request = JSON.parse(line);
+        log.debug('Received message', { message: request });
+        if (Array.isArray(request)) {
+            handleStdioBatch(request);
+            return;
+        }
         handleRequest(request).catch(err => {
-            console.error(`${packageName}: Error during async handleRequest:`, err);
+            log.error('Error during async handleRequest', { error: err });
             const id = request?.id ?? null;
             if (id !== null) {
                 sendResponse({ jsonrpc: "2.0", error: { code: -32000, message: "Internal Server Error during request handling" }, id });
             }
         });
       } catch (e) {
-        console.error(`${packageName}: Failed to parse JSON request:`, e);
+        log.warning('Failed to parse JSON request.', { error: e.message });
         sendResponse({ jsonrpc: "2.0", error: { code: -32700, message: "Parse error" }, id: null });
       }
     });
@@ -1434,10 +4496,944 @@ function startMcpServer() {
     rl.on('close', () => {
       // Do NOT exit here. If stdin closes, the process should ideally stay alive
       // to handle potential future signals or work.
-      console.error(`${packageName}: stdin closed. Process will continue running if keep-alive is active.`);
+      log.info('stdin closed. Process will continue running if keep-alive is active.');
+    });
+
+    log.info('MCP listener ready on stdio.');
+}
+
+// Streamable HTTP Transport
+// Serves the same handleRequest over MCP's Streamable HTTP transport: clients POST JSON-RPC
+// messages to /mcp and get either a JSON body or an SSE stream back; a GET on /mcp opens a
+// long-lived SSE stream for server-initiated notifications. Every request needs the bearer token.
+const httpEndpointPath = '/mcp';
+const httpDefaultPort = 3333;
+const httpSessions = new Map();
+const httpMaxBodyBytes = Number(process.env.LINKEDIN_MCP_HTTP_MAX_BODY_BYTES ?? runnerConfig.http?.maxBodyBytes ?? 4 * 1024 * 1024) || 4 * 1024 * 1024;
+// Sessions with no open stream and no request in flight are dropped after this long
+const httpSessionIdleMs = (Number(process.env.LINKEDIN_MCP_HTTP_SESSION_IDLE_MINUTES ?? runnerConfig.http?.sessionIdleMinutes ?? 30) || 30) * 60000;
+
+class BodyTooLargeError extends Error {
+    constructor(maxBytes) {
+        super(`Request body is larger than ${maxBytes} bytes`);
+    }
+}
+
+function readJsonBody(req, maxBytes = Infinity) {
+    return new Promise((resolve, reject) => {
+        if (Number(req.headers['content-length']) > maxBytes) {
+            reject(new BodyTooLargeError(maxBytes));
+            return;
+        }
+        let raw = '';
+        let size = 0;
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            size += Buffer.byteLength(chunk);
+            if (size > maxBytes) {
+                req.removeAllListeners('data');
+                req.removeAllListeners('end');
+                reject(new BodyTooLargeError(maxBytes));
+                return;
+            }
+            raw += chunk;
+        });
+        req.on('end', () => {
+            if (raw.trim() === '') { resolve({}); return; }
+            try { resolve(JSON.parse(raw)); } catch (e) { reject(e); }
+        });
+        req.on('error', reject);
+    });
+}
+
+function isJsonRpcRequest(message) {
+    return message && typeof message === 'object' && typeof message.method === 'string' && message.id !== undefined && message.id !== null;
+}
+
+function writeSseMessage(res, message) {
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function isAuthorizedHttpRequest(req, token) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) { return false; }
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Browsers always send Origin; reject cross-site pages (DNS rebinding) unless explicitly allowed
+function isAllowedOrigin(req, allowedOrigins) {
+    const origin = req.headers.origin;
+    if (!origin) { return true; }
+    if (allowedOrigins.includes(origin)) { return true; }
+    try {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function createHttpSession() {
+    const streams = new Set();
+    const session = createSession((message) => {
+        streams.forEach(res => writeSseMessage(res, message));
+    }, 'http');
+    session.streams = streams;
+    session.lastActiveAt = Date.now();
+    httpSessions.set(session.id, session);
+    return session;
+}
+
+function closeHttpSession(session) {
+    session.streams.forEach(stream => stream.end());
+    cancelInFlightRequests(session);
+    logSubscribers.delete(session);
+    httpSessions.delete(session.id);
+    activeSessions.delete(session.id);
+}
+
+// Clients that go away without a DELETE would otherwise keep their session forever
+function closeIdleHttpSessions(idleMs) {
+    const now = Date.now();
+    httpSessions.forEach(session => {
+        if (session.streams.size === 0 && session.inFlight.size === 0 && now - session.lastActiveAt > idleMs) {
+            closeHttpSession(session);
+            log.info(`[http] Closed session ${session.id} after ${Math.round(idleMs / 1000)}s idle.`);
+        }
+    });
+}
+
+async function handleHttpPost(req, res, session) {
+    let body;
+    try {
+        body = await readJsonBody(req, httpMaxBodyBytes);
+    } catch (e) {
+        if (e instanceof BodyTooLargeError) {
+            res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+            res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32600, message: `Invalid Request: ${e.message}` }, id: null }));
+            return;
+        }
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32700, message: "Parse error" }, id: null }));
+        return;
+    }
+    const messages = Array.isArray(body) ? body : [body];
+    const isInitialize = messages.some(message => message && message.method === 'initialize');
+
+    if (!session) {
+        if (!isInitialize) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message: "Bad Request: missing or unknown Mcp-Session-Id" }, id: null }));
+            return;
+        }
+        session = createHttpSession();
+        log.info(`[http] Created session ${session.id}.`);
+    }
+    res.setHeader('Mcp-Session-Id', session.id);
+    if (Array.isArray(body) && !acceptsBatches(session)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(batchNotSupportedError));
+        return;
+    }
+
+    // Notifications and client responses only: acknowledge and process without a body
+    if (!messages.some(isJsonRpcRequest)) {
+        res.writeHead(202);
+        res.end();
+        await Promise.all(messages.map(message => handleRequest(message, () => {}, session)));
+        return;
+    }
+
+    const wantsStream = (req.headers.accept || '').includes('text/event-stream');
+    const collected = [];
+    let send;
+    if (wantsStream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+        send = (message) => writeSseMessage(res, message);
+    } else {
+        send = (message) => { if (message.id !== undefined) { collected.push(message); } };
+    }
+
+    await Promise.all(messages.map(message => handleRequest(message, send, session).catch(err => {
+        log.error('[http] Error during async handleRequest', { error: err });
+        if (isJsonRpcRequest(message)) {
+            send({ jsonrpc: "2.0", error: { code: -32000, message: "Internal Server Error during request handling" }, id: message.id });
+        }
+    })));
+
+    session.lastActiveAt = Date.now();
+    if (wantsStream) {
+        res.end();
+    } else if (collected.length === 0) {
+        // Every request was cancelled, so there is nothing to answer
+        res.writeHead(202);
+        res.end();
+    } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(Array.isArray(body) ? collected : collected[0]));
+    }
+}
+
+function handleHttpGet(req, res, session) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+        res.writeHead(406, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'GET requires Accept: text/event-stream' }));
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'Mcp-Session-Id': session.id });
+    res.write(': connected\n\n');
+    session.streams.add(res);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        session.streams.delete(res);
+        session.lastActiveAt = Date.now();
+    });
+}
+
+function startHttpServer({ port, host, token, allowedOrigins, sessionIdleMs = httpSessionIdleMs }) {
+    const server = http.createServer(async (req, res) => {
+        const pathname = req.url.split('?')[0];
+        log.debug(`[http] ${req.method} ${pathname}`);
+
+        if (pathname !== httpEndpointPath) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Not found. The MCP endpoint is ${httpEndpointPath}` }));
+            return;
+        }
+        if (!isAllowedOrigin(req, allowedOrigins)) {
+            res.writeHead(403, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Origin not allowed' }));
+            return;
+        }
+        if (!isAuthorizedHttpRequest(req, token)) {
+            res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+            res.end(JSON.stringify({ error: 'Unauthorized' }));
+            return;
+        }
+
+        const sessionId = req.headers['mcp-session-id'];
+        const session = sessionId ? httpSessions.get(sessionId) : null;
+        if (sessionId && !session) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32001, message: "Session not found" }, id: null }));
+            return;
+        }
+        if (session) { session.lastActiveAt = Date.now(); }
+
+        try {
+            if (req.method === 'POST') {
+                await handleHttpPost(req, res, session);
+            } else if (req.method === 'GET' && session) {
+                handleHttpGet(req, res, session);
+            } else if (req.method === 'DELETE' && session) {
+                closeHttpSession(session);
+                log.info(`[http] Closed session ${session.id}.`);
+                res.writeHead(204);
+                res.end();
+            } else if (req.method === 'GET' || req.method === 'DELETE') {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Mcp-Session-Id header required' }));
+            } else {
+                res.writeHead(405, { 'Allow': 'GET, POST, DELETE' });
+                res.end();
+            }
+        } catch (err) {
+            log.error('[http] Unhandled error', { error: err });
+            if (!res.headersSent) { res.writeHead(500); }
+            res.end();
+        }
+    });
+
+    server.on('error', (err) => {
+        log.critical(err.code === 'EADDRINUSE'
+            ? `Port ${port} on ${host} is already in use. Stop whatever is using it or pick another with --port.`
+            : `Could not listen on ${host}:${port}: ${err.message}`, { code: err.code });
+        process.exit(1);
+    });
+    const idleSweep = setInterval(() => closeIdleHttpSessions(sessionIdleMs), Math.min(sessionIdleMs, 60000));
+    idleSweep.unref();
+    server.on('close', () => clearInterval(idleSweep));
+    server.listen(port, host, () => {
+        log.notice(`MCP Streamable HTTP server listening on http://${host}:${port}${httpEndpointPath}`);
+    });
+    return server;
+}
+
+function runHttpServe(args) {
+    const port = parseInt(parseFlagArg(args, '--port'), 10) || runnerConfig.http?.port || httpDefaultPort;
+    const host = parseFlagArg(args, '--host') || runnerConfig.http?.host || '127.0.0.1';
+    const allowedOrigins = (parseFlagArg(args, '--allow-origin') || '').split(',').map(o => o.trim()).filter(Boolean);
+    let token = parseFlagArg(args, '--token') || process.env.LINKEDIN_MCP_HTTP_TOKEN || runnerConfig.http?.token;
+    if (!token) {
+        token = crypto.randomBytes(24).toString('hex');
+        console.error(`${packageName}: No --token or LINKEDIN_MCP_HTTP_TOKEN given. Generated bearer token for this run:`);
+        console.error(token);
+    }
+    registerLogSecret(token);
+    return startHttpServer({ port, host, token, allowedOrigins });
+}
+
+// Mock Backend
+// A local stand-in for the LiGo backend so every tool can be run and demoed offline.
+// Start it with `linkedin-mcp-runner mock-backend [--port N]` and point the runner at it
+// with LINKEDIN_MCP_BASE_URL. State lives in memory and resets on restart.
+const mockBackendDefaultPort = 8787;
+const mockRefreshDelayMs = 4000;
+
+function createMockBackendState() {
+    const now = new Date().toISOString();
+    return {
+        linkedinUrl: 'https://www.linkedin.com/in/jordan-demo/',
+        profileLastUpdated: now,
+        postsLastUpdated: now,
+        profile: {
+            headline: 'Founder @ Demo Labs | Building tools for creators',
+            summary: 'I write about bootstrapping, product craft and the messy middle of building a company.',
+            experience: [
+                { title: 'Founder', companyName: 'Demo Labs', dateRange: 'Jan 2021 - Present', description: 'Building a content co-pilot for B2B founders.' },
+                { title: 'Product Manager', companyName: 'Acme Corp', dateRange: 'Mar 2017 - Dec 2020', description: 'Led the analytics product from 0 to 1.' }
+            ],
+            education: [
+                { schoolName: 'State University', degree: 'BSc', fieldOfStudy: 'Computer Science', dateRange: '2011 - 2015' }
+            ]
+        },
+        posts: [
+            {
+                urn: 'urn:li:activity:7100000000000000005',
+                text: 'We shipped our first paid plan today. 14 months, 3 pivots and one very patient co-founder later. Here is what I would do differently.',
+                posted_at: '2025-05-12T08:30:00Z',
+                post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:7100000000000000005/',
+                total_reactions_count: 412, comments_count: 57, reposts_count: 12
+            },
+            {
+                urn: 'urn:li:activity:7100000000000000004',
+                text: 'Hot take: your onboarding email sequence is doing more harm than good.\n\n1. Nobody reads email #4\n2. Every email is a chance to unsubscribe\n3. The product should do the onboarding',
+                posted_at: '2025-05-05T14:00:00Z',
+                post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:7100000000000000004/',
+                total_reactions_count: 230, comments_count: 88, reposts_count: 9
+            },
+            {
+                urn: 'urn:li:activity:7100000000000000003',
+                text: 'What is the one tool you could not run your business without? Mine is a plain text file.',
+                posted_at: '2025-04-28T17:45:00Z',
+                post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:7100000000000000003/',
+                total_reactions_count: 95, comments_count: 140, reposts_count: 2
+            },
+            {
+                urn: 'urn:li:activity:7100000000000000002',
+                text: 'Hiring our first engineer. Remote, EU time zones, TypeScript + Postgres. DM me. #hiring #startups',
+                posted_at: '2025-04-21T09:10:00Z',
+                post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:7100000000000000002/',
+                total_reactions_count: 61, comments_count: 14, reposts_count: 20
+            },
+            {
+                urn: 'urn:li:activity:7100000000000000001',
+                text: 'Three lessons from 100 customer calls: listen for the workaround, price the outcome, and never demo before you understand the problem.',
+                posted_at: '2025-04-14T07:55:00Z',
+                post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:7100000000000000001/',
+                total_reactions_count: 318, comments_count: 42, reposts_count: 31
+            }
+        ],
+        scheduled: [],
+        tweets: [],
+        nextId: 1
+    };
+}
+
+function mockBackendRoutes(state) {
+    const nextId = () => `${Date.now()}${String(state.nextId++).padStart(3, '0')}`;
+    const requireText = (value, field) => (typeof value === 'string' && value.trim() !== '') ? null : `'${field}' is required`;
+    const checkMedia = (media) => {
+        const invalid = (media || []).findIndex(item => !item.filename || !(item.file_url || (item.file_data && item.mime_type)));
+        return invalid === -1 ? null : `media[${invalid}] needs a filename and either file_url or file_data with mime_type`;
+    };
+
+    return {
+        '/api/mcp/publish-linkedin-post': (body) => {
+            const error = requireText(body.post_text, 'post_text') || checkMedia(body.media);
+            if (error) { return [400, { success: false, error }]; }
+            const urn = `urn:li:activity:${nextId()}`;
+            state.posts.unshift({
+                urn,
+                text: body.post_text,
+                posted_at: new Date().toISOString(),
+                post_url: `https://www.linkedin.com/feed/update/${urn}/`,
+                total_reactions_count: 0, comments_count: 0, reposts_count: 0
+            });
+            return [200, { success: true, post_urn: urn }];
+        },
+        '/api/mcp/schedule-linkedin-post': (body) => {
+            const error = requireText(body.post_text, 'post_text') || requireText(body.scheduled_date, 'scheduled_date') || checkMedia(body.media);
+            if (error) { return [400, { success: false, error }]; }
+            if (new Date(body.scheduled_date).getTime() <= Date.now()) {
+                return [400, { success: false, error: 'scheduled_date must be in the future' }];
+            }
+            const jobId = `job_${nextId()}`;
+            state.scheduled.push({ scheduled_job_id: jobId, post_text: body.post_text, scheduled_date: body.scheduled_date, media: body.media || [], status: 'scheduled' });
+            return [200, { success: true, scheduled_job_id: jobId }];
+        },
+        '/api/mcp/list-scheduled-posts': (body) => {
+            return [200, { success: true, scheduled_posts: state.scheduled.filter(job => !body.status || job.status === body.status) }];
+        },
+        '/api/mcp/get-scheduled-post': (body) => {
+            const job = state.scheduled.find(candidate => candidate.scheduled_job_id === body.scheduled_job_id);
+            return job ? [200, { success: true, scheduled_post: job }] : [404, { success: false, error: `Scheduled job not found: ${body.scheduled_job_id}` }];
+        },
+        '/api/mcp/cancel-scheduled-post': (body) => {
+            const job = state.scheduled.find(candidate => candidate.scheduled_job_id === body.scheduled_job_id);
+            if (!job) { return [404, { success: false, error: `Scheduled job not found: ${body.scheduled_job_id}` }]; }
+            if (job.status !== 'scheduled') { return [409, { success: false, error: `Job is already ${job.status}` }]; }
+            job.status = 'cancelled';
+            return [200, { success: true, message: `Cancelled scheduled post ${job.scheduled_job_id}.` }];
+        },
+        '/api/mcp/reschedule-linkedin-post': (body) => {
+            const job = state.scheduled.find(candidate => candidate.scheduled_job_id === body.scheduled_job_id);
+            if (!job) { return [404, { success: false, error: `Scheduled job not found: ${body.scheduled_job_id}` }]; }
+            if (job.status !== 'scheduled') { return [409, { success: false, error: `Job is already ${job.status}` }]; }
+            if (body.scheduled_date && new Date(body.scheduled_date).getTime() <= Date.now()) {
+                return [400, { success: false, error: 'scheduled_date must be in the future' }];
+            }
+            ['scheduled_date', 'post_text', 'media'].forEach(key => {
+                if (body[key] !== undefined) { job[key] = body[key]; }
+            });
+            return [200, { success: true, scheduled_job_id: job.scheduled_job_id }];
+        },
+        '/api/mcp/publish-twitter-post': (body) => {
+            const error = requireText(body.post_text, 'post_text');
+            if (error) { return [400, { success: false, error }]; }
+            if (body.reply_to_tweet_id && !state.tweets.some(tweet => tweet.tweet_id === body.reply_to_tweet_id)) {
+                return [404, { success: false, error: `Tweet ${body.reply_to_tweet_id} not found` }];
+            }
+            const tweet = { tweet_id: nextId(), text: body.post_text, reply_to_tweet_id: body.reply_to_tweet_id || null };
+            state.tweets.push(tweet);
+            return [200, { success: true, tweet_id: tweet.tweet_id }];
+        },
+        '/api/mcp/analyze-linkedin-chat': (body) => {
+            const error = requireText(body.query, 'query');
+            if (error) { return [400, { error }]; }
+            const best = [...state.posts].sort((a, b) => b.total_reactions_count - a.total_reactions_count)[0];
+            return [200, { reply: `(mock) You asked: "${body.query}". Your best performing recent post got ${best.total_reactions_count} reactions: "${best.text.substring(0, 80)}..."` }];
+        },
+        '/api/mcp/generate-linkedin-post': (body) => {
+            const error = requireText(body.content, 'content');
+            if (error) { return [400, { success: false, error }]; }
+            const gist = body.content.trim().split(/\s+/).slice(0, 20).join(' ');
+            return [200, {
+                success: true,
+                variants: [
+                    `I just read something that changed how I think about this.\n\n${gist}...\n\nWhat's your take?`,
+                    `3 things I learned from this ${body.contentType || 'article'}:\n\n1. ${gist}\n2. Simple beats clever\n3. Ship, then iterate`,
+                    `Unpopular opinion: ${gist}...\n\nAgree or disagree?`
+                ]
+            }];
+        },
+        '/api/mcp/linkedin/posts': (body) => {
+            const limit = Number(body.limit) || 5;
+            return [200, {
+                success: true,
+                posts: state.posts.slice(0, limit),
+                data_last_updated: state.postsLastUpdated,
+                data_staleness_info: 'Mock data served by the local mock backend.'
+            }];
+        },
+        '/api/mcp/linkedin/profile': () => {
+            return [200, { success: true, profile: state.profile, linkedin_url: state.linkedinUrl, data_last_updated: state.profileLastUpdated }];
+        },
+        '/api/mcp/linkedin/set-url': (body) => {
+            if (typeof body.linkedin_url !== 'string' || !/^https?:\/\/(www\.)?linkedin\.com\/in\/[^/]+\/?$/.test(body.linkedin_url)) {
+                return [400, { success: false, error: 'Invalid LinkedIn profile URL' }];
+            }
+            state.linkedinUrl = body.linkedin_url;
+            return [200, { success: true, message: `LinkedIn URL set to ${body.linkedin_url}.` }];
+        },
+        // Like the real backend, a refresh finishes a few seconds after it was requested
+        '/api/mcp/linkedin/refresh-profile': () => {
+            setTimeout(() => { state.profileLastUpdated = new Date().toISOString(); }, mockRefreshDelayMs);
+            return [200, { success: true, message: `Profile refresh started (mock); new data in about ${mockRefreshDelayMs / 1000}s.` }];
+        },
+        '/api/mcp/linkedin/refresh-posts': () => {
+            setTimeout(() => { state.postsLastUpdated = new Date().toISOString(); }, mockRefreshDelayMs);
+            return [200, { success: true, message: `Posts refresh started (mock); new data in about ${mockRefreshDelayMs / 1000}s.` }];
+        }
+    };
+}
+
+// `failRate` (0-1) makes that share of requests fail with 503 to exercise retries and the circuit breaker;
+// `latencyMs` delays every answer, e.g. to try cancellation and the concurrency limit
+function runMockBackend(port, { failRate = 0, latencyMs = 0 } = {}) {
+    const routes = mockBackendRoutes(createMockBackendState());
+    const idempotentReplies = new Map();
+
+    const server = http.createServer(async (req, res) => {
+        const reply = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+        const route = routes[req.url.split('?')[0]];
+        log.info(`[mock-backend] ${req.method} ${req.url}`);
+
+        if (!route) { reply(404, { success: false, error: `Unknown endpoint: ${req.url}` }); return; }
+        if (req.method !== 'POST') { reply(405, { success: false, error: 'Method not allowed' }); return; }
+        if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+            reply(401, { success: false, error: 'Missing or invalid API key' });
+            return;
+        }
+        if (latencyMs > 0) {
+            await sleep(latencyMs);
+            if (res.destroyed || req.socket.destroyed) {
+                log.info(`[mock-backend] Client went away during ${req.url}.`);
+                return;
+            }
+        }
+        if (Math.random() < failRate) {
+            res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': '1' });
+            res.end(JSON.stringify({ success: false, error: 'Simulated outage (mock backend --fail-rate)' }));
+            return;
+        }
+        const idempotencyKey = req.headers['idempotency-key'] ? `${req.url}|${req.headers['idempotency-key']}` : null;
+        if (idempotencyKey && idempotentReplies.has(idempotencyKey)) {
+            reply(...idempotentReplies.get(idempotencyKey));
+            return;
+        }
+        try {
+            const body = await readJsonBody(req);
+            const [status, payload] = route(body);
+            if (idempotencyKey) { idempotentReplies.set(idempotencyKey, [status, payload]); }
+            reply(status, payload);
+        } catch (e) {
+            reply(400, { success: false, error: 'Invalid JSON body' });
+        }
+    });
+
+    server.on('error', (err) => {
+        console.error(err.code === 'EADDRINUSE'
+            ? `Mock backend: port ${port} is already in use. Stop whatever is using it or pick another with --port.`
+            : `Mock backend: could not listen on 127.0.0.1:${port}: ${err.message}`);
+        process.exit(1);
+    });
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`Mock backend listening on http://127.0.0.1:${port}`);
+        console.log(`Point the runner at it with: LINKEDIN_MCP_BASE_URL=http://127.0.0.1:${port} LINKEDIN_MCP_BACKEND_FEATURES=all`);
+        console.log('Any non-empty API key is accepted.');
+    });
+    return server;
+}
+
+// Diagnostics
+// `doctor` checks every known client config, npx and the backend; `uninstall` removes the
+// linkedin entry from client configs again. Both only touch the "linkedin" server entry.
+// The linkedin entry of each client config that exists, or why it couldn't be read
+async function inspectClientConfigs() {
+    const results = [];
+    for (const [name, client] of Object.entries(setupClients)) {
+        if (!client.configPath) { continue; }
+        const configPath = client.configPath();
+        if (!await fs.pathExists(configPath)) {
+            results.push({ name, client, configPath, found: false });
+            continue;
+        }
+        try {
+            const configData = await fs.readJson(configPath);
+            results.push({ name, client, configPath, found: true, configData, entry: configData[client.serversKey]?.linkedin });
+        } catch (err) {
+            results.push({ name, client, configPath, found: true, readError: err.message });
+        }
+    }
+    return results;
+}
+
+function checkNpx() {
+    const result = childProcess.spawnSync(os.platform() === 'win32' ? 'npx.cmd' : 'npx', ['--version'], {
+        encoding: 'utf8',
+        timeout: 20000,
+        shell: os.platform() === 'win32'
+    });
+    if (result.error || result.status !== 0) {
+        return { ok: false, detail: result.error ? result.error.message : (result.stderr || '').trim() || `exit code ${result.status}` };
+    }
+    return { ok: true, detail: `npx ${result.stdout.trim()}` };
+}
+
+// Fetches the profile with this key; a success with a linkedin_url means the key and URL are good
+async function checkBackendKey(apiKey) {
+    try {
+        const data = await callBackend(backendLinkedinProfileApiUrl, {}, { apiKey, label: 'LinkedIn profile API' });
+        if (!data?.success) {
+            return { ok: false, detail: describeBackendFailure(data) };
+        }
+        return data.linkedin_url
+            ? { ok: true, detail: `key accepted, LinkedIn URL ${data.linkedin_url}` }
+            : { ok: false, detail: 'key accepted, but no LinkedIn URL is set yet (use the set_linkedin_url tool)' };
+    } catch (error) {
+        const unauthorized = error.response && [401, 403].includes(error.response.status);
+        return { ok: false, rejected: unauthorized, detail: unauthorized ? `key rejected (HTTP ${error.response.status})` : describeBackendError(error, 'LinkedIn profile API') };
+    }
+}
+
+async function runDoctor() {
+    let problems = 0;
+    const report = (ok, message) => {
+        if (ok === false) { problems++; }
+        console.log(`${ok === null ? ' - ' : ok === 'warn' ? ' ! ' : ok ? ' ✓ ' : ' ✗ '} ${message}`);
+    };
+
+    console.log(`${publishedPackageName} ${packageVersion} doctor\n`);
+    console.log('Client configs:');
+    const keys = new Set();
+    const configs = await inspectClientConfigs();
+    for (const { name, client, configPath, found, readError, entry } of configs) {
+        if (!found) {
+            report(null, `${client.label}: no config at ${configPath}`);
+        } else if (readError) {
+            report(false, `${client.label}: ${configPath} is not valid JSON (${readError})`);
+        } else if (!entry) {
+            report(null, `${client.label}: ${configPath} has no "linkedin" server`);
+        } else {
+            const legacyKey = entry.env?.LINKEDIN_MCP_API_KEY;
+            if (legacyKey === apiKeyPlaceholder) {
+                report(false, `${client.label}: "linkedin" server in ${configPath} sets the API key to the placeholder, which overrides your login. Run \`npx ${publishedPackageName} setup --client ${name}\` again.`);
+            } else if (legacyKey) {
+                keys.add(legacyKey);
+                report('warn', `${client.label}: "linkedin" server in ${configPath} has the API key in plain text (key ${maskApiKey(legacyKey)}). Run \`npx ${publishedPackageName} setup\` again to move it to the credentials file.`);
+            } else {
+                const pinnedAccount = entry.env?.LINKEDIN_MCP_ACCOUNT;
+                if (pinnedAccount && !loadCredentials().accounts[pinnedAccount]) {
+                    report(false, `${client.label}: "linkedin" server in ${configPath} uses account '${pinnedAccount}', which is not stored. Run \`npx ${publishedPackageName} login --account ${pinnedAccount}\`.`);
+                } else {
+                    report(true, `${client.label}: "linkedin" server configured in ${configPath}${pinnedAccount ? ` (account '${pinnedAccount}')` : ''}`);
+                }
+            }
+        }
+    }
+    if (!configs.some(config => config.entry)) {
+        report(false, `No client is configured. Run \`npx ${publishedPackageName} setup --client <name>\`.`);
+    }
+
+    console.log('\nCredentials:');
+    const credentialsPath = getCredentialsPath();
+    const credentials = loadCredentials();
+    const accountNames = Object.keys(credentials.accounts);
+    if (accountNames.length === 0) {
+        // A key left in a client config still works, so that alone is only a warning
+        report(keys.size > 0 || process.env.LINKEDIN_MCP_API_KEY ? 'warn' : false, `No API key stored in ${credentialsPath}. Run \`npx ${publishedPackageName} login\`.`);
+    } else {
+        const mode = (await fs.stat(credentialsPath)).mode & 0o777;
+        if (os.platform() !== 'win32' && (mode & 0o077) !== 0) {
+            report(false, `${credentialsPath} is readable by other users (mode ${mode.toString(8)}). Run \`chmod 600 ${credentialsPath}\`.`);
+        }
+        for (const name of accountNames) {
+            keys.add(credentials.accounts[name].apiKey);
+            report(true, `Account '${name}'${name === credentials.defaultAccount ? ' (default)' : ''}: API key ${maskApiKey(credentials.accounts[name].apiKey)} stored in ${credentialsPath}`);
+        }
+    }
+    if (process.env.LINKEDIN_MCP_ACCOUNT && !credentials.accounts[process.env.LINKEDIN_MCP_ACCOUNT]) {
+        report(false, `LINKEDIN_MCP_ACCOUNT is set to '${process.env.LINKEDIN_MCP_ACCOUNT}', which is not a stored account`);
+    }
+    if (process.env.LINKEDIN_MCP_API_KEY) {
+        keys.add(process.env.LINKEDIN_MCP_API_KEY);
+        report(null, `LINKEDIN_MCP_API_KEY is set in this shell (key ${maskApiKey(process.env.LINKEDIN_MCP_API_KEY)}) and takes precedence`);
+    }
+
+    console.log('\nEnvironment:');
+    const npx = checkNpx();
+    report(npx.ok, npx.ok ? `${npx.detail} found` : `npx not available: ${npx.detail}. Install Node.js (which includes npx).`);
+
+    console.log(`\nBackend (${backendBaseUrl}):`);
+    if (keys.size === 0) {
+        report(null, 'skipped, no API key configured');
+    }
+    for (const apiKey of keys) {
+        const result = await checkBackendKey(apiKey);
+        report(result.ok, `key ${maskApiKey(apiKey)}: ${result.detail}`);
+    }
+
+    console.log(problems === 0 ? '\nEverything looks good.' : `\n${problems} problem${problems === 1 ? '' : 's'} found.`);
+    return problems === 0;
+}
+
+async function runUninstall(clientName) {
+    if (clientName && !setupClients[clientName]) {
+        console.error(`Error: Unknown client '${clientName}'. Choose one of: ${Object.keys(setupClients).join(', ')}.`);
+        process.exit(1);
+    }
+    let removed = 0;
+    for (const { name, client, configPath, configData, entry } of await inspectClientConfigs()) {
+        if (!entry || (clientName && name !== clientName)) { continue; }
+        const backupPath = await backupConfigFile(configPath);
+        delete configData[client.serversKey].linkedin;
+        await fs.writeJson(configPath, configData, { spaces: 2 });
+        console.log(`Removed the "linkedin" server from ${client.label} (${configPath}); backup at ${backupPath}`);
+        removed++;
+    }
+    if (removed === 0) {
+        console.log(`No "linkedin" server entry found${clientName ? ` for ${setupClients[clientName].label}` : ''}; nothing to remove.`);
+        return;
+    }
+    console.log(`\nRestart the affected clients. Local data (drafts, cache, settings) is kept in ${getRunnerConfigDir()}; delete that folder to remove it too.`);
+}
+
+// Command-Line Tool Calls
+// Subcommands like `post`, `posts --limit 10` or `export` run the same tools as tools/call, so
+// scripts and cron jobs get the same validation and backend handling as the MCP server. Options
+// map onto the tool's input schema (`--scheduled-date` -> scheduled_date). `call <tool>` reaches
+// every tool by its MCP name.
+// Exit codes: 0 success, 1 the tool failed, 2 bad usage or arguments, 3 no API key.
+const cliToolCommands = {
+    post: { tool: 'publish_linkedin_post', positional: 'post_text', summary: 'Publish a LinkedIn post' },
+    schedule: { tool: 'schedule_linkedin_post', positional: 'post_text', flags: { at: 'scheduled_date' }, summary: 'Schedule a LinkedIn post (--at 2025-06-01T09:00:00Z)' },
+    preview: { tool: 'preview_linkedin_post', positional: 'post_text', summary: 'Show how a post will look on LinkedIn' },
+    tweet: { tool: 'publish_twitter_post', positional: 'post_text', summary: 'Post a tweet (--auto-split for long text)' },
+    thread: { tool: 'publish_twitter_thread', positional: 'thread_text', summary: 'Post a Twitter thread' },
+    'cross-post': { tool: 'cross_post', positional: 'post_text', summary: 'Post to LinkedIn and Twitter at once' },
+    posts: { tool: 'get_linkedin_posts', summary: 'Show your recent LinkedIn posts' },
+    profile: { tool: 'get_linkedin_profile', summary: 'Show your LinkedIn profile' },
+    analyze: { tool: 'analyze_post_performance', summary: 'Engagement statistics for your recent posts' },
+    generate: { tool: 'generate_linkedin_post', positional: 'content', summary: 'Draft a post from notes (--file notes.md)' },
+    ask: { tool: 'analyze_linkedin_chat', positional: 'query', summary: 'Ask a question about your LinkedIn data' },
+    'set-url': { tool: 'set_linkedin_url', positional: 'linkedin_url', summary: 'Set the LinkedIn profile URL for your account' },
+    refresh: { tools: { profile: 'refresh_linkedin_profile', posts: 'refresh_linkedin_posts' }, summary: 'Re-fetch your profile and/or posts (refresh [profile|posts])' },
+    drafts: { tool: 'list_linkedin_drafts', summary: 'List saved drafts' },
+    scheduled: { tool: 'list_scheduled_posts', summary: 'List scheduled posts' },
+    cancel: { tool: 'cancel_scheduled_post', positional: 'scheduled_job_id', summary: 'Cancel a scheduled post' },
+    audit: { tool: 'get_publish_history', summary: 'Show the local audit log of publish and schedule attempts' },
+    export: { tool: 'export_linkedin_data', positional: 'path', flags: { from: 'from_date', to: 'to_date', only: 'include' }, summary: 'Export posts and profile to CSV, JSON or Markdown' },
+    call: { summary: 'Run any tool by name: call <tool_name> [--args JSON] [--option value...]' }
+};
+
+class UsageError extends Error {}
+
+function optionName(property) {
+    return `--${property.replace(/_/g, '-')}`;
+}
+
+// Turns an option's text into the type the tool's schema expects. Values that don't convert are
+// passed through unchanged so the tool's own validation reports them.
+function parseOptionValue(property, schema, raw, previous) {
+    if (schema.type === 'number' || schema.type === 'integer') {
+        return raw.trim() !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    }
+    if (schema.type === 'array' && schema.items?.type === 'object') {
+        let items;
+        if (/^\s*[[{]/.test(raw)) {
+            try {
+                items = [].concat(JSON.parse(raw));
+            } catch (e) {
+                throw new UsageError(`${optionName(property)} is not valid JSON: ${e.message}`);
+            }
+        } else if (schema.items.properties?.file_path) {
+            // `--media photo.png` / `--media https://...` as shorthand for a media item
+            items = [/^https?:\/\//i.test(raw)
+                ? { filename: path.basename(new URL(raw).pathname) || 'media', file_url: raw }
+                : { filename: path.basename(raw), file_path: raw }];
+        } else {
+            throw new UsageError(`${optionName(property)} takes JSON`);
+        }
+        return [...(previous || []), ...items];
+    }
+    if (schema.type === 'array') {
+        return [...(previous || []), ...raw.split(',').map(item => item.trim()).filter(Boolean)];
+    }
+    if (schema.type === 'object') {
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            throw new UsageError(`${optionName(property)} is not valid JSON: ${e.message}`);
+        }
+    }
+    return raw;
+}
+
+// Splits argv into tool arguments plus the runner's own options (--json, --file, --args, --help)
+function parseCommandArgs(argv, tool, command) {
+    const properties = tool.inputSchema.properties || {};
+    const options = { json: false, help: false, file: null, positionals: [], toolArgs: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--') || arg === '--') {
+            options.positionals.push(arg);
+            continue;
+        }
+        const [flag, inlineValue] = arg.includes('=') ? [arg.slice(2, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg.slice(2), undefined];
+        const takeValue = () => {
+            if (inlineValue !== undefined) { return inlineValue; }
+            if (i + 1 >= argv.length) { throw new UsageError(`--${flag} needs a value`); }
+            return argv[++i];
+        };
+        if (flag === 'json' || flag === 'help') {
+            options[flag] = true;
+        } else if (flag === 'file') {
+            options.file = takeValue();
+        } else if (flag === 'args') {
+            const raw = takeValue();
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch (e) {
+                throw new UsageError(`--args is not valid JSON: ${e.message}`);
+            }
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) { throw new UsageError('--args must be a JSON object'); }
+            options.toolArgs = { ...parsed, ...options.toolArgs };
+        } else {
+            const lookup = (name) => command.flags?.[name] || name.replace(/-/g, '_');
+            let property = lookup(flag);
+            let negated = false;
+            if (!(property in properties) && flag.startsWith('no-')) {
+                property = lookup(flag.slice(3));
+                negated = true;
+            }
+            const schema = properties[property];
+            if (!schema || (negated && schema.type !== 'boolean')) {
+                throw new UsageError(`Unknown option --${flag} for ${tool.name}. Options: ${Object.keys(properties).map(optionName).join(', ') || 'none'}`);
+            }
+            if (schema.type === 'boolean') {
+                options.toolArgs[property] = inlineValue !== undefined ? !['false', '0', 'no'].includes(inlineValue.toLowerCase()) : !negated;
+            } else {
+                options.toolArgs[property] = parseOptionValue(property, schema, takeValue(), options.toolArgs[property]);
+            }
+        }
+    }
+    return options;
+}
+
+function formatCommandHelp(commandName, command, tools) {
+    const lines = [`Usage: ${publishedPackageName} ${commandName}${command.positional ? ` <${command.positional}>` : ''}${command.tools ? ` [${Object.keys(command.tools).join('|')}]` : ''} [options]`, '', command.summary];
+    tools.forEach(tool => {
+        const aliases = Object.entries(command.flags || {});
+        lines.push('', `Runs ${tool.name}. Options:`);
+        Object.entries(tool.inputSchema.properties || {}).forEach(([property, schema]) => {
+            const alias = aliases.find(([, target]) => target === property);
+            const flags = [optionName(property), ...(alias ? [`--${alias[0]}`] : [])].join(', ');
+            const description = (schema.description || '').replace(/^(Required|Optional)\.\s*/, '').split(/(?<=[.!?])\s+(?=[A-Z])/)[0];
+            lines.push(`  ${flags}${schema.type === 'boolean' ? '' : ` <${schema.enum ? schema.enum.join('|') : schema.type}>`}  ${description}`);
+        });
     });
+    if (command.positional) { lines.push('', `  --file <path>  Read ${command.positional} from a file ('-' for stdin)`); }
+    lines.push('  --args <json>  Tool arguments as a JSON object (options override it)', '  --json  Print the result as JSON');
+    return lines.join('\n');
+}
+
+function formatCommandList() {
+    const width = Math.max(...Object.keys(cliToolCommands).map(name => name.length));
+    return [
+        `Usage: ${publishedPackageName} <command> [options]`,
+        '',
+        'With no command the runner starts the MCP server on stdio. Commands that run tools:',
+        ...Object.entries(cliToolCommands).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+        '',
+        'Setup and maintenance: setup, login, logout, rotate-key, accounts, doctor, uninstall, mock-backend, serve --http.',
+        `Run \`${publishedPackageName} <command> --help\` for a command's options. Exit codes: 0 success, 1 the tool failed, 2 bad usage or arguments, 3 no API key.`
+    ].join('\n');
+}
+
+function exitCodeForError(error) {
+    return error.code === -32001 ? 3 : 2;
+}
+
+// Runs one tool and prints its result; returns the exit code
+async function runCommandTool(toolName, toolArgs, json) {
+    try {
+        // Progress (e.g. `refresh --wait`) goes to stderr so stdout stays the result
+        const { result, data } = await runTool(toolName, toolArgs, { reportProgress: (progress, total, message) => console.error(message) });
+        const texts = result.content.filter(item => item.type === 'text').map(item => item.text);
+        if (json) {
+            console.log(JSON.stringify({
+                ok: !result.isError,
+                tool: toolName,
+                text: texts.join('\n\n'),
+                ...(result.structuredContent ? { structuredContent: result.structuredContent } : {}),
+                ...(data ? { data } : {})
+            }));
+        } else {
+            (result.isError ? console.error : console.log)(texts.join('\n\n'));
+        }
+        return result.isError ? 1 : 0;
+    } catch (error) {
+        if (!(error instanceof McpError)) { throw error; }
+        if (json) {
+            console.log(JSON.stringify({ ok: false, tool: toolName, error: { code: error.code, message: error.message } }));
+        } else {
+            console.error(`Error: ${error.message}`);
+        }
+        return exitCodeForError(error);
+    }
+}
+
+async function runToolCommand(commandName, argv) {
+    const command = cliToolCommands[commandName];
+    // Keep a script's stderr to problems unless a log level was configured
+    if (!loggingSettings.levelIsExplicit) { loggingSettings.level = 'warning'; }
+    const json = argv.includes('--json');
+    const fail = (message) => {
+        if (json) {
+            console.log(JSON.stringify({ ok: false, error: { code: -32602, message } }));
+        } else {
+            console.error(`Error: ${message}\nRun \`${publishedPackageName} ${commandName} --help\` for usage.`);
+        }
+        return 2;
+    };
+    let commandArgs = argv;
+    let toolNames;
+    if (commandName === 'call') {
+        const toolName = argv[0] && !argv[0].startsWith('--') ? argv[0] : null;
+        if (!toolName) {
+            if (argv.includes('--help')) {
+                console.log(`${formatCommandList()}\n\nTools: ${[...toolRegistry.keys()].join(', ')}`);
+                return 0;
+            }
+            return fail(`call needs a tool name. Tools: ${[...toolRegistry.keys()].join(', ')}`);
+        }
+        if (!toolRegistry.has(toolName)) { return fail(`Tool not found: ${toolName}`); }
+        toolNames = [toolName];
+        commandArgs = argv.slice(1);
+    } else if (command.tools) {
+        // Narrowed to the targets named on the command line once the options are parsed
+        toolNames = Object.values(command.tools);
+    } else {
+        toolNames = [command.tool];
+    }
+
+    const tools = toolNames.map(name => toolRegistry.get(name));
+    let options;
+    try {
+        // Tools run by one command share the same options, so the first tool's schema parses them
+        options = parseCommandArgs(commandArgs, tools[0], command);
+        if (options.help) {
+            console.log(formatCommandHelp(commandName === 'call' ? `call ${toolNames[0]}` : commandName, command, tools));
+            return 0;
+        }
+        if (command.tools) {
+            const unknown = options.positionals.filter(target => !Object.prototype.hasOwnProperty.call(command.tools, target));
+            if (unknown.length > 0) { throw new UsageError(`Unknown target '${unknown[0]}'; use ${Object.keys(command.tools).join(' or ')}`); }
+            if (options.positionals.length > 0) { toolNames = [...new Set(options.positionals)].map(target => command.tools[target]); }
+            options.positionals = [];
+        }
+        const { positional } = command;
+        if (options.positionals.length > (positional ? 1 : 0)) {
+            throw new UsageError(`Unexpected argument '${options.positionals[positional ? 1 : 0]}'${positional ? ' (quote text that contains spaces)' : ''}`);
+        }
+        if (options.file !== null) {
+            if (!positional) { throw new UsageError(`--file is not supported by ${commandName}`); }
+            if (options.positionals.length > 0) { throw new UsageError(`Pass ${positional} either as an argument or with --file, not both`); }
+            try {
+                options.toolArgs[positional] = fs.readFileSync(options.file === '-' ? 0 : options.file, 'utf8');
+            } catch (e) {
+                throw new UsageError(`Cannot read ${options.file}: ${e.message}`);
+            }
+        } else if (options.positionals.length === 1) {
+            options.toolArgs[positional] = options.positionals[0];
+        }
+    } catch (error) {
+        if (!(error instanceof UsageError)) { throw error; }
+        return fail(error.message);
+    }
 
-    console.error(`${packageName}: MCP listener ready.`);
+    let exitCode = 0;
+    for (const toolName of toolNames) {
+        exitCode = Math.max(exitCode, await runCommandTool(toolName, options.toolArgs, options.json));
+    }
+    return exitCode;
 }
 
 // Main Execution Logic
@@ -1445,38 +5441,89 @@ async function main() {
 
     // Signal and Exception Handling
     process.on('SIGINT', () => {
-        console.error(`${packageName}: Received SIGINT. Exiting...`);
+        log.info('Received SIGINT. Exiting.');
         process.exit(0);
     });
 
     process.on('SIGTERM', () => {
         // Do NOT exit on SIGTERM - Claude sends this after initialize, but expects the server to persist
-        console.error(`${packageName}: Received SIGTERM. Ignoring to stay alive for MCP.`);
+        log.info('Received SIGTERM. Ignoring to stay alive for MCP.');
     });
 
-    process.on('unhandledRejection', (reason, promise) => {
-        console.error(`${packageName}: Unhandled Rejection at:`, promise, 'reason:', reason);
+    process.on('unhandledRejection', (reason) => {
+        log.error('Unhandled rejection', { error: reason });
     });
 
     const args = process.argv.slice(2);
     if (args.length > 0 && args[0].toLowerCase() === 'setup') {
         const apiKey = parseApiKeyArg(args.slice(1));
-        await runSetup(apiKey);
+        await runSetup(apiKey, parseFlagArg(args.slice(1), '--client') || 'claude-desktop', parseFlagArg(args.slice(1), '--account'));
+        process.exit(0);
+    } else if (args.length > 0 && args[0].toLowerCase() === 'login') {
+        await runLogin(parseApiKeyArg(args.slice(1)), parseFlagArg(args.slice(1), '--account'));
         process.exit(0);
+    } else if (args.length > 0 && args[0].toLowerCase() === 'logout') {
+        await runLogout(parseFlagArg(args.slice(1), '--account'));
+        process.exit(0);
+    } else if (args.length > 0 && args[0].toLowerCase() === 'rotate-key') {
+        await runRotateKey(parseApiKeyArg(args.slice(1)), parseFlagArg(args.slice(1), '--account'));
+        process.exit(0);
+    } else if (args.length > 0 && args[0].toLowerCase() === 'accounts') {
+        await runAccounts(args.slice(1));
+        process.exit(0);
+    } else if (args.length > 0 && args[0].toLowerCase() === 'doctor') {
+        process.exit(await runDoctor() ? 0 : 1);
+    } else if (args.length > 0 && args[0].toLowerCase() === 'uninstall') {
+        await runUninstall(parseFlagArg(args.slice(1), '--client'));
+        process.exit(0);
+    } else if (args.length > 0 && args[0].toLowerCase() === 'mock-backend') {
+        const port = parseInt(parseFlagArg(args.slice(1), '--port'), 10) || mockBackendDefaultPort;
+        const failRate = parseFloat(parseFlagArg(args.slice(1), '--fail-rate')) || 0;
+        const latencyMs = parseInt(parseFlagArg(args.slice(1), '--latency'), 10) || 0;
+        runMockBackend(port, { failRate, latencyMs });
+    } else if (args.length > 0 && args[0].toLowerCase() === 'serve' && args.includes('--http')) {
+        runHttpServe(args.slice(1));
+    } else if (args.length > 0 && ['help', '--help', '-h'].includes(args[0].toLowerCase())) {
+        console.log(formatCommandList());
+        process.exit(0);
+    } else if (args.length > 0 && Object.prototype.hasOwnProperty.call(cliToolCommands, args[0].toLowerCase())) {
+        process.exit(await runToolCommand(args[0].toLowerCase(), args.slice(1)));
     } else {
         startMcpServer();
 
         // Keep Process Alive
-        console.error(`${packageName}: Setting keep-alive interval.`);
+        log.debug('Setting keep-alive interval.');
         setInterval(() => {
             // Empty function - existence keeps the event loop busy
         }, 60000); // 1-minute interval
 
-        console.error(`${packageName}: Process should remain active indefinitely.`);
+        log.debug('Process should remain active indefinitely.');
     }
 }
 
-main().catch(err => {
-    console.error(`${packageName}: Unhandled error in main:`, err);
-    process.exit(1);
-}); 
\ No newline at end of file
+// Run as a command (directly or through npx); the tests require this file for its internals instead
+if (require.main === module) {
+    main().catch(err => {
+        log.critical('Unhandled error in main', { error: err });
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    applySchemaDefaults,
+    backendBaseUrl,
+    callBackend,
+    callTool,
+    CircuitOpenError,
+    createSession,
+    describeBackendError,
+    handleRequest,
+    runMockBackend,
+    shortenToTweet,
+    sniffMimeType,
+    splitIntoTweets,
+    startHttpServer,
+    trimHashtags,
+    twitterWeightedLength,
+    validateAgainstSchema
+};
@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadRunner, createClient, resultText, runCli, makeTempDir, writeJson, readJson } = require('./helpers');
+
+const founderKey = 'founder-key-000001';
+const colleagueKey = 'colleague-key-000002';
+const credentials = () => ({
+    defaultAccount: 'founder',
+    accounts: {
+        founder: { apiKey: founderKey },
+        colleague: { apiKey: colleagueKey, defaults: { dry_run: true } }
+    }
+});
+
+describe('accounts', () => {
+    let context;
+    let client;
+    // Backend requests as [path, key]
+    let requests;
+
+    before(async () => {
+        context = await loadRunner({ credentials: credentials(), env: { LINKEDIN_MCP_API_KEY: undefined } });
+        // The mock serves every key, so record which one each request carried
+        context.mock.on('request', req => requests.push([req.url, req.headers.authorization]));
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    beforeEach(() => {
+        requests = [];
+    });
+    after(() => context.stop());
+
+    it('lists the accounts and which one is used by default', async () => {
+        const text = resultText(await client.callTool('list_accounts'));
+        assert.match(text, /^Accounts:\n- founder \(default\): key foun…0001, LinkedIn URL: not known yet\n- colleague: key coll…0002, LinkedIn URL: not known yet, defaults: \{"dry_run":true\}\n/);
+        assert.match(text, /Calls without an `account` argument use 'founder'\.$/);
+    });
+
+    it('says which account each call used', async () => {
+        const text = resultText(await client.callTool('get_linkedin_profile'));
+        assert.match(text, /\nAccount: 'founder'$/);
+        assert.deepEqual(requests.map(([, key]) => key), [`Bearer ${founderKey}`]);
+        assert.match(resultText(await client.callTool('list_accounts')), /founder \(default\): key foun…0001, LinkedIn URL: https:\/\/www\.linkedin\.com\/in\/jordan-demo\//);
+    });
+
+    it('applies the chosen account\'s defaults', async () => {
+        const result = await client.callTool('publish_linkedin_post', { post_text: 'Careful now', account: 'colleague' });
+        assert.match(resultText(result), /LinkedIn post preview/);
+        assert.match(resultText(result), /\nAccount: 'colleague' \(dry run, nothing was sent\)$/);
+        const published = await client.callTool('publish_linkedin_post', { post_text: 'For real', account: 'colleague', dry_run: false });
+        assert.match(resultText(published), /Post ID: .*\nAccount: 'colleague'$/);
+        assert.deepEqual(requests, [['/api/mcp/publish-linkedin-post', `Bearer ${colleagueKey}`]]);
+    });
+
+    it('rejects unknown accounts', async () => {
+        await assert.rejects(client.callTool('get_linkedin_profile', { account: 'nobody' }), {
+            code: -32602,
+            message: "Unknown account 'nobody'. Known accounts: founder, colleague."
+        });
+    });
+});
+
+describe('the accounts command', () => {
+    let dirs;
+    let credentialsPath;
+
+    before(() => {
+        dirs = { homeDir: makeTempDir(), configDir: makeTempDir() };
+        credentialsPath = path.join(dirs.configDir, 'credentials.json');
+        writeJson(credentialsPath, credentials());
+    });
+
+    it('changes the default account', async () => {
+        const { code, stdout } = await runCli(['accounts', 'use', 'colleague'], dirs);
+        assert.equal(code, 0);
+        assert.match(stdout, /'colleague' is now the default account\./);
+        assert.equal(readJson(credentialsPath).defaultAccount, 'colleague');
+    });
+
+    it('sets and removes argument defaults, parsing JSON values', async () => {
+        const set = await runCli(['accounts', 'set', 'founder', 'dry_run=true', 'visibility=PUBLIC'], dirs);
+        assert.match(set.stdout, /Defaults for 'founder': \{"dry_run":true,"visibility":"PUBLIC"\}/);
+        const unset = await runCli(['accounts', 'unset', 'founder', 'visibility'], dirs);
+        assert.match(unset.stdout, /Defaults for 'founder': \{"dry_run":true\}/);
+        assert.deepEqual(readJson(credentialsPath).accounts.founder.defaults, { dry_run: true });
+    });
+
+    it('refuses per-call arguments as defaults and unknown accounts', async () => {
+        const perCall = await runCli(['accounts', 'set', 'founder', 'idempotency_key=abc'], dirs);
+        assert.equal(perCall.code, 1);
+        assert.match(perCall.stderr, /'idempotency_key' cannot be a default; pass it with each call\./);
+        const unknown = await runCli(['accounts', 'use', 'nobody'], dirs);
+        assert.equal(unknown.code, 1);
+        assert.match(unknown.stderr, /Unknown account 'nobody'\. Known accounts: founder, colleague\./);
+    });
+
+    it('lists the accounts', async () => {
+        const { stdout } = await runCli(['accounts'], { ...dirs, env: { LINKEDIN_MCP_API_KEY: undefined } });
+        assert.match(stdout, /- colleague \(default\): key coll…0002/);
+        assert.match(stdout, /Calls without an `account` argument use 'colleague'\./);
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { loadRunner, createClient, resultText } = require('./helpers');
+
+// Newest first, like the backend returns them. Engagement: 12, 40, 4, 2.
+const fixturePosts = [
+    { urn: 'urn:li:activity:4', text: 'Short one?', posted_at: '2025-03-10T09:00:00Z', post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:4', total_reactions_count: 10, comments_count: 2, reposts_count: 0 },
+    { urn: 'urn:li:activity:3', text: 'Three tips:\n1. a\n2. b\n3. c', posted_at: '2025-03-08T15:30:00Z', post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:3', total_reactions_count: 30, comments_count: 5, reposts_count: 5 },
+    { urn: 'urn:li:activity:2', text: 'x'.repeat(600), posted_at: '2025-03-05T09:15:00Z', post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:2', total_reactions_count: 4, comments_count: 0, reposts_count: 0 },
+    { urn: 'urn:li:activity:1', text: 'Read https://example.com', posted_at: '2025-03-03T09:45:00Z', post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:1', total_reactions_count: 1, comments_count: 1, reposts_count: 0 }
+];
+
+describe('analyze_post_performance', () => {
+    let context;
+    let client;
+    let backend;
+    let posts = fixturePosts;
+
+    const analyze = async args => (await client.callTool('analyze_post_performance', { top_count: 1, ...args }));
+
+    before(async () => {
+        context = await loadRunner({ mockBackend: false, config: { cache: { postsTtlSeconds: 0 } } });
+        backend = http.createServer(async (req, res) => {
+            let raw = '';
+            for await (const chunk of req) { raw += chunk; }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, posts: posts.slice(0, JSON.parse(raw).limit) }));
+        });
+        backend.listen(context.port, '127.0.0.1');
+        await once(backend, 'listening');
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => {
+        backend.closeAllConnections();
+        backend.close();
+    });
+
+    it('computes engagement statistics exactly', async () => {
+        const { structuredContent: analysis } = await analyze();
+        assert.equal(analysis.post_count, 4);
+        assert.deepEqual(analysis.engagement, { total: 58, average: 14.5, median: 8, average_reactions: 11.3, average_comments: 2, average_reposts: 1.3 });
+        assert.deepEqual(analysis.by_weekday, [
+            { group: 'Mon', posts: 2, average_engagement: 7, median_engagement: 7 },
+            { group: 'Wed', posts: 1, average_engagement: 4, median_engagement: 4 },
+            { group: 'Sat', posts: 1, average_engagement: 40, median_engagement: 40 }
+        ]);
+        assert.deepEqual(analysis.by_hour.map(row => [row.group, row.posts, row.average_engagement, row.median_engagement]), [['09:00', 3, 6, 4], ['15:00', 1, 40, 40]]);
+        assert.deepEqual(analysis.by_length.map(row => [row.group, row.posts]), [['Short (<500 chars)', 3], ['Medium (500-1299 chars)', 1]]);
+        assert.deepEqual(analysis.by_format.map(row => row.group), ['list', 'question hook', 'plain text', 'with link']);
+        assert.deepEqual(analysis.top_performers.map(row => row.urn), ['urn:li:activity:3']);
+        assert.deepEqual(analysis.bottom_performers.map(row => row.urn), ['urn:li:activity:1']);
+        assert.deepEqual(analysis.trend, { direction: 'rising', first_half_average: 3, second_half_average: 26, change_percent: 766.7, slope_per_post: 6.6 });
+    });
+
+    it('summarises the numbers and renders tables', async () => {
+        const [summary, groups, performers, table] = (await analyze()).content.map(item => item.text);
+        assert.match(summary, /^Analyzed 4 posts \(times in UTC\)\.\nEngagement per post: average 14\.5, median 8 /);
+        assert.match(summary, /Best weekday: Sat\. Best hour: 15:00\. Best length: Short \(<500 chars\)\. Best format: list\./);
+        assert.match(summary, /Trend: rising \(\+766\.7% from the older half to the newer half of the window; 6\.6 engagement per post\)\./);
+        assert.match(groups, /By weekday:\n\| Group \| Posts \| Avg engagement \| Median \|\n\| --- \| --- \| --- \| --- \|\n\| Mon \| 2 \| 7 \| 7 \|/);
+        assert.match(performers, /Top performers:\n1\. 40 engagement, 2025-03-08T15:30:00Z: "Three tips: 1\. a 2\. b 3\. c" https:/);
+        assert.match(table, /^Posts:\n\| Posted \| Weekday /);
+        assert.equal(table.split('\n').length, 3 + 4);
+    });
+
+    it('uses the requested time zone for weekdays and hours', async () => {
+        const { structuredContent: analysis } = await analyze({ time_zone: 'Europe/Berlin' });
+        assert.deepEqual(analysis.by_hour.map(row => row.group), ['10:00', '16:00']);
+        await assert.rejects(analyze({ time_zone: 'Mars/Olympus' }), { code: -32602, message: /'time_zone' must be an IANA time zone/ });
+    });
+
+    it('needs four posts for a trend and at least one to analyze', async () => {
+        const { structuredContent: analysis } = await analyze({ limit: 3 });
+        assert.equal(analysis.post_count, 3);
+        assert.equal(analysis.trend.direction, 'not enough posts');
+
+        posts = [];
+        const empty = await analyze();
+        assert.equal(empty.isError, true);
+        assert.match(resultText(empty), /no posts with text were returned/);
+        posts = fixturePosts;
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadRunner, createClient, resultText, runCli, makeTempDir } = require('./helpers');
+
+const sha256 = text => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+describe('audit log', () => {
+    let context;
+    let client;
+    let auditPath;
+
+    // Skips the junk line 'skips unreadable lines' appends
+    const entries = (file = auditPath) => fs.readFileSync(file, 'utf8').split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+    const history = async args => client.callTool('get_publish_history', args);
+
+    before(async () => {
+        context = await loadRunner();
+        auditPath = path.join(context.configDir, 'audit.jsonl');
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => context.stop());
+
+    it('records who published what and what came back', async () => {
+        const text = 'Our launch is live! Details inside.';
+        const media = [{ filename: 'hero.png', file_url: 'https://example.com/hero.png' }];
+        const result = await client.callTool('publish_linkedin_post', { post_text: text, media, idempotency_key: 'launch-1' });
+        const postUrn = /Post ID: ([^)\s]+)/.exec(resultText(result))[1];
+        const [entry] = entries();
+        assert.equal(fs.statSync(auditPath).mode & 0o777, 0o600);
+        assert.match(entry.time, /^\d{4}-\d{2}-\d{2}T/);
+        assert.deepEqual({ ...entry, time: undefined }, {
+            time: undefined,
+            tool: 'publish_linkedin_post',
+            platform: 'linkedin',
+            action: 'publish',
+            account: 'LINKEDIN_MCP_API_KEY',
+            via: 'test-client',
+            content_sha256: sha256(text),
+            content_length: text.length,
+            excerpt: text,
+            media: [{ filename: 'hero.png', source: 'url', location: 'https://example.com/hero.png' }],
+            idempotency_key: 'launch-1',
+            result: 'success',
+            post_urn: postUrn
+        });
+    });
+
+    it('records schedules and tweets with their IDs', async () => {
+        const scheduledDate = new Date(Date.now() + 86400000).toISOString();
+        await client.callTool('schedule_linkedin_post', { post_text: 'Coming tomorrow', scheduled_date: scheduledDate });
+        await client.callTool('publish_twitter_post', { post_text: 'Short tweet about the launch' });
+        const [, scheduled, tweet] = entries();
+        assert.equal(scheduled.action, 'schedule');
+        assert.equal(scheduled.scheduled_date, scheduledDate);
+        assert.match(scheduled.scheduled_job_id, /\S/);
+        assert.equal(tweet.platform, 'twitter');
+        assert.match(tweet.tweet_id, /\S/);
+    });
+
+    it('does not record dry runs', async () => {
+        const before = entries().length;
+        await client.callTool('publish_linkedin_post', { post_text: 'Just looking', dry_run: true });
+        assert.equal(entries().length, before);
+    });
+
+    it('filters the history', async () => {
+        const all = await history();
+        assert.equal(all.structuredContent.total_matching, 3);
+        assert.match(resultText(all), /^Publish history: 3 of 3 matching attempts, newest first \(from .*audit\.jsonl\)\.\n\n\S+ ✅ Twitter publish by 'LINKEDIN_MCP_API_KEY' via test-client: "Short tweet about the launch" \(sha256 [0-9a-f]{12}\)\n {3}→ tweet /);
+        assert.match(resultText(all), /LinkedIn publish .*\n {3}media: hero\.png \(url\)\n {3}→ urn:li:/);
+
+        assert.deepEqual((await history({ platform: 'linkedin', action: 'schedule' })).structuredContent.entries.map(entry => entry.excerpt), ['Coming tomorrow']);
+        assert.equal((await history({ post_text: 'Coming tomorrow' })).structuredContent.total_matching, 1);
+        assert.equal((await history({ content_hash: sha256('Coming tomorrow').substring(0, 10).toUpperCase() })).structuredContent.total_matching, 1);
+        assert.equal((await history({ search: 'LAUNCH' })).structuredContent.total_matching, 2);
+        assert.equal((await history({ limit: 1 })).structuredContent.entries.length, 1);
+        assert.match(resultText(await history({ since: '2999-01-01' })), /^No matching publish attempts in /);
+        await assert.rejects(history({ until: 'yesterday' }), { code: -32602, message: /'until' must be a date like 2025-05-01/ });
+    });
+
+    it('skips unreadable lines', async () => {
+        fs.appendFileSync(auditPath, 'not json\n');
+        assert.equal((await history()).structuredContent.total_matching, 3);
+    });
+
+    it('is readable from the command line', async () => {
+        const { code, stdout } = await runCli(['audit', '--platform', 'twitter', '--json'], { configDir: context.configDir });
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout).structuredContent.entries.map(entry => entry.platform), ['twitter']);
+    });
+
+    it('keeps only the hash and length when content redaction is on', async () => {
+        const configDir = makeTempDir();
+        const published = await runCli(['post', 'Confidential announcement'], { configDir, port: context.port, env: { LINKEDIN_MCP_LOG_REDACT_CONTENT: '1' } });
+        assert.equal(published.code, 0, published.stderr);
+        const [entry] = entries(path.join(configDir, 'audit.jsonl'));
+        assert.equal(entry.excerpt, undefined);
+        assert.equal(entry.via, 'command line');
+        assert.equal(entry.content_sha256, sha256('Confidential announcement'));
+        const { stdout } = await runCli(['audit'], { configDir });
+        assert.match(stdout, /LinkedIn publish by 'LINKEDIN_MCP_API_KEY' via command line: 25 characters, text not recorded/);
+        assert.ok(!stdout.includes('Confidential'));
+    });
+
+    it('records failures with the error', async () => {
+        await context.stop();
+        const result = await client.callTool('publish_linkedin_post', { post_text: 'Nobody is listening' });
+        assert.equal(result.isError, true);
+        const failed = entries().at(-1);
+        assert.equal(failed.result, 'failed');
+        assert.match(failed.error, /\S/);
+        assert.equal(failed.post_urn, undefined);
+        assert.match(resultText(await history({ result: 'failed' })), /❌ LinkedIn publish .*"Nobody is listening".*\n {3}error: /);
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRunner, createClient, resultText, makeTempDir } = require('./helpers');
+
+// Endpoints only the mock is known to offer stay hidden until the operator enables them
+describe('backend features left disabled', () => {
+    let context;
+    let client;
+
+    before(async () => {
+        context = await loadRunner();
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => context.stop());
+
+    it('hides the tools that need them', async () => {
+        const { result } = await client.request('tools/list');
+        const names = result.tools.map(tool => tool.name);
+        assert.ok(!names.includes('cancel_scheduled_post'));
+        assert.ok(!names.includes('reschedule_linkedin_post'));
+        assert.ok(names.includes('list_scheduled_posts'));
+    });
+
+    it('refuses to run them with a message naming the setting', async () => {
+        await assert.rejects(client.callTool('cancel_scheduled_post', { scheduled_job_id: 'job_1' }), {
+            code: -32601,
+            message: /^Tool not available: cancel_scheduled_post\. .*LINKEDIN_MCP_BACKEND_FEATURES=scheduled_posts/
+        });
+    });
+
+    it('lists and gets the locally tracked scheduled posts instead', async () => {
+        const scheduled = await client.callTool('schedule_linkedin_post', { post_text: 'Tracked here', scheduled_date: new Date(Date.now() + 86400000).toISOString() });
+        const jobId = /Scheduled Job ID: ([^)]+)\)/.exec(resultText(scheduled))[1];
+        const listed = resultText(await client.callTool('list_scheduled_posts'));
+        assert.match(listed, /^1 scheduled post tracked locally by this runner\. The backend listing is not enabled/);
+        const fetched = resultText(await client.callTool('get_scheduled_post', { scheduled_job_id: jobId }));
+        assert.match(fetched, /^Showing the copy tracked locally/);
+        const missing = await client.callTool('get_scheduled_post', { scheduled_job_id: 'job_unknown' });
+        assert.equal(missing.isError, true);
+    });
+
+    it('only sends media by URL', async () => {
+        const imagePath = path.join(makeTempDir(), 'photo.gif');
+        fs.writeFileSync(imagePath, Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1'));
+        const media = [{ filename: 'photo.gif', file_path: imagePath }];
+
+        const published = await client.callTool('publish_linkedin_post', { post_text: 'With a local file', media });
+        assert.equal(published.isError, true);
+        assert.match(resultText(published), /media\[0\] \(photo\.gif\): uploading local or inline files is not enabled\. Host the file and pass 'file_url' instead\..*LINKEDIN_MCP_BACKEND_FEATURES=media_uploads/);
+        const preview = resultText(await client.callTool('preview_linkedin_post', { post_text: 'With a local file', media }));
+        assert.match(preview, /photo\.gif \(image\/gif, 10 bytes, 1x1\) from .* ⚠️ uploads are not enabled, host it and use file_url/);
+
+        const byUrl = await client.callTool('publish_linkedin_post', { post_text: 'With a hosted file', media: [{ filename: 'photo.gif', file_url: 'https://example.com/photo.gif' }] });
+        assert.equal(byUrl.isError, false, resultText(byUrl));
+    });
+
+    it('posts single tweets but no threads or replies', async () => {
+        const { result } = await client.request('tools/list');
+        assert.ok(!result.tools.some(tool => tool.name === 'publish_twitter_thread'));
+
+        const reply = await client.callTool('publish_twitter_post', { post_text: 'A reply', reply_to_tweet_id: '123' });
+        assert.equal(reply.isError, true);
+        assert.match(resultText(reply), /LINKEDIN_MCP_BACKEND_FEATURES=tweet_replies/);
+        const thread = await client.callTool('publish_twitter_post', { post_text: 'A long sentence that goes on. '.repeat(12).trim(), auto_split: true });
+        assert.equal(thread.isError, true);
+        assert.match(resultText(thread), /at tweet 1 of 2: .*tweet_replies.*\nNothing was posted\./);
+
+        const single = await client.callTool('publish_twitter_post', { post_text: 'Just one tweet' });
+        assert.equal(single.isError, false, resultText(single));
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRunner, createClient, resultText, readJson } = require('./helpers');
+
+describe('response cache', () => {
+    let context;
+    let client;
+
+    before(async () => {
+        context = await loadRunner({
+            config: {
+                cache: { profileTtlSeconds: 3600, postsTtlSeconds: 3600 },
+                retry: { maxRetries: 0 }
+            }
+        });
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => context.stop());
+
+    it('serves a fresh entry within its TTL without calling the backend', async () => {
+        const first = resultText(await client.callTool('get_linkedin_profile'));
+        assert.doesNotMatch(first, /Served from local cache/);
+        const second = resultText(await client.callTool('get_linkedin_profile'));
+        assert.match(second, /Served from local cache \(cached \d+s ago\)\./);
+    });
+
+    it('keeps the cache file private to the owner', () => {
+        const cachePath = path.join(context.configDir, 'cache.json');
+        assert.equal(fs.statSync(cachePath).mode & 0o777, 0o600);
+        const cache = readJson(cachePath);
+        assert.deepEqual(Object.values(cache.linkedinUrls), ['https://www.linkedin.com/in/jordan-demo/']);
+    });
+
+    it('asks the backend again when more posts are wanted than were cached', async () => {
+        await client.callTool('get_linkedin_posts', { limit: 2 });
+        assert.match(resultText(await client.callTool('get_linkedin_posts', { limit: 1 })), /Served from local cache/);
+        assert.doesNotMatch(resultText(await client.callTool('get_linkedin_posts', { limit: 5 })), /Served from local cache/);
+    });
+
+    it('stops serving cached data once set_linkedin_url changes the profile', async () => {
+        assert.match(resultText(await client.callTool('get_linkedin_profile')), /Served from local cache/);
+        const set = await client.callTool('set_linkedin_url', { linkedin_url: 'https://www.linkedin.com/in/someone-else/' });
+        assert.equal(set.isError, false, resultText(set));
+        assert.doesNotMatch(resultText(await client.callTool('get_linkedin_profile')), /Served from local cache/);
+        assert.doesNotMatch(resultText(await client.callTool('get_linkedin_posts', { limit: 1 })), /Served from local cache/);
+        assert.ok(Object.values(readJson(path.join(context.configDir, 'cache.json')).linkedinUrls).includes('https://www.linkedin.com/in/someone-else/'));
+    });
+
+    it('falls back to the cached copy with a warning when the backend is down', async () => {
+        await client.callTool('get_linkedin_posts', { limit: 5 });
+        // Publishing invalidates the cached posts, so the next read has to ask the backend
+        await client.callTool('publish_linkedin_post', { post_text: 'Fresh post' });
+        await context.stop();
+        const result = await client.callTool('get_linkedin_posts', { limit: 3 });
+        assert.equal(result.isError, false);
+        assert.match(resultText(result), /⚠️ Served from local cache \(cached \d+s ago\) because the backend request failed/);
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRunner, runCli, makeTempDir } = require('./helpers');
+
+describe('tool subcommands', () => {
+    let context;
+    // Each command runs in a runner of its own against the mock this process started
+    const run = (args, options = {}) => runCli(args, { port: context.port, ...options });
+
+    before(async () => {
+        context = await loadRunner();
+    });
+    after(() => context.stop());
+
+    it('prints the result of a tool', async () => {
+        const { code, stdout } = await run(['profile']);
+        assert.equal(code, 0);
+        assert.match(stdout, /Founder @ Demo Labs/);
+        const published = await run(['post', 'Hello from a script']);
+        assert.equal(published.code, 0, published.stderr);
+        assert.match(published.stdout, /Post ID: urn:li:/);
+    });
+
+    it('maps options onto the tool\'s arguments and prints JSON', async () => {
+        const { code, stdout } = await run(['posts', '--limit', '2', '--json']);
+        assert.equal(code, 0);
+        const output = JSON.parse(stdout);
+        assert.equal(output.ok, true);
+        assert.equal(output.tool, 'get_linkedin_posts');
+        assert.equal(output.structuredContent.posts.length, 2);
+    });
+
+    it('reads text from a file or stdin', async () => {
+        const notesPath = path.join(makeTempDir(), 'notes.md');
+        fs.writeFileSync(notesPath, 'Small teams ship faster than big ones');
+        const fromFile = await run(['generate', '--file', notesPath]);
+        assert.equal(fromFile.code, 0, fromFile.stderr);
+        assert.match(fromFile.stdout, /Small teams ship faster than big ones/);
+        const fromStdin = await run(['preview', '--file', '-'], { input: 'Piped in' });
+        assert.match(fromStdin.stdout, /Piped in/);
+    });
+
+    it('runs any tool by name with call', async () => {
+        const { code, stdout } = await run(['call', 'get_linkedin_posts', '--args', '{"limit":1}', '--json']);
+        assert.equal(code, 0);
+        assert.equal(JSON.parse(stdout).structuredContent.posts.length, 1);
+        const unknown = await run(['call', 'no_such_tool']);
+        assert.equal(unknown.code, 2);
+        assert.match(unknown.stderr, /^Error: Tool not found: no_such_tool\nRun `\S+ call --help` for usage\./);
+        assert.equal((await run(['call'])).code, 2);
+    });
+
+    it('refreshes the named targets and parses their options', async () => {
+        const { code, stderr } = await run(['refresh', 'posts', '--account', 'nobody']);
+        assert.equal(code, 2);
+        assert.match(stderr, /Unknown account 'nobody'/);
+        const unknown = await run(['refresh', 'everything']);
+        assert.equal(unknown.code, 2);
+        assert.match(unknown.stderr, /Unknown target 'everything'; use profile or posts/);
+    });
+
+    it('exits with 2 for bad usage or arguments', async () => {
+        const badValue = await run(['posts', '--limit', 'ten']);
+        assert.equal(badValue.code, 2);
+        assert.match(badValue.stderr, /'limit' must be a number/);
+        const badOption = await run(['posts', '--colour', 'red']);
+        assert.equal(badOption.code, 2);
+        assert.match(badOption.stderr, /Unknown option --colour for get_linkedin_posts\. Options: --limit/);
+        const extra = await run(['post', 'two', 'words']);
+        assert.equal(extra.code, 2);
+        assert.match(extra.stderr, /Unexpected argument 'words' \(quote text that contains spaces\)/);
+        const json = await run(['posts', '--limit', 'ten', '--json']);
+        assert.equal(JSON.parse(json.stdout).error.code, -32602);
+    });
+
+    it('exits with 1 when the tool fails and 3 without an API key', async () => {
+        const failed = await run(['set-url', 'https://example.com/me']);
+        assert.equal(failed.code, 1);
+        assert.match(failed.stderr, /\S/);
+        assert.equal(failed.stdout, '');
+        const noKey = await run(['profile'], { env: { LINKEDIN_MCP_API_KEY: undefined } });
+        assert.equal(noKey.code, 3);
+        assert.match(noKey.stderr, /API Key not set/);
+    });
+
+    it('describes the commands and their options', async () => {
+        const { code, stdout } = await run(['help']);
+        assert.equal(code, 0);
+        assert.match(stdout, /^Usage: \S+ <command> \[options\]/);
+        assert.match(stdout, /\n {2}posts +Show your recent LinkedIn posts\n/);
+        assert.match(stdout, /Exit codes: 0 success, 1 the tool failed, 2 bad usage or arguments, 3 no API key\./);
+        const exportHelp = await run(['export', '--help']);
+        assert.match(exportHelp.stdout, /^Usage: \S+ export <path> \[options\]/);
+        assert.match(exportHelp.stdout, /--from-date, --from <string>/);
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const readline = require('readline');
+const { once } = require('events');
+const { setTimeout: delay } = require('timers/promises');
+const { loadRunner, createClient, spawnCli } = require('./helpers');
+
+// Polls until `condition` holds; the backend sees requests a few event-loop turns after the call
+async function waitFor(condition, what) {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        if (condition()) { return; }
+        await delay(10);
+    }
+    assert.fail(`Timed out waiting for ${what}`);
+}
+
+describe('request handling', () => {
+    let context;
+    let client;
+    let backend;
+    // Requests the backend holds until a test answers them: { query, answer(), done, aborted }
+    const held = [];
+
+    const ask = (query, id) => client.request('tools/call', { name: 'analyze_linkedin_chat', arguments: { query } }, id);
+    const cancel = (requestId) => context.runner.handleRequest({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId, reason: 'test' } }, () => {}, client.session);
+    const waitingFor = query => held.find(entry => entry.query === query && !entry.done);
+
+    before(async () => {
+        context = await loadRunner({ mockBackend: false, config: { retry: { maxRetries: 0 } }, env: { LINKEDIN_MCP_MAX_CONCURRENT_REQUESTS: '2' } });
+        backend = http.createServer(async (req, res) => {
+            let raw = '';
+            for await (const chunk of req) { raw += chunk; }
+            const entry = { query: JSON.parse(raw).query, done: false, aborted: false };
+            entry.answer = () => {
+                entry.done = true;
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ reply: `Answer to ${entry.query}` }));
+            };
+            res.on('close', () => {
+                if (!entry.done) {
+                    entry.done = true;
+                    entry.aborted = true;
+                }
+            });
+            held.push(entry);
+        });
+        backend.listen(context.port, '127.0.0.1');
+        await once(backend, 'listening');
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => {
+        backend.closeAllConnections();
+        backend.close();
+    });
+
+    it('aborts the backend call of a cancelled request and sends no response', async () => {
+        const pending = ask('slow question', 'slow');
+        await waitFor(() => waitingFor('slow question'), 'the backend request');
+        const entry = waitingFor('slow question');
+        await cancel('slow');
+        assert.equal(await pending, undefined);
+        await waitFor(() => entry.done, 'the backend request to close');
+        assert.equal(entry.aborted, true);
+        assert.ok(!client.session.inFlight.has('slow'));
+        // Cancelling something that already finished is ignored
+        await cancel('slow');
+    });
+
+    it('refuses a second request with an id that is still in flight', async () => {
+        const first = ask('first', 'dup');
+        await waitFor(() => waitingFor('first'), 'the backend request');
+        const duplicate = await ask('second', 'dup');
+        assert.deepEqual(duplicate.error, { code: -32600, message: 'Invalid Request: id "dup" is already used by a request in progress' });
+        waitingFor('first').answer();
+        await first;
+        const answered = client.messages.filter(message => message.id === 'dup' && message.result);
+        assert.match(answered[0].result.content[0].text, /Answer to first/);
+    });
+
+    it('queues backend calls beyond the concurrency limit but answers other requests at once', async () => {
+        const calls = ['q1', 'q2', 'q3'].map(query => ask(query));
+        await waitFor(() => waitingFor('q1') && waitingFor('q2'), 'two backend requests');
+        await delay(50);
+        assert.equal(waitingFor('q3'), undefined);
+
+        const { result } = await client.request('tools/list');
+        assert.ok(result.tools.length > 0);
+
+        waitingFor('q1').answer();
+        await waitFor(() => waitingFor('q3'), 'the queued request');
+        waitingFor('q2').answer();
+        waitingFor('q3').answer();
+        const responses = await Promise.all(calls);
+        assert.ok(responses.every(response => response.result.isError === false));
+    });
+
+    it('cancels a request still waiting for a slot', async () => {
+        const running = ['r1', 'r2'].map(query => ask(query));
+        await waitFor(() => waitingFor('r1') && waitingFor('r2'), 'two backend requests');
+        const queued = ask('never sent', 'queued');
+        await delay(20);
+        await cancel('queued');
+        assert.equal(await queued, undefined);
+        waitingFor('r1').answer();
+        waitingFor('r2').answer();
+        await Promise.all(running);
+        assert.equal(held.some(entry => entry.query === 'never sent'), false);
+    });
+});
+
+describe('JSON-RPC batches on stdio', () => {
+    let child;
+    let lines;
+
+    before(() => {
+        child = spawnCli([]);
+        lines = readline.createInterface({ input: child.stdout })[Symbol.asyncIterator]();
+    });
+    after(() => child.kill('SIGKILL'));
+
+    const send = message => child.stdin.write(`${JSON.stringify(message)}\n`);
+    const next = async () => JSON.parse((await lines.next()).value);
+    const initialize = protocolVersion => send({ jsonrpc: '2.0', id: 0, method: 'initialize', params: { protocolVersion, capabilities: {}, clientInfo: { name: 'batch-test' } } });
+
+    it('answers a batch with one array from protocol 2025-03-26', async () => {
+        initialize('2025-03-26');
+        assert.equal((await next()).result.protocolVersion, '2025-03-26');
+        send([
+            { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+            { jsonrpc: '2.0', method: 'notifications/initialized' },
+            { jsonrpc: '2.0', id: 2, method: 'no/such/method' }
+        ]);
+        const responses = await next();
+        assert.ok(Array.isArray(responses));
+        assert.deepEqual(responses.map(response => response.id).sort(), [1, 2]);
+        assert.ok(responses.find(response => response.id === 1).result.tools);
+        assert.equal(responses.find(response => response.id === 2).error.code, -32601);
+
+        send([]);
+        assert.deepEqual(await next(), { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: empty batch' }, id: null });
+    });
+
+    it('rejects batches from protocol 2025-06-18', async () => {
+        initialize('2025-06-18');
+        await next();
+        send([{ jsonrpc: '2.0', id: 3, method: 'tools/list' }]);
+        assert.deepEqual(await next(), { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: batches are not supported in protocol 2025-06-18 and later' }, id: null });
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { once } = require('events');
+const { loadRunner, createClient, resultText, runCli, makeTempDir, writeJson, readJson, getFreePort, testApiKey } = require('./helpers');
+
+const newKey = 'new-key-9876543210';
+
+describe('stored credentials', () => {
+    let context;
+    // The key only comes from the credentials file, never from the environment
+    const run = (args, dirs, options = {}) => runCli(args, { ...dirs, port: context.port, env: { LINKEDIN_MCP_API_KEY: undefined }, ...options });
+    const newDirs = () => ({ homeDir: makeTempDir(), configDir: makeTempDir() });
+    const credentialsPath = dirs => path.join(dirs.configDir, 'credentials.json');
+
+    // The runner in this process also has no LINKEDIN_MCP_API_KEY, only a stored key
+    before(async () => {
+        context = await loadRunner({
+            credentials: { defaultAccount: 'default', accounts: { default: { apiKey: testApiKey } } },
+            env: { LINKEDIN_MCP_API_KEY: undefined }
+        });
+    });
+    after(() => context.stop());
+
+    it('serves tools with the stored key', async () => {
+        const client = createClient(context.runner);
+        await client.initialize();
+        const result = await client.callTool('get_linkedin_profile');
+        assert.equal(result.isError, false, resultText(result));
+        assert.match(resultText(result), /Founder @ Demo Labs/);
+    });
+
+    it('saves a verified key to an owner-only file', async () => {
+        const dirs = newDirs();
+        const { code, stdout } = await run(['login', '--api-key', testApiKey], dirs);
+        assert.equal(code, 0, stdout);
+        assert.match(stdout, /Verified: key accepted, LinkedIn URL https:\/\/www\.linkedin\.com\/in\/jordan-demo\/\./);
+        assert.match(stdout, /Logged in as account 'default' \(default\)\. API key test…6789 saved to /);
+        assert.ok(!stdout.includes(testApiKey));
+        assert.equal(fs.statSync(credentialsPath(dirs)).mode & 0o777, 0o600);
+        assert.equal(readJson(credentialsPath(dirs)).accounts.default.apiKey, testApiKey);
+    });
+
+    it('reads the key from a prompt without echoing it', async () => {
+        const dirs = newDirs();
+        const { code, stdout } = await run(['login'], dirs, { input: `${testApiKey}\n` });
+        assert.equal(code, 0, stdout);
+        assert.match(stdout, /^Paste your LiGo API key \(input is hidden\): \n/);
+        assert.ok(!stdout.includes(testApiKey));
+        assert.equal(readJson(credentialsPath(dirs)).accounts.default.apiKey, testApiKey);
+
+        const empty = await run(['login'], newDirs(), { input: '\n' });
+        assert.equal(empty.code, 1);
+        assert.match(empty.stderr, /No API key given/);
+    });
+
+    it('saves nothing when the backend rejects the key', async () => {
+        const port = await getFreePort();
+        const backend = http.createServer((req, res) => {
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Invalid API key' }));
+        });
+        backend.listen(port, '127.0.0.1');
+        await once(backend, 'listening');
+        try {
+            const dirs = newDirs();
+            const { code, stderr } = await run(['login', '--api-key', testApiKey], dirs, { port });
+            assert.equal(code, 1);
+            assert.match(stderr, /The backend rejected API key test…6789: key rejected \(HTTP 401\)\. Nothing was saved\./);
+            assert.ok(!fs.existsSync(credentialsPath(dirs)));
+        } finally {
+            backend.close();
+        }
+    });
+
+    it('moves a key out of an old client config and leaves it out of the backup', async () => {
+        const dirs = newDirs();
+        const configPath = path.join(dirs.homeDir, '.cursor', 'mcp.json');
+        writeJson(configPath, { mcpServers: { linkedin: { command: 'npx', env: { LINKEDIN_MCP_API_KEY: testApiKey, DEBUG: '1' } } } });
+        const { code, stdout } = await run(['setup', '--client', 'cursor'], dirs);
+        assert.equal(code, 0, stdout);
+        assert.match(stdout, /Moved the API key from .*mcp\.json to .*credentials\.json\./);
+        assert.equal(readJson(credentialsPath(dirs)).accounts.default.apiKey, testApiKey);
+        assert.equal(readJson(configPath).mcpServers.linkedin.env, undefined);
+        const backupPath = /Previous config backed up to (\S+)/.exec(stdout)[1];
+        assert.ok(!fs.readFileSync(backupPath, 'utf8').includes(testApiKey));
+        assert.deepEqual(readJson(backupPath).mcpServers.linkedin.env, { DEBUG: '1' });
+    });
+
+    it('rotates the key and removes copies left in client configs', async () => {
+        const dirs = newDirs();
+        await run(['login', '--api-key', testApiKey], dirs);
+        const configPath = path.join(dirs.homeDir, '.codeium', 'windsurf', 'mcp_config.json');
+        writeJson(configPath, { mcpServers: { linkedin: { command: 'npx', env: { LINKEDIN_MCP_API_KEY: testApiKey } } } });
+
+        const same = await run(['rotate-key', '--api-key', testApiKey], dirs);
+        assert.equal(same.code, 1);
+        assert.match(same.stderr, /That is the key already saved/);
+
+        const { code, stdout } = await run(['rotate-key', '--api-key', newKey], dirs);
+        assert.equal(code, 0, stdout);
+        assert.match(stdout, /Removed the API key from Windsurf/);
+        assert.match(stdout, /API key for account 'default' rotated from test…6789 to new-…3210\./);
+        assert.equal(readJson(credentialsPath(dirs)).accounts.default.apiKey, newKey);
+        assert.deepEqual(readJson(configPath).mcpServers.linkedin, { command: 'npx' });
+
+        const unknown = await run(['rotate-key', '--api-key', newKey, '--account', 'nobody'], dirs);
+        assert.equal(unknown.code, 1);
+        assert.match(unknown.stderr, /Unknown account 'nobody'/);
+    });
+
+    it('logs out of one account or all of them', async () => {
+        const dirs = newDirs();
+        await run(['login', '--api-key', testApiKey], dirs);
+        await run(['login', '--api-key', newKey, '--account', 'second'], dirs);
+
+        const one = await run(['logout', '--account', 'default'], dirs);
+        assert.match(one.stdout, /Logged out of account 'default'\. The default account is now 'second'\./);
+        assert.deepEqual(Object.keys(readJson(credentialsPath(dirs)).accounts), ['second']);
+
+        const all = await run(['logout'], dirs);
+        assert.match(all.stdout, /Logged out\. Removed .*credentials\.json\./);
+        assert.ok(!fs.existsSync(credentialsPath(dirs)));
+        assert.match((await run(['logout'], dirs)).stdout, /No saved API key found\./);
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRunner, createClient, resultText } = require('./helpers');
+
+describe('cross_post', () => {
+    let context;
+    let client;
+
+    before(async () => {
+        context = await loadRunner();
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => context.stop());
+
+    it('keeps the first hashtags, turning extra ones in sentences into words', () => {
+        const { trimHashtags } = context.runner;
+        assert.equal(trimHashtags('Learning #Rust and #Go with #WebAssembly today.', 2), 'Learning #Rust and #Go with WebAssembly today.');
+        assert.equal(trimHashtags('Shipped it!\n\n#launch #startup #saas #buildinpublic', 2), 'Shipped it!\n\n#launch #startup');
+        assert.equal(trimHashtags('#a #A #b', 1), '#a #A');
+        assert.equal(trimHashtags('No tags here', 0), 'No tags here');
+    });
+
+    it('shortens to one tweet on a sentence boundary and keeps a closing hashtag block', () => {
+        const { shortenToTweet, twitterWeightedLength } = context.runner;
+        const text = `${'This is a sentence worth reading. '.repeat(12).trim()} #launch #saas`;
+        const tweet = shortenToTweet(text);
+        assert.ok(twitterWeightedLength(tweet) <= 280);
+        assert.match(tweet, /reading\. #launch #saas$/);
+        assert.equal(shortenToTweet('Already short'), 'Already short');
+        assert.match(shortenToTweet('word '.repeat(100).trim()), /…$/);
+    });
+
+    it('previews both versions without sending anything', async () => {
+        const text = resultText(await client.callTool('cross_post', { post_text: 'Big news today. #one #two #three', dry_run: true }));
+        assert.match(text, /LinkedIn post preview/);
+        assert.match(text, /Hashtags \(3\): #one #two #three/);
+        assert.match(text, /Tweet preview[\s\S]*\nBig news today\. #one #two\n/);
+    });
+
+    it('publishes to both platforms', async () => {
+        const result = await client.callTool('cross_post', { post_text: 'Short enough for both. #news' });
+        assert.equal(result.isError, false);
+        assert.match(resultText(result), /^Cross-post finished\.\n✅ LinkedIn: published \(Post ID: urn:li:[^)]+\)\n✅ Twitter: published \(Tweet ID: \d+\)/);
+    });
+
+    it('reports each platform separately when one of them fails', async () => {
+        // Without the tweet_replies backend feature a thread can't be posted, but LinkedIn still can
+        const result = await client.callTool('cross_post', { post_text: 'A sentence that keeps going for a while. '.repeat(10).trim() });
+        assert.equal(result.isError, false);
+        assert.match(resultText(result), /^Cross-post partially failed \(1 of 2 platforms\)\.\n✅ LinkedIn: published .*\n❌ Twitter: .*tweet_replies/);
+    });
+
+    it('skips Twitter when scheduling', async () => {
+        const scheduledDate = new Date(Date.now() + 86400000).toISOString();
+        const result = await client.callTool('cross_post', { post_text: 'Tomorrow', scheduled_date: scheduledDate });
+        assert.match(resultText(result), new RegExp(`✅ LinkedIn: scheduled for ${scheduledDate.replace(/\./g, '\\.')} .*\\n⏭️ Twitter: scheduling is not supported for Twitter`));
+    });
+
+    it('only posts where asked', async () => {
+        const result = await client.callTool('cross_post', { post_text: 'LinkedIn only', platforms: ['linkedin'] });
+        assert.doesNotMatch(resultText(result), /Twitter/);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRunner, runCli, makeTempDir, writeJson, readJson, testApiKey } = require('./helpers');
+
+const placeholder = 'PASTE_YOUR_API_KEY_HERE';
+
+function storeKey(configDir, mode = 0o600) {
+    const credentialsPath = path.join(configDir, 'credentials.json');
+    writeJson(credentialsPath, { defaultAccount: 'default', accounts: { default: { apiKey: testApiKey } } });
+    fs.chmodSync(credentialsPath, mode);
+}
+
+describe('doctor', () => {
+    let context;
+    // Runs the command against the mock, with the key only in the credentials file
+    const run = (args, dirs) => runCli(args, { ...dirs, port: context.port, env: { LINKEDIN_MCP_API_KEY: undefined } });
+
+    before(async () => {
+        context = await loadRunner();
+    });
+    after(() => context.stop());
+
+    it('passes when a client is set up and the backend accepts the stored key', async () => {
+        const dirs = { homeDir: makeTempDir(), configDir: makeTempDir() };
+        storeKey(dirs.configDir);
+        await run(['setup', '--client', 'cursor'], dirs);
+        const { code, stdout } = await run(['doctor'], dirs);
+        assert.equal(code, 0, stdout);
+        assert.match(stdout, / ✓ {2}Cursor: "linkedin" server configured in .*mcp\.json\n/);
+        assert.match(stdout, / - {2}VS Code: no config at /);
+        assert.match(stdout, /Account 'default' \(default\): API key test…6789 stored in /);
+        assert.match(stdout, / ✓ {2}npx \S+ found/);
+        assert.match(stdout, /key test…6789: key accepted, LinkedIn URL https:\/\/www\.linkedin\.com\/in\/jordan-demo\//);
+        assert.match(stdout, /Everything looks good\.\n$/);
+    });
+
+    it('flags the placeholder key, unprotected credentials and a missing setup', async () => {
+        const dirs = { homeDir: makeTempDir(), configDir: makeTempDir() };
+        storeKey(dirs.configDir, 0o644);
+        writeJson(path.join(dirs.homeDir, '.codeium', 'windsurf', 'mcp_config.json'), { mcpServers: { linkedin: { command: 'npx', env: { LINKEDIN_MCP_API_KEY: placeholder } } } });
+        const { code, stdout } = await run(['doctor'], dirs);
+        assert.equal(code, 1);
+        assert.match(stdout, / ✗ {2}Windsurf: "linkedin" server in .* sets the API key to the placeholder/);
+        assert.match(stdout, / ✗ {2}.*credentials\.json is readable by other users \(mode 644\)/);
+        assert.match(stdout, /2 problems found\.\n$/);
+    });
+
+    it('reports when nothing is configured and skips the backend', async () => {
+        const { code, stdout } = await run(['doctor'], { homeDir: makeTempDir(), configDir: makeTempDir() });
+        assert.equal(code, 1);
+        assert.match(stdout, /No client is configured\./);
+        assert.match(stdout, /No API key stored in /);
+        assert.match(stdout, /skipped, no API key configured/);
+    });
+
+    it('warns about a key left in plain text but still checks it', async () => {
+        const dirs = { homeDir: makeTempDir(), configDir: makeTempDir() };
+        writeJson(path.join(dirs.homeDir, '.cursor', 'mcp.json'), { mcpServers: { linkedin: { command: 'npx', env: { LINKEDIN_MCP_API_KEY: testApiKey } } } });
+        const { code, stdout } = await run(['doctor'], dirs);
+        assert.equal(code, 0, stdout);
+        assert.match(stdout, / ! {2}Cursor: .* has the API key in plain text \(key test…6789\)/);
+        assert.match(stdout, /key test…6789: key accepted/);
+    });
+});
+
+describe('uninstall', () => {
+    it('removes only the linkedin entry, from the chosen client or all of them', async () => {
+        const dirs = { homeDir: makeTempDir(), configDir: makeTempDir() };
+        const cursorPath = path.join(dirs.homeDir, '.cursor', 'mcp.json');
+        const windsurfPath = path.join(dirs.homeDir, '.codeium', 'windsurf', 'mcp_config.json');
+        writeJson(cursorPath, { mcpServers: { github: { command: 'gh-mcp' } } });
+        await runCli(['setup', '--client', 'cursor'], dirs);
+        await runCli(['setup', '--client', 'windsurf'], dirs);
+
+        const one = await runCli(['uninstall', '--client', 'cursor'], dirs);
+        assert.equal(one.code, 0);
+        assert.match(one.stdout, /Removed the "linkedin" server from Cursor \(.*\); backup at .*mcp\.json\.bak-/);
+        assert.deepEqual(readJson(cursorPath), { mcpServers: { github: { command: 'gh-mcp' } } });
+        assert.ok(readJson(windsurfPath).mcpServers.linkedin);
+
+        const all = await runCli(['uninstall'], dirs);
+        assert.match(all.stdout, /Removed the "linkedin" server from Windsurf/);
+        assert.doesNotMatch(all.stdout, /Cursor/);
+        assert.deepEqual(readJson(windsurfPath).mcpServers, {});
+
+        const again = await runCli(['uninstall'], dirs);
+        assert.match(again.stdout, /No "linkedin" server entry found; nothing to remove\./);
+    });
+
+    it('refuses unknown clients', async () => {
+        const { code, stderr } = await runCli(['uninstall', '--client', 'emacs']);
+        assert.equal(code, 1);
+        assert.match(stderr, /Unknown client 'emacs'/);
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRunner, createClient, resultText, readJson } = require('./helpers');
+
+describe('drafts', () => {
+    let context;
+    let client;
+    let draftsPath;
+
+    const saveDraft = async (args) => {
+        const result = await client.callTool('save_linkedin_draft', args);
+        assert.equal(result.isError, false, resultText(result));
+        return /Saved draft (draft_[0-9a-f]+)\./.exec(resultText(result))[1];
+    };
+
+    before(async () => {
+        context = await loadRunner();
+        client = createClient(context.runner);
+        await client.initialize();
+        draftsPath = path.join(context.configDir, 'drafts.json');
+    });
+    after(() => context.stop());
+
+    it('saves drafts to an owner-only file', async () => {
+        const draftId = await saveDraft({ post_text: 'First idea', title: 'Idea', tags: ['launch'] });
+        assert.equal(fs.statSync(draftsPath).mode & 0o777, 0o600);
+        const [draft] = readJson(draftsPath).drafts;
+        assert.equal(draft.id, draftId);
+        assert.equal(draft.status, 'draft');
+        assert.equal(draft.version, 1);
+    });
+
+    it('filters the list by tag, status and text', async () => {
+        await saveDraft({ post_text: 'Hiring post', tags: ['hiring'] });
+        assert.match(resultText(await client.callTool('list_linkedin_drafts', { tag: 'hiring' })), /Found 1 draft\./);
+        assert.match(resultText(await client.callTool('list_linkedin_drafts', { query: 'IDEA' })), /Found 1 draft\..*\n.*Idea \[launch\]/s);
+        assert.match(resultText(await client.callTool('list_linkedin_drafts', { status: 'published' })), /No matching drafts found\./);
+    });
+
+    it('keeps earlier versions when a draft is edited', async () => {
+        const draftId = await saveDraft({ post_text: 'Version one' });
+        const updated = await client.callTool('update_linkedin_draft', { draft_id: draftId, post_text: 'Version two' });
+        assert.match(resultText(updated), new RegExp(`Updated draft ${draftId} to version 2\\.`));
+        const details = resultText(await client.callTool('list_linkedin_drafts', { draft_id: draftId }));
+        assert.match(details, /Version two\n\n--- Previous versions ---\nv1 \(.+\): Version one/);
+    });
+
+    it('publishes a draft and marks it as published', async () => {
+        const draftId = await saveDraft({ post_text: 'Ready to go' });
+        const dryRun = await client.callTool('publish_linkedin_draft', { draft_id: draftId, dry_run: true });
+        assert.match(resultText(dryRun), /Nothing was sent to LinkedIn/);
+        assert.equal(readJson(draftsPath).drafts.find(draft => draft.id === draftId).status, 'draft');
+
+        const published = await client.callTool('publish_linkedin_draft', { draft_id: draftId });
+        assert.match(resultText(published), new RegExp(`Draft ${draftId} marked as published\\.`));
+        const draft = readJson(draftsPath).drafts.find(candidate => candidate.id === draftId);
+        assert.equal(draft.status, 'published');
+        assert.match(draft.result.post_urn, /^urn:li:/);
+    });
+
+    it('refuses to send a draft twice unless asked to resend it', async () => {
+        const draftId = await saveDraft({ post_text: 'Only once' });
+        await client.callTool('publish_linkedin_draft', { draft_id: draftId });
+        const again = await client.callTool('publish_linkedin_draft', { draft_id: draftId });
+        assert.equal(again.isError, true);
+        assert.equal(resultText(again), `Draft ${draftId} was already published. Pass resend: true to send it again.`);
+        const resent = await client.callTool('publish_linkedin_draft', { draft_id: draftId, resend: true });
+        assert.equal(resent.isError, false, resultText(resent));
+    });
+
+    it('does not store inline media data', async () => {
+        const media = [{ filename: 'pixel.png', file_data: 'iVBORw0KGgo=' }];
+        await assert.rejects(client.callTool('save_linkedin_draft', { post_text: 'With a picture', media }), { code: -32602, message: /drafts can't store inline 'file_data' media/ });
+        const draftId = await saveDraft({ post_text: 'Picture later' });
+        await assert.rejects(client.callTool('update_linkedin_draft', { draft_id: draftId, media }), { code: -32602 });
+        assert.ok(!fs.readFileSync(draftsPath, 'utf8').includes('iVBORw0KGgo'));
+    });
+
+    it('deletes drafts and rejects unknown IDs', async () => {
+        const draftId = await saveDraft({ post_text: 'Throwaway' });
+        assert.match(resultText(await client.callTool('delete_linkedin_draft', { draft_id: draftId })), /Deleted draft/);
+        await assert.rejects(client.callTool('delete_linkedin_draft', { draft_id: draftId }), { code: -32602, message: /no draft with id/ });
+    });
+
+    it('does not lose drafts saved at the same time', async () => {
+        const saved = readJson(draftsPath).drafts.length;
+        await Promise.all(Array.from({ length: 5 }, (unused, index) => saveDraft({ post_text: `Parallel ${index}` })));
+        assert.equal(readJson(draftsPath).drafts.length, saved + 5);
+    });
+
+    it('refuses to touch a drafts file it cannot parse', async () => {
+        fs.writeFileSync(draftsPath, '{ "drafts": [ broken');
+        const result = await client.callTool('save_linkedin_draft', { post_text: 'Should not be saved' });
+        assert.equal(result.isError, true);
+        assert.match(resultText(result), /^Could not read .*drafts\.json \(.+\)\. Fix or move the file; it has been left unchanged\.$/);
+        assert.equal(fs.readFileSync(draftsPath, 'utf8'), '{ "drafts": [ broken');
+    });
+
+    it('still reports a scheduled post as scheduled when its local record cannot be written', async () => {
+        const scheduledPath = path.join(context.configDir, 'scheduled.json');
+        fs.writeFileSync(scheduledPath, 'not json');
+        const result = await client.callTool('schedule_linkedin_post', { post_text: 'Later', scheduled_date: new Date(Date.now() + 86400000).toISOString() });
+        assert.equal(result.isError, false);
+        assert.match(resultText(result), /Successfully scheduled post[\s\S]*Note: Could not read .*scheduled\.json/);
+        assert.equal(fs.readFileSync(scheduledPath, 'utf8'), 'not json');
+    });
+});
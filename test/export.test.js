@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { once } = require('events');
+const { loadRunner, createClient, resultText, runCli, makeTempDir, readJson } = require('./helpers');
+
+const backendData = {
+    '/api/mcp/linkedin/posts': {
+        success: true,
+        posts: [
+            { urn: 'urn:li:activity:3', text: '=HYPERLINK("http://evil")', posted_at: '2025-05-20T10:00:00Z', post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:3', total_reactions_count: 5, comments_count: 1 },
+            { urn: 'urn:li:activity:2', text: 'Hello, "world"\nline two', posted_at: '2025-05-10T08:00:00Z', post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:2', total_reactions_count: 2, reposts_count: 1 },
+            { urn: 'urn:li:activity:1', text: 'Old | post', posted_at: '2025-04-01T08:00:00Z', post_url: 'https://www.linkedin.com/feed/update/urn:li:activity:1', total_reactions_count: 1 }
+        ]
+    },
+    '/api/mcp/linkedin/profile': {
+        success: true,
+        linkedin_url: 'https://www.linkedin.com/in/export-demo/',
+        profile: {
+            headline: 'Builder',
+            summary: 'Writes software.',
+            experience: [{ title: 'CEO', companyName: 'Acme', dateRange: '2020 - now' }],
+            education: [{ schoolName: 'Uni', degree: 'BSc' }]
+        }
+    }
+};
+
+describe('export_linkedin_data', () => {
+    let context;
+    let client;
+    let backend;
+    let outDir;
+    let allowedDir;
+
+    const exportTo = (name, args = {}, exportClient = client) => exportClient.callTool('export_linkedin_data', { path: path.join(outDir, name), ...args });
+
+    before(async () => {
+        outDir = makeTempDir();
+        allowedDir = makeTempDir();
+        context = await loadRunner({ mockBackend: false, env: { LINKEDIN_MCP_HTTP_FILE_DIRS: allowedDir } });
+        backend = http.createServer((req, res) => {
+            req.resume();
+            res.writeHead(backendData[req.url] ? 200 : 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(backendData[req.url] || { success: false, error: 'Not found' }));
+        });
+        backend.listen(context.port, '127.0.0.1');
+        await once(backend, 'listening');
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => {
+        backend.closeAllConnections();
+        backend.close();
+    });
+
+    it('writes CSV that spreadsheets read as text', async () => {
+        const result = await exportTo('posts.csv', { include: ['posts'], columns: ['posted_at', 'text', 'engagement'] });
+        assert.equal(result.isError, false, resultText(result));
+        assert.equal(fs.readFileSync(path.join(outDir, 'posts.csv'), 'utf8'), [
+            'posted_at,text,engagement',
+            '2025-05-20T10:00:00Z,"\'=HYPERLINK(""http://evil"")",6',
+            '2025-05-10T08:00:00Z,"Hello, ""world""\nline two",3',
+            '2025-04-01T08:00:00Z,Old | post,1',
+            ''
+        ].join('\r\n'));
+    });
+
+    it('filters by date and writes the profile next to the posts', async () => {
+        const result = await exportTo('may.csv', { from_date: '2025-05-01', to_date: '2025-05-10', columns: ['urn'] });
+        assert.match(resultText(result), /^Exported 1 post between 2025-05-01 and 2025-05-10 and the profile as CSV to:\n- .*may\.csv\n- .*may-profile\.csv/);
+        assert.equal(fs.readFileSync(path.join(outDir, 'may.csv'), 'utf8'), 'urn\r\nurn:li:activity:2\r\n');
+        const profile = fs.readFileSync(path.join(outDir, 'may-profile.csv'), 'utf8');
+        assert.match(profile, /^field,value\r\nlinkedin_url,https:\/\/www\.linkedin\.com\/in\/export-demo\/\r\nheadline,Builder\r\n/);
+        assert.match(profile, /experience_1,CEO \| Acme \| 2020 - now\r\neducation_1,Uni \| BSc\r\n$/);
+    });
+
+    it('writes JSON and Markdown', async () => {
+        await exportTo('profile.json', { include: ['profile'] });
+        const json = readJson(path.join(outDir, 'profile.json'));
+        assert.equal(json.posts, undefined);
+        assert.deepEqual(json.profile.experience, [{ title: 'CEO', company: 'Acme', date_range: '2020 - now' }]);
+
+        await exportTo('export.md', { columns: ['text', 'reactions'] });
+        const markdown = fs.readFileSync(path.join(outDir, 'export.md'), 'utf8');
+        assert.match(markdown, /^# LinkedIn export\n\nExported \S+\.\n\n## Profile\n\n- \*\*Headline:\*\* Builder\n- \*\*URL:\*\* https:\/\/www\.linkedin\.com\/in\/export-demo\//);
+        assert.match(markdown, /### Experience\n\n- CEO, Acme, 2020 - now\n/);
+        assert.match(markdown, /## Posts \(3\)\n\n\| text \| reactions \|\n\| --- \| --- \|\n/);
+        assert.match(markdown, /\| Hello, "world"<br>line two \| 2 \|\n\| Old \\\| post \| 1 \|\n$/);
+    });
+
+    it('never overwrites a file unless asked, and then writes all files or none', async () => {
+        fs.writeFileSync(path.join(outDir, 'taken-profile.csv'), 'keep me');
+        const refused = await exportTo('taken.csv');
+        assert.equal(refused.isError, true);
+        assert.match(resultText(refused), /taken-profile\.csv already exists \(set overwrite to replace it\)/);
+        assert.ok(!fs.existsSync(path.join(outDir, 'taken.csv')));
+        assert.equal(fs.readFileSync(path.join(outDir, 'taken-profile.csv'), 'utf8'), 'keep me');
+
+        const replaced = await exportTo('taken.csv', { overwrite: true });
+        assert.equal(replaced.isError, false, resultText(replaced));
+        assert.match(fs.readFileSync(path.join(outDir, 'taken-profile.csv'), 'utf8'), /^field,value/);
+    });
+
+    it('checks the format and dates', async () => {
+        await assert.rejects(exportTo('posts.txt'), { code: -32602, message: /'format' is required when the path does not end in \.csv, \.json, \.md, \.markdown/ });
+        await assert.rejects(exportTo('posts.csv', { from_date: 'last week' }), { code: -32602, message: /'from_date' must be a date like 2025-05-01/ });
+        await assert.rejects(exportTo('posts.csv', { from_date: '2025-06-01', to_date: '2025-05-01' }), { code: -32602, message: /'from_date' must not be after 'to_date'/ });
+    });
+
+    it('keeps HTTP clients to the allowed directories', async () => {
+        const httpClient = createClient(context.runner, { transport: 'http' });
+        await httpClient.initialize();
+        const outside = await exportTo('remote.json', {}, httpClient);
+        assert.equal(outside.isError, true);
+        assert.match(resultText(outside), /is outside the directories HTTP clients may use/);
+        assert.ok(!fs.existsSync(path.join(outDir, 'remote.json')));
+
+        const inside = await httpClient.callTool('export_linkedin_data', { path: path.join(allowedDir, 'remote.json') });
+        assert.equal(inside.isError, false, resultText(inside));
+    });
+
+    it('exports from the command line', async () => {
+        const target = path.join(outDir, 'cli.csv');
+        const { code, stdout } = await runCli(['export', target, '--from', '2025-05-01', '--only', 'posts', '--columns', 'text,reactions'], { port: context.port });
+        assert.equal(code, 0, stdout);
+        assert.match(stdout, /^Exported 2 posts between 2025-05-01 and now as CSV to:/);
+        assert.match(fs.readFileSync(target, 'utf8'), /^text,reactions\r\n/);
+    });
+});
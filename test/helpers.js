@@ -0,0 +1,156 @@
+// Shared test setup. cli.js reads its environment (config directory, backend URL, features, ...)
+// once, when it is loaded, so every test file prepares the environment before requiring it.
+// node --test runs each file in a process of its own, so files never share runner state.
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const { spawn } = require('child_process');
+
+const cliPath = path.join(__dirname, '..', 'cli.js');
+const testApiKey = 'test-key-0123456789';
+
+function makeTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'linkedin-mcp-test-'));
+}
+
+function writeJson(filePath, value) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(value, null, 2));
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Environment for a runner with its own config directory and home, so nothing on the machine
+// running the tests is read or touched. `undefined` values remove a variable.
+function runnerEnvironment({ configDir, homeDir, port, env = {} }) {
+    const result = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('LINKEDIN_MCP_')));
+    Object.assign(result, {
+        HOME: homeDir,
+        USERPROFILE: homeDir,
+        XDG_CONFIG_HOME: path.join(homeDir, '.config'),
+        LINKEDIN_MCP_CONFIG_DIR: configDir,
+        LINKEDIN_MCP_BASE_URL: `http://127.0.0.1:${port}`,
+        LINKEDIN_MCP_API_KEY: testApiKey,
+        LINKEDIN_MCP_LOG_LEVEL: 'emergency'
+    }, env);
+    Object.keys(result).filter(name => result[name] === undefined).forEach(name => delete result[name]);
+    return result;
+}
+
+// Loads cli.js into this process against a fresh config directory and, unless `mockBackend` is
+// false, a mock backend on a free port. `config` and `credentials` are written before loading.
+async function loadRunner({ config, credentials, env, mockBackend = true } = {}) {
+    const configDir = makeTempDir();
+    const homeDir = makeTempDir();
+    if (config) { writeJson(path.join(configDir, 'config.json'), config); }
+    if (credentials) { writeJson(path.join(configDir, 'credentials.json'), credentials); }
+    const port = await getFreePort();
+    const environment = runnerEnvironment({ configDir, homeDir, port, env });
+    Object.keys(process.env).filter(name => !(name in environment)).forEach(name => delete process.env[name]);
+    Object.assign(process.env, environment);
+
+    const runner = require(cliPath);
+    let mock = null;
+    if (mockBackend) {
+        mock = runner.runMockBackend(port);
+        await once(mock, 'listening');
+    }
+    const stop = () => new Promise(resolve => {
+        if (!mock) { resolve(); return; }
+        mock.closeAllConnections();
+        mock.close(() => resolve());
+    });
+    return { runner, mock, configDir, homeDir, port, baseUrl: `http://127.0.0.1:${port}`, stop };
+}
+
+// An in-process MCP client: requests go through handleRequest like stdio or HTTP messages do.
+// `messages` collects everything sent back, including progress notifications.
+function createClient(runner, { transport = 'stdio' } = {}) {
+    const messages = [];
+    const notifications = [];
+    const session = runner.createSession(message => notifications.push(message), transport);
+    let nextId = 1;
+
+    async function request(method, params, id = nextId++) {
+        await runner.handleRequest({ jsonrpc: '2.0', id, method, params }, message => messages.push(message), session);
+        return messages.find(message => message.id === id);
+    }
+
+    async function initialize(protocolVersion = '2025-06-18') {
+        return request('initialize', { protocolVersion, capabilities: {}, clientInfo: { name: 'test-client', version: '1.0.0' } });
+    }
+
+    // Result of a tools/call; protocol errors throw so tests can assert on them
+    async function callTool(name, args = {}, meta) {
+        const response = await request('tools/call', { name, arguments: args, ...(meta ? { _meta: meta } : {}) });
+        if (response.error) {
+            throw Object.assign(new Error(response.error.message), { code: response.error.code });
+        }
+        return response.result;
+    }
+
+    return { session, messages, notifications, request, initialize, callTool };
+}
+
+function resultText(result) {
+    return result.content.filter(item => item.type === 'text').map(item => item.text).join('\n');
+}
+
+// Starts `node cli.js <args>` with the same isolated environment as loadRunner. The caller
+// talks to it over stdio and kills it when done, with SIGKILL: the runner ignores SIGTERM.
+function spawnCli(args, { configDir, homeDir, port = 9, env } = {}) {
+    return spawn(process.execPath, [cliPath, ...args], {
+        env: runnerEnvironment({ configDir: configDir || makeTempDir(), homeDir: homeDir || makeTempDir(), port, env }),
+        stdio: ['pipe', 'pipe', 'pipe']
+    });
+}
+
+// Runs the CLI in a child process; resolves with its exit code and output
+function runCli(args, { configDir, homeDir, port = 9, env, input, timeoutMs = 20000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawnCli(args, { configDir, homeDir, port, env });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`${args.join(' ')} did not exit within ${timeoutMs}ms\n${stderr}`));
+        }, timeoutMs);
+        child.on('error', reject);
+        child.on('close', code => {
+            clearTimeout(timer);
+            resolve({ code, stdout, stderr });
+        });
+        child.stdin.end(input ?? '');
+    });
+}
+
+module.exports = {
+    cliPath,
+    testApiKey,
+    makeTempDir,
+    writeJson,
+    readJson,
+    getFreePort,
+    loadRunner,
+    createClient,
+    resultText,
+    spawnCli,
+    runCli
+};
@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const { setTimeout: delay } = require('timers/promises');
+const axios = require('axios');
+const { loadRunner, getFreePort, runCli } = require('./helpers');
+
+const token = 'http-test-token';
+
+describe('Streamable HTTP transport', () => {
+    let context;
+    let server;
+    let endpoint;
+
+    const post = (body, headers = {}) => axios.post(endpoint, body, {
+        headers: { Authorization: `Bearer ${token}`, Accept: 'application/json, text/event-stream', ...headers },
+        validateStatus: () => true,
+        responseType: 'text',
+        transformResponse: data => data
+    });
+
+    const initialize = async () => {
+        const response = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'http-test' } } }, { Accept: 'application/json' });
+        assert.equal(response.status, 200);
+        return response.headers['mcp-session-id'];
+    };
+
+    before(async () => {
+        context = await loadRunner();
+        const port = await getFreePort();
+        server = context.runner.startHttpServer({ port, host: '127.0.0.1', token, allowedOrigins: [] });
+        await once(server, 'listening');
+        endpoint = `http://127.0.0.1:${port}/mcp`;
+    });
+    after(async () => {
+        server.closeAllConnections();
+        server.close();
+        await context.stop();
+    });
+
+    it('requires the bearer token', async () => {
+        const response = await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, { Authorization: 'Bearer wrong' });
+        assert.equal(response.status, 401);
+        assert.equal(response.headers['www-authenticate'], 'Bearer');
+    });
+
+    it('rejects cross-site origins and other paths', async () => {
+        const crossSite = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }, { Origin: 'https://evil.example' });
+        assert.equal(crossSite.status, 403);
+        const localPage = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }, { Origin: 'http://localhost:3000' });
+        assert.equal(localPage.status, 200);
+        const elsewhere = await axios.post(endpoint.replace('/mcp', '/other'), {}, { headers: { Authorization: `Bearer ${token}` }, validateStatus: () => true });
+        assert.equal(elsewhere.status, 404);
+    });
+
+    it('creates a session on initialize and requires it afterwards', async () => {
+        const noSession = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+        assert.equal(noSession.status, 400);
+        const unknownSession = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': 'nope' });
+        assert.equal(unknownSession.status, 404);
+
+        const sessionId = await initialize();
+        assert.ok(sessionId);
+        const listed = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId, Accept: 'application/json' });
+        assert.equal(listed.status, 200);
+        assert.ok(JSON.parse(listed.data).result.tools.some(tool => tool.name === 'publish_linkedin_post'));
+    });
+
+    it('answers over SSE when the client accepts it and acknowledges notifications with 202', async () => {
+        const sessionId = await initialize();
+        const notified = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+        assert.equal(notified.status, 202);
+
+        const streamed = await post({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'get_linkedin_profile', arguments: {} } }, { 'Mcp-Session-Id': sessionId, Accept: 'text/event-stream' });
+        assert.equal(streamed.status, 200);
+        assert.match(streamed.headers['content-type'], /text\/event-stream/);
+        const event = streamed.data.split('\n').find(line => line.startsWith('data: '));
+        const message = JSON.parse(event.slice('data: '.length));
+        assert.equal(message.id, 3);
+        assert.equal(message.result.isError, false);
+    });
+
+    it('ends a session on DELETE', async () => {
+        const sessionId = await initialize();
+        const deleted = await axios.delete(endpoint, { headers: { Authorization: `Bearer ${token}`, 'Mcp-Session-Id': sessionId }, validateStatus: () => true });
+        assert.equal(deleted.status, 204);
+        const closed = await post({ jsonrpc: '2.0', id: 4, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId });
+        assert.equal(closed.status, 404);
+    });
+
+    it('refuses bodies over the size limit with 413', async () => {
+        const sessionId = await initialize();
+        const huge = { jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'preview_linkedin_post', arguments: { post_text: 'x'.repeat(5 * 1024 * 1024) } } };
+        const response = await post(huge, { 'Mcp-Session-Id': sessionId, Accept: 'application/json' });
+        assert.equal(response.status, 413);
+        assert.equal(JSON.parse(response.data).error.code, -32600);
+    });
+
+    it('answers 202 with no body when a JSON-mode request is cancelled', async () => {
+        const sessionId = await initialize();
+        const headers = { 'Mcp-Session-Id': sessionId, Accept: 'application/json' };
+        const pending = post({ jsonrpc: '2.0', id: 'waiting', method: 'tools/call', params: { name: 'refresh_linkedin_profile', arguments: { wait: true } } }, headers);
+        await delay(300);
+        await post({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'waiting' } }, headers);
+        const response = await pending;
+        assert.equal(response.status, 202);
+        assert.equal(response.data, '');
+    });
+
+    it('drops sessions left idle without a DELETE', async () => {
+        const port = await getFreePort();
+        const idleServer = context.runner.startHttpServer({ port, host: '127.0.0.1', token, allowedOrigins: [], sessionIdleMs: 200 });
+        await once(idleServer, 'listening');
+        const idleEndpoint = endpoint;
+        endpoint = `http://127.0.0.1:${port}/mcp`;
+        try {
+            const sessionId = await initialize();
+            const headers = { 'Mcp-Session-Id': sessionId, Accept: 'application/json' };
+            assert.equal((await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, headers)).status, 200);
+            await delay(600);
+            assert.equal((await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, headers)).status, 404);
+        } finally {
+            endpoint = idleEndpoint;
+            idleServer.closeAllConnections();
+            idleServer.close();
+        }
+    });
+
+    it('exits with a clear message when the port is taken', async () => {
+        const blocker = net.createServer();
+        await new Promise(resolve => blocker.listen(0, '127.0.0.1', resolve));
+        try {
+            const { code, stderr } = await runCli(['serve', '--http', '--port', String(blocker.address().port), '--token', token], { env: { LINKEDIN_MCP_LOG_LEVEL: 'critical' } });
+            assert.equal(code, 1);
+            assert.match(stderr, /already in use/);
+        } finally {
+            blocker.close();
+        }
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRunner, createClient, runCli, makeTempDir, writeJson, testApiKey } = require('./helpers');
+
+const parseLines = text => text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+describe('log messages for MCP clients', () => {
+    let context;
+    let client;
+
+    const logMessages = logClient => logClient.notifications.filter(message => message.method === 'notifications/message').map(message => message.params);
+
+    // Content redaction is on in this runner; stderr stays quiet (emergency only)
+    before(async () => {
+        context = await loadRunner({ env: { LINKEDIN_MCP_LOG_REDACT_CONTENT: '1' } });
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => context.stop());
+
+    it('only accepts the MCP log levels', async () => {
+        const { error } = await client.request('logging/setLevel', { level: 'verbose' });
+        assert.equal(error.code, -32602);
+        assert.match(error.message, /'level' must be one of debug, info, notice, warning, error, critical, alert, emergency\./);
+    });
+
+    it('sends each session the levels it asked for, redacted', async () => {
+        const quiet = createClient(context.runner);
+        await quiet.initialize();
+        assert.deepEqual((await client.request('logging/setLevel', { level: 'debug' })).result, {});
+        await client.callTool('publish_linkedin_post', { post_text: 'Secret launch plans' });
+
+        const messages = logMessages(client);
+        const calling = messages.find(params => params.data.msg === 'Calling tool publish_linkedin_post.');
+        assert.equal(calling.level, 'info');
+        assert.deepEqual(calling.data.arguments, ['post_text']);
+        const debugArguments = messages.find(params => params.data.msg === 'Arguments for publish_linkedin_post');
+        assert.deepEqual(debugArguments.data.arguments, { post_text: '[19 characters redacted]' });
+        const everything = JSON.stringify(messages);
+        assert.ok(!everything.includes('Secret launch plans'));
+        assert.ok(!everything.includes(testApiKey));
+        assert.deepEqual(logMessages(quiet), []);
+    });
+
+    it('never sends one session the entries of another session\'s requests', async () => {
+        const first = createClient(context.runner, { transport: 'http' });
+        const second = createClient(context.runner, { transport: 'http' });
+        await first.initialize();
+        await second.initialize();
+        await first.request('logging/setLevel', { level: 'debug' });
+        await second.request('logging/setLevel', { level: 'debug' });
+        await first.callTool('get_linkedin_profile');
+
+        const seenByFirst = logMessages(first).map(params => params.data.msg);
+        assert.ok(seenByFirst.includes('Calling tool get_linkedin_profile.'));
+        assert.ok(seenByFirst.some(msg => / responded$/.test(msg)));
+        const seenBySecond = JSON.stringify(logMessages(second));
+        assert.ok(!seenBySecond.includes('get_linkedin_profile'));
+        assert.ok(!seenBySecond.includes('Demo Labs'));
+    });
+
+    it('stops sending messages below a raised level', async () => {
+        await client.request('logging/setLevel', { level: 'warning' });
+        const seen = logMessages(client).length;
+        await client.callTool('get_linkedin_profile');
+        assert.equal(logMessages(client).length, seen);
+    });
+});
+
+describe('log output', () => {
+    it('writes JSON lines to stderr without keys or bearer tokens', async () => {
+        const { code, stderr } = await runCli(['preview', 'Authorization: Bearer abc123secrettoken'], { env: { LINKEDIN_MCP_LOG_LEVEL: 'debug' } });
+        assert.equal(code, 0);
+        const lines = parseLines(stderr);
+        assert.ok(lines.length > 0);
+        lines.forEach(line => {
+            assert.match(line.time, /^\d{4}-\d{2}-\d{2}T/);
+            assert.ok(['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'].includes(line.level));
+            assert.equal(typeof line.msg, 'string');
+        });
+        const argumentsLine = lines.find(line => line.msg === 'Arguments for preview_linkedin_post');
+        assert.equal(argumentsLine.arguments.post_text, 'Authorization: Bearer [REDACTED]');
+        assert.ok(!stderr.includes('abc123secrettoken'));
+        assert.ok(!stderr.includes(testApiKey));
+    });
+
+    it('keeps to the configured level', async () => {
+        const { stderr } = await runCli(['preview', 'Quiet please'], { env: { LINKEDIN_MCP_LOG_LEVEL: 'warning' } });
+        assert.ok(parseLines(stderr).every(line => ['warning', 'error', 'critical', 'alert', 'emergency'].includes(line.level)));
+    });
+
+    it('writes an owner-only log file that rotates', async () => {
+        const configDir = makeTempDir();
+        writeJson(path.join(configDir, 'config.json'), { logging: { level: 'debug', file: true, maxFileBytes: 400, maxFiles: 2 } });
+        const env = { LINKEDIN_MCP_LOG_LEVEL: undefined };
+        for (let run = 0; run < 4; run++) {
+            assert.equal((await runCli(['preview', `Run ${run}`], { configDir, env })).code, 0);
+        }
+        const logPath = path.join(configDir, 'logs', 'runner.log');
+        assert.equal(fs.statSync(logPath).mode & 0o777, 0o600);
+        assert.ok(fs.existsSync(`${logPath}.1`));
+        assert.ok(fs.existsSync(`${logPath}.2`));
+        assert.ok(!fs.existsSync(`${logPath}.3`));
+        for (const file of [logPath, `${logPath}.1`, `${logPath}.2`]) {
+            const content = fs.readFileSync(file, 'utf8');
+            assert.ok(Buffer.byteLength(content) <= 400 || content.trim().split('\n').length === 1, file);
+            assert.ok(parseLines(content).length > 0);
+        }
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRunner, createClient, resultText, makeTempDir } = require('./helpers');
+
+function box(type, ...contents) {
+    const body = Buffer.concat(contents);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+// ftyp + moov/mvhd (version 0) + mdat padding to get past LinkedIn's minimum video size
+function mp4(durationSeconds) {
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(1000, 12);
+    mvhd.writeUInt32BE(durationSeconds * 1000, 16);
+    return Buffer.concat([
+        box('ftyp', Buffer.from('isom\0\0\0\0', 'latin1')),
+        box('moov', box('mvhd', mvhd)),
+        box('mdat', Buffer.alloc(80 * 1024))
+    ]);
+}
+
+function png(width, height) {
+    const header = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(header);
+    header.writeUInt32BE(13, 8);
+    header.write('IHDR', 12, 'latin1');
+    header.writeUInt32BE(width, 16);
+    header.writeUInt32BE(height, 20);
+    return header;
+}
+
+describe('media', () => {
+    let context;
+    let client;
+    let mediaDir;
+    let allowedDir;
+
+    const writeMedia = (dir, name, data) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, data);
+        return filePath;
+    };
+    const previewMedia = async (media, previewClient = client) => resultText(await previewClient.callTool('preview_linkedin_post', { post_text: 'With media', media }));
+
+    before(async () => {
+        mediaDir = makeTempDir();
+        allowedDir = makeTempDir();
+        context = await loadRunner({ env: { LINKEDIN_MCP_BACKEND_FEATURES: 'media_uploads', LINKEDIN_MCP_HTTP_FILE_DIRS: allowedDir } });
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => context.stop());
+
+    it('recognises files by their content rather than their name', () => {
+        const { sniffMimeType } = context.runner;
+        assert.equal(sniffMimeType(png(1, 1)), 'image/png');
+        assert.equal(sniffMimeType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0])), 'image/jpeg');
+        assert.equal(sniffMimeType(Buffer.from('GIF89a')), 'image/gif');
+        assert.equal(sniffMimeType(Buffer.from('%PDF-1.7')), 'application/pdf');
+        assert.equal(sniffMimeType(mp4(10).subarray(0, 32)), 'video/mp4');
+        assert.equal(sniffMimeType(Buffer.from('\0\0\0\x14ftypqt  ', 'latin1')), 'video/quicktime');
+        assert.equal(sniffMimeType(Buffer.from('plain text')), null);
+    });
+
+    it('reports the size, dimensions and duration of local files', async () => {
+        const image = writeMedia(mediaDir, 'photo.png', png(1200, 627));
+        const video = writeMedia(mediaDir, 'clip.mp4', mp4(12));
+        const text = await previewMedia([{ filename: 'photo.png', file_path: image }, { filename: 'clip.mp4', file_path: video }]);
+        assert.match(text, /1\. photo\.png \(image\/png, 33 bytes, 1200x627\)/);
+        assert.match(text, /2\. clip\.mp4 \(video\/mp4, 80 KB, 12\.0s\)/);
+        assert.match(text, /❌ a post with a video or document cannot have any other media/);
+    });
+
+    it('rejects files LinkedIn would refuse', async () => {
+        const renamed = writeMedia(mediaDir, 'notes.png', 'just text');
+        const short = writeMedia(mediaDir, 'short.mp4', mp4(2));
+        const huge = writeMedia(mediaDir, 'huge.png', png(10000, 10000));
+        const text = await previewMedia([
+            { filename: 'notes.png', file_path: renamed },
+            { filename: 'short.mp4', file_path: short },
+            { filename: 'huge.png', file_path: huge },
+            { filename: 'gone.png', file_path: path.join(mediaDir, 'gone.png') }
+        ]);
+        assert.match(text, /notes\.png ❌ unsupported file type \(unrecognised\)/);
+        assert.match(text, /short\.mp4 ❌ .* is 2\.0s long; LinkedIn videos must be between 3s and 30 minutes/);
+        assert.match(text, /huge\.png ❌ .* is 10000x10000 \(100000000 pixels\)/);
+        assert.match(text, /gone\.png ❌ file not found/);
+    });
+
+    it('gives up cleanly on truncated or malformed MP4 files', async () => {
+        const boxHeader = (size, type) => {
+            const header = Buffer.from(`\0\0\0\0${type}`, 'latin1');
+            header.writeUInt32BE(size, 0);
+            return header;
+        };
+        const start = Buffer.concat([box('ftyp', Buffer.from('isom\0\0\0\0', 'latin1')), box('mdat', Buffer.alloc(80 * 1024))]);
+        const files = {
+            // moov and mvhd claim more bytes than the file has left
+            'truncated.mp4': Buffer.concat([start, boxHeader(1000, 'moov'), boxHeader(108, 'mvhd'), Buffer.alloc(6)]),
+            // A box smaller than its own header
+            'badbox.mp4': Buffer.concat([start, boxHeader(4, 'moov'), Buffer.alloc(16)]),
+            'nomoov.mp4': start
+        };
+        for (const [name, data] of Object.entries(files)) {
+            const text = await previewMedia([{ filename: name, file_path: writeMedia(mediaDir, name, data) }]);
+            assert.match(text, new RegExp(`${name.replace('.', '\\.')} ❌ could not read the duration of .*; is it a complete MP4 file\\?`));
+        }
+    });
+
+    it('uploads local and inline files as base64', async () => {
+        const image = writeMedia(mediaDir, 'upload.png', png(100, 100));
+        const result = await client.callTool('publish_linkedin_post', { post_text: 'With a picture', media: [{ filename: 'upload.png', file_path: image }, { filename: 'inline.png', file_data: png(10, 10).toString('base64') }] });
+        assert.equal(result.isError, false, resultText(result));
+
+        const invalid = await client.callTool('publish_linkedin_post', { post_text: 'Broken', media: [{ filename: 'x.png', file_data: 'not base64!' }] });
+        assert.equal(invalid.isError, true);
+        assert.match(resultText(invalid), /media\[0\] \(x\.png\): 'file_data' is not valid base64/);
+    });
+
+    it('describes every media source and the media_uploads gate in the publishing tools', async () => {
+        const { result } = await client.request('tools/list');
+        for (const name of ['publish_linkedin_post', 'schedule_linkedin_post']) {
+            const { description } = result.tools.find(tool => tool.name === name);
+            assert.match(description, /'file_url'.*'file_path'.*'file_data'.*media_uploads/, name);
+        }
+    });
+
+    it('keeps HTTP clients to the allowed directories', async () => {
+        const httpClient = createClient(context.runner, { transport: 'http' });
+        await httpClient.initialize();
+        const outside = writeMedia(mediaDir, 'outside.png', png(10, 10));
+        const inside = writeMedia(allowedDir, 'inside.png', png(10, 10));
+        fs.symlinkSync(outside, path.join(allowedDir, 'link.png'));
+
+        assert.match(await previewMedia([{ filename: 'inside.png', file_path: inside }], httpClient), /inside\.png \(image\/png/);
+        assert.match(await previewMedia([{ filename: 'outside.png', file_path: outside }], httpClient), /outside\.png ❌ .* is outside the directories HTTP clients may use/);
+        assert.match(await previewMedia([{ filename: 'link.png', file_path: path.join(allowedDir, 'link.png') }], httpClient), /link\.png ❌ .* is outside the directories/);
+        const published = await httpClient.callTool('publish_linkedin_post', { post_text: 'Nope', media: [{ filename: 'outside.png', file_path: outside }] });
+        assert.equal(published.isError, true);
+    });
+});
@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const axios = require('axios');
+const { loadRunner, createClient, resultText, runCli } = require('./helpers');
+
+describe('backend base URL and mock backend', () => {
+    let context;
+    let client;
+
+    before(async () => {
+        context = await loadRunner();
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => context.stop());
+
+    it('sends tool calls to LINKEDIN_MCP_BASE_URL', async () => {
+        assert.equal(context.runner.backendBaseUrl, context.baseUrl);
+        const result = await client.callTool('get_linkedin_profile');
+        assert.equal(result.isError, false);
+        assert.match(resultText(result), /Founder @ Demo Labs/);
+    });
+
+    it('answers every publishing endpoint', async () => {
+        const published = await client.callTool('publish_linkedin_post', { post_text: 'Hello from the tests' });
+        assert.equal(published.isError, false, resultText(published));
+        const scheduled = await client.callTool('schedule_linkedin_post', { post_text: 'Later', scheduled_date: new Date(Date.now() + 86400000).toISOString() });
+        assert.equal(scheduled.isError, false, resultText(scheduled));
+        const tweeted = await client.callTool('publish_twitter_post', { post_text: 'Short tweet' });
+        assert.equal(tweeted.isError, false, resultText(tweeted));
+    });
+
+    it('rejects requests without a bearer key and unknown endpoints', async () => {
+        const unauthorized = await axios.post(`${context.baseUrl}/api/mcp/linkedin/profile`, {}, { validateStatus: () => true });
+        assert.equal(unauthorized.status, 401);
+        const unknown = await axios.post(`${context.baseUrl}/api/mcp/nope`, {}, { headers: { Authorization: 'Bearer x' }, validateStatus: () => true });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('exits with a clear message when its port is taken', async () => {
+        const blocker = net.createServer();
+        await new Promise(resolve => blocker.listen(0, '127.0.0.1', resolve));
+        try {
+            const { code, stderr } = await runCli(['mock-backend', '--port', String(blocker.address().port)]);
+            assert.equal(code, 1);
+            assert.match(stderr, /already in use/);
+        } finally {
+            blocker.close();
+        }
+    });
+});
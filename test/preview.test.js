@@ -0,0 +1,49 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRunner, createClient, resultText } = require('./helpers');
+
+// No API key and no backend: a dry run must not need either
+describe('dry runs and previews', () => {
+    let context;
+    let client;
+
+    before(async () => {
+        context = await loadRunner({ mockBackend: false, env: { LINKEDIN_MCP_API_KEY: undefined } });
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+
+    it('previews a publish without a key or a backend', async () => {
+        const result = await client.callTool('publish_linkedin_post', { post_text: 'Short and sweet #launch @Demo https://example.com/x.', dry_run: true });
+        assert.equal(result.isError, false);
+        const text = resultText(result);
+        assert.match(text, /Nothing was sent to LinkedIn/);
+        assert.match(text, /\(The whole post is visible without "see more"\.\)/);
+        assert.match(text, /Characters: 52 \/ 3000 ✅/);
+        assert.match(text, /Hashtags \(1\): #launch/);
+        assert.match(text, /Mentions \(1\): @Demo/);
+        assert.match(text, /Links \(1\): https:\/\/example\.com\/x\n/);
+        assert.equal(fs.existsSync(path.join(context.configDir, 'audit.jsonl')), false);
+    });
+
+    it('shows where the feed folds a long post', async () => {
+        const postText = 'Line one\nLine two\nLine three\nLine four is hidden';
+        const text = resultText(await client.callTool('preview_linkedin_post', { post_text: postText }));
+        assert.match(text, /before "see more":\n\nLine one\nLine two\nLine three… see more/);
+        assert.match(text, /The remaining \d+ characters are hidden/);
+    });
+
+    it('flags posts over the character limit and schedules in the past', async () => {
+        const tooLong = resultText(await client.callTool('preview_linkedin_post', { post_text: 'x'.repeat(3005) }));
+        assert.match(tooLong, /Characters: 3005 \/ 3000 ❌ \(5 over the limit\)/);
+        const past = resultText(await client.callTool('schedule_linkedin_post', { post_text: 'Later', scheduled_date: '2020-01-01T09:00:00Z', dry_run: true }));
+        assert.match(past, /Scheduled for: 2020-01-01T09:00:00Z ⚠️ this is in the past/);
+    });
+
+    it('still needs a key to actually publish', async () => {
+        await assert.rejects(client.callTool('publish_linkedin_post', { post_text: 'For real' }), { code: -32001 });
+        await assert.rejects(client.callTool('publish_linkedin_post', { post_text: 'For real', dry_run: false }), { code: -32001 });
+    });
+});
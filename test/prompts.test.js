@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRunner, createClient } = require('./helpers');
+
+describe('prompts', () => {
+    let context;
+    let client;
+
+    const getPromptText = async (name, args) => {
+        const response = await client.request('prompts/get', { name, arguments: args });
+        assert.ok(response.result, JSON.stringify(response.error));
+        assert.equal(response.result.messages.length, 1);
+        assert.equal(response.result.messages[0].role, 'user');
+        return response.result.messages[0].content.text;
+    };
+
+    before(async () => {
+        context = await loadRunner();
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => context.stop());
+
+    it('lists each prompt with its arguments', async () => {
+        const { result } = await client.request('prompts/list');
+        assert.deepEqual(result.prompts.map(prompt => prompt.name), ['analyze_recent_posts', 'repurpose_article', 'weekly_content_plan', 'stronger_hook']);
+        const repurpose = result.prompts.find(prompt => prompt.name === 'repurpose_article');
+        assert.deepEqual(repurpose.arguments.filter(arg => arg.required).map(arg => arg.name), ['article']);
+    });
+
+    it('includes the profile and the requested number of posts', async () => {
+        const text = await getPromptText('analyze_recent_posts', { count: '2' });
+        assert.match(text, /Analyze my last 2 LinkedIn posts/);
+        assert.match(text, /## My LinkedIn profile/);
+        assert.match(text, /Founder @ Demo Labs/);
+        assert.match(text, /## My 2 most recent LinkedIn posts/);
+    });
+
+    for (const [name, args] of [['repurpose_article', { article: 'Notes on pricing' }], ['stronger_hook', { draft: 'I learned a lot this year.' }], ['weekly_content_plan', {}]]) {
+        it(`${name} gives the model the profile as well as recent posts`, async () => {
+            const text = await getPromptText(name, args);
+            assert.match(text, /## My LinkedIn profile/);
+            assert.match(text, /Founder @ Demo Labs/);
+            assert.match(text, /most recent LinkedIn posts/);
+        });
+    }
+
+    it('embeds the user-supplied content', async () => {
+        const text = await getPromptText('stronger_hook', { draft: 'I learned a lot this year.' });
+        assert.match(text, /--- draft ---\nI learned a lot this year\.\n--- end ---/);
+    });
+
+    it('rejects unknown prompts and missing required arguments', async () => {
+        const unknown = await client.request('prompts/get', { name: 'nope' });
+        assert.equal(unknown.error.code, -32602);
+        const missing = await client.request('prompts/get', { name: 'repurpose_article', arguments: { article: '  ' } });
+        assert.deepEqual(missing.error, { code: -32602, message: "Invalid arguments: 'article' required." });
+    });
+});
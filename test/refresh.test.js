@@ -0,0 +1,113 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { setTimeout: delay } = require('timers/promises');
+const { loadRunner, createClient, resultText } = require('./helpers');
+
+// The first poll comes 2s after the refresh starts and the next 3s later, so these tests take a
+// few seconds each
+describe('refresh tools waiting for new data', () => {
+    let context;
+    let client;
+    let backend;
+    // data_last_updated the profile endpoint reports, and after how many reads following a
+    // refresh it changes (null: never)
+    let lastUpdated;
+    let finishAfterReads;
+    let readsSinceRefresh;
+
+    const refresh = async (args, progressToken) => {
+        const response = await client.request('tools/call', { name: 'refresh_linkedin_profile', arguments: args, _meta: { progressToken } });
+        return response.result;
+    };
+    const progressFor = token => client.messages
+        .filter(message => message.method === 'notifications/progress' && message.params.progressToken === token)
+        .map(message => message.params);
+
+    before(async () => {
+        context = await loadRunner({ mockBackend: false });
+        backend = http.createServer((req, res) => {
+            req.resume();
+            let body = { success: false, error: 'Not found' };
+            if (req.url === '/api/mcp/linkedin/refresh-profile') {
+                readsSinceRefresh = 0;
+                body = { success: true, message: 'Profile refresh started.' };
+            } else if (req.url === '/api/mcp/linkedin/profile') {
+                if (readsSinceRefresh !== null && finishAfterReads !== null && ++readsSinceRefresh >= finishAfterReads) {
+                    lastUpdated = '2025-06-01T12:00:00Z';
+                }
+                body = { success: true, profile: { headline: 'Refreshing' }, ...(lastUpdated ? { data_last_updated: lastUpdated } : {}) };
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        backend.listen(context.port, '127.0.0.1');
+        await once(backend, 'listening');
+        client = createClient(context.runner);
+        await client.initialize('2025-03-26');
+    });
+    beforeEach(() => {
+        lastUpdated = '2025-06-01T08:00:00Z';
+        finishAfterReads = 1;
+        readsSinceRefresh = null;
+    });
+    after(() => {
+        backend.closeAllConnections();
+        backend.close();
+    });
+
+    it('returns the backend message at once without wait', async () => {
+        const result = await refresh({}, 'no-wait');
+        assert.equal(resultText(result), 'Profile refresh started.\nAccount: the LINKEDIN_MCP_API_KEY environment variable');
+        assert.deepEqual(progressFor('no-wait'), []);
+    });
+
+    it('waits until data_last_updated moves and reports progress', async () => {
+        const result = await refresh({ wait: true, timeout_seconds: 60 }, 'finish');
+        assert.match(resultText(result), /^Profile refresh started\.\n✅ Refresh finished after \d+s\. New data is ready \(last updated: 2025-06-01T12:00:00Z\); get_linkedin_profile now returns it\./);
+        const [first, last, ...rest] = progressFor('finish');
+        assert.deepEqual(first, { progressToken: 'finish', progress: 0, total: 60, message: 'Refresh started; waiting for get_linkedin_profile to report new data.' });
+        assert.deepEqual([last.progress, last.total], [60, 60]);
+        assert.match(last.message, /^Refresh finished after \d+s\.$/);
+        assert.deepEqual(rest, []);
+    });
+
+    it('gives up after the timeout with progress that only goes up', async () => {
+        finishAfterReads = null;
+        const result = await refresh({ wait: true, timeout_seconds: 5 }, 'timeout');
+        assert.match(resultText(result), /⏱️ The refresh was started, but get_linkedin_profile still reported data from 2025-06-01T08:00:00Z after 5s\./);
+        // One notification per poll, each higher than the last and short of the total
+        const progress = progressFor('timeout').map(params => params.progress);
+        assert.equal(progress.length, 3);
+        assert.equal(progress[0], 0);
+        assert.ok(progress[1] > progress[0] && progress[2] > progress[1], progress.join(', '));
+        assert.equal(progress[2], 4);
+        assert.match(progressFor('timeout')[1].message, /^Still waiting for new data \(\ds of 5s\)\.$/);
+    });
+
+    it('says so when there is no timestamp to wait for', async () => {
+        lastUpdated = null;
+        finishAfterReads = null;
+        const result = await refresh({ wait: true }, 'no-baseline');
+        assert.match(resultText(result), /⚠️ Could not tell when the refresh finishes: get_linkedin_profile reported no last-updated time before it started\./);
+    });
+
+    it('stops waiting when the client cancels', async () => {
+        finishAfterReads = null;
+        const started = Date.now();
+        const pending = client.request('tools/call', { name: 'refresh_linkedin_profile', arguments: { wait: true }, _meta: { progressToken: 'cancel' } }, 'refresh-cancel');
+        await delay(100);
+        await context.runner.handleRequest({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'refresh-cancel' } }, () => {}, client.session);
+        assert.equal(await pending, undefined);
+        assert.ok(Date.now() - started < 1500);
+    });
+
+    it('only sends the progress message to clients on 2025-03-26 or later', async () => {
+        const oldClient = createClient(context.runner);
+        await oldClient.initialize('2024-11-05');
+        await oldClient.request('tools/call', { name: 'refresh_linkedin_profile', arguments: { wait: true, timeout_seconds: 60 }, _meta: { progressToken: 'old' } });
+        const progress = oldClient.messages.filter(message => message.method === 'notifications/progress').map(message => message.params);
+        assert.deepEqual(progress, [{ progressToken: 'old', progress: 0, total: 60 }, { progressToken: 'old', progress: 60, total: 60 }]);
+    });
+});
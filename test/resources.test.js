@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRunner, createClient } = require('./helpers');
+
+describe('resources', () => {
+    let context;
+    let client;
+
+    before(async () => {
+        context = await loadRunner();
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => context.stop());
+
+    it('lists the profile, recent posts and a per-post template', async () => {
+        const { result } = await client.request('resources/list');
+        assert.deepEqual(result.resources.map(resource => resource.uri), ['linkedin://profile', 'linkedin://posts/recent']);
+        const templates = await client.request('resources/templates/list');
+        assert.deepEqual(templates.result.resourceTemplates.map(template => template.uriTemplate), ['linkedin://posts/{urn}']);
+    });
+
+    it('reads the profile and recent posts', async () => {
+        const profile = await client.request('resources/read', { uri: 'linkedin://profile' });
+        assert.equal(profile.result.contents[0].mimeType, 'text/plain');
+        assert.match(profile.result.contents[0].text, /Founder @ Demo Labs/);
+
+        const posts = await client.request('resources/read', { uri: 'linkedin://posts/recent' });
+        assert.match(posts.result.contents[0].text, /We shipped our first paid plan today/);
+    });
+
+    it('reads a single post by URN', async () => {
+        const uri = 'linkedin://posts/urn:li:activity:7100000000000000003';
+        const { result } = await client.request('resources/read', { uri });
+        assert.equal(result.contents[0].uri, uri);
+        assert.match(result.contents[0].text, /^Content: What is the one tool/);
+        assert.match(result.contents[0].text, /95 reactions, 140 comments, 2 reposts/);
+    });
+
+    it('answers unknown resources with -32002 and a missing uri with -32602', async () => {
+        const unknown = await client.request('resources/read', { uri: 'linkedin://posts/urn:li:activity:1' });
+        assert.equal(unknown.error.code, -32002);
+        const other = await client.request('resources/read', { uri: 'linkedin://nothing' });
+        assert.equal(other.error.code, -32002);
+        const missing = await client.request('resources/read', {});
+        assert.equal(missing.error.code, -32602);
+    });
+
+    it('notifies subscribers when a publish changes the posts', async () => {
+        const subscribed = await client.request('resources/subscribe', { uri: 'linkedin://posts/recent' });
+        assert.deepEqual(subscribed.result, {});
+        await client.callTool('publish_linkedin_post', { post_text: 'A new post' });
+        assert.deepEqual(client.notifications.at(-1), { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: 'linkedin://posts/recent' } });
+
+        await client.request('resources/unsubscribe', { uri: 'linkedin://posts/recent' });
+        const notified = client.notifications.length;
+        await client.callTool('publish_linkedin_post', { post_text: 'Another post' });
+        assert.equal(client.notifications.length, notified);
+    });
+});
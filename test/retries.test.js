@@ -0,0 +1,105 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { loadRunner } = require('./helpers');
+
+// A backend that answers with the scripted replies in order, then with 200s
+function createScriptedBackend() {
+    const backend = { replies: [], requests: [] };
+    backend.server = http.createServer((req, res) => {
+        backend.requests.push({ headers: req.headers, at: Date.now() });
+        const [status, headers, body] = backend.replies.shift() || [200, {}, { success: true }];
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    });
+    return backend;
+}
+
+describe('backend retries and circuit breaker', () => {
+    let runner;
+    let backend;
+    let url;
+
+    const call = (options = {}) => runner.callBackend(url, {}, { apiKey: 'k', label: 'test API', ...options });
+
+    before(async () => {
+        ({ runner } = await loadRunner({
+            mockBackend: false,
+            config: {
+                retry: { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5, maxRetryAfterMs: 2000 },
+                circuitBreaker: { failureThreshold: 4, cooldownSeconds: 60 }
+            }
+        }));
+        backend = createScriptedBackend();
+        backend.server.listen(0, '127.0.0.1');
+        await once(backend.server, 'listening');
+        url = `http://127.0.0.1:${backend.server.address().port}/api`;
+    });
+    beforeEach(async () => {
+        // Start every test with a closed circuit
+        backend.replies = [];
+        await call();
+        backend.requests = [];
+    });
+    after(() => {
+        backend.server.closeAllConnections();
+        backend.server.close();
+    });
+
+    it('retries idempotent calls on 5xx until they succeed', async () => {
+        backend.replies = [[503, {}, {}], [502, {}, {}]];
+        assert.deepEqual(await call(), { success: true });
+        assert.equal(backend.requests.length, 3);
+    });
+
+    it('gives up after maxRetries', async () => {
+        backend.replies = [[500, {}, {}], [500, {}, {}], [500, {}, {}]];
+        await assert.rejects(call(), error => error.response.status === 500);
+        assert.equal(backend.requests.length, 3);
+    });
+
+    it('does not retry requests the backend rejected', async () => {
+        backend.replies = [[400, {}, { error: 'bad' }]];
+        await assert.rejects(call(), error => error.response.status === 400);
+        assert.equal(backend.requests.length, 1);
+    });
+
+    it('retries publishing calls only with an idempotency key', async () => {
+        backend.replies = [[503, {}, {}]];
+        await assert.rejects(call({ retryPolicy: 'nonIdempotent' }));
+        assert.equal(backend.requests.length, 1);
+
+        backend.requests = [];
+        backend.replies = [[503, {}, {}]];
+        assert.deepEqual(await call({ retryPolicy: 'nonIdempotent', idempotencyKey: 'post-1' }), { success: true });
+        assert.deepEqual(backend.requests.map(request => request.headers['idempotency-key']), ['post-1', 'post-1']);
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+        backend.replies = [[429, { 'Retry-After': '1' }, {}]];
+        await call();
+        assert.equal(backend.requests.length, 2);
+        assert.ok(backend.requests[1].at - backend.requests[0].at >= 950);
+    });
+
+    it('reports a Retry-After longer than maxRetryAfterMs instead of waiting', async () => {
+        backend.replies = [[429, { 'Retry-After': '120' }, {}]];
+        const error = await call().catch(caught => caught);
+        assert.equal(backend.requests.length, 1);
+        assert.equal(runner.describeBackendError(error, 'test API'), 'Rate limited by the backend; try again in 120s.');
+    });
+
+    it('opens the circuit after consecutive outages and fails fast while it is open', async () => {
+        backend.replies = [[503, {}, {}], [503, {}, {}], [503, {}, {}], [503, {}, {}]];
+        await assert.rejects(call());
+        // The fourth failure opens the circuit, which also stops this call's retries
+        await assert.rejects(call(), runner.CircuitOpenError);
+        assert.equal(backend.requests.length, 4);
+
+        const error = await call().catch(caught => caught);
+        assert.ok(error instanceof runner.CircuitOpenError);
+        assert.match(error.message, /Backend appears to be down \(4 consecutive failures\); skipping test API for another \d+s\./);
+        assert.equal(backend.requests.length, 4);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadRunner, createClient, resultText, readJson } = require('./helpers');
+
+const tomorrow = () => new Date(Date.now() + 86400000).toISOString();
+
+describe('scheduled posts', () => {
+    let context;
+    let client;
+    let jobId;
+
+    const trackedJobs = () => readJson(path.join(context.configDir, 'scheduled.json')).jobs;
+
+    before(async () => {
+        context = await loadRunner({ env: { LINKEDIN_MCP_BACKEND_FEATURES: 'scheduled_posts' } });
+        client = createClient(context.runner);
+        await client.initialize();
+        const scheduled = await client.callTool('schedule_linkedin_post', { post_text: 'Going out tomorrow', scheduled_date: tomorrow() });
+        jobId = /Scheduled Job ID: ([^)]+)\)/.exec(resultText(scheduled))[1];
+    });
+    after(() => context.stop());
+
+    it('tracks every job it schedules', () => {
+        assert.deepEqual(trackedJobs().map(job => [job.scheduled_job_id, job.status, job.post_text]), [[jobId, 'scheduled', 'Going out tomorrow']]);
+    });
+
+    it('lists and gets scheduled posts from the backend', async () => {
+        const listed = resultText(await client.callTool('list_scheduled_posts'));
+        assert.match(listed, /^1 scheduled post from the backend\./);
+        assert.match(listed, new RegExp(`${jobId} \\| .+ \\| scheduled\\n   Going out tomorrow`));
+        const fetched = resultText(await client.callTool('get_scheduled_post', { scheduled_job_id: jobId }));
+        assert.match(fetched, /Going out tomorrow/);
+    });
+
+    it('reschedules a post and keeps the local copy in step', async () => {
+        const newDate = new Date(Date.now() + 2 * 86400000).toISOString();
+        const result = await client.callTool('reschedule_linkedin_post', { scheduled_job_id: jobId, scheduled_date: newDate, post_text: 'Fixed the typo' });
+        assert.equal(result.isError, false, resultText(result));
+        assert.match(resultText(result), /Updated scheduled post .+ \(scheduled_date, post_text\)/);
+        const current = trackedJobs().find(job => job.status === 'scheduled');
+        assert.equal(current.post_text, 'Fixed the typo');
+        assert.equal(current.scheduled_date, newDate);
+        jobId = current.scheduled_job_id;
+    });
+
+    it('needs something to change when rescheduling', async () => {
+        await assert.rejects(client.callTool('reschedule_linkedin_post', { scheduled_job_id: jobId }), { code: -32602, message: /provide at least one of/ });
+    });
+
+    it('cancels a post', async () => {
+        const result = await client.callTool('cancel_scheduled_post', { scheduled_job_id: jobId });
+        assert.equal(result.isError, false, resultText(result));
+        assert.equal(trackedJobs().find(job => job.scheduled_job_id === jobId).status, 'cancelled');
+        assert.match(resultText(await client.callTool('list_scheduled_posts', { status: 'cancelled' })), new RegExp(jobId));
+    });
+
+    it('falls back to the local copies when the backend is down', async () => {
+        await context.stop();
+        const listed = resultText(await client.callTool('list_scheduled_posts'));
+        assert.match(listed, /tracked locally by this runner\. ⚠️ The backend listing is unavailable/);
+        const fetched = resultText(await client.callTool('get_scheduled_post', { scheduled_job_id: jobId }));
+        assert.match(fetched, /⚠️ Backend unavailable .+ Showing the copy tracked locally/);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { runCli, makeTempDir, writeJson, readJson } = require('./helpers');
+
+// Where each client keeps its config under a test home on Linux (XDG_CONFIG_HOME is <home>/.config)
+const clientConfigs = {
+    'claude-desktop': { file: ['.config', 'Claude', 'claude_desktop_config.json'], serversKey: 'mcpServers' },
+    'cursor': { file: ['.cursor', 'mcp.json'], serversKey: 'mcpServers' },
+    'vscode': { file: ['.config', 'Code', 'User', 'mcp.json'], serversKey: 'servers', type: 'stdio' },
+    'windsurf': { file: ['.codeium', 'windsurf', 'mcp_config.json'], serversKey: 'mcpServers' },
+    'claude-code': { file: ['.claude.json'], serversKey: 'mcpServers', type: 'stdio' }
+};
+
+describe('setup --client', { skip: process.platform !== 'linux' && 'config locations are checked for Linux' }, () => {
+    for (const [client, expected] of Object.entries(clientConfigs)) {
+        it(`writes the ${client} config`, async () => {
+            const homeDir = makeTempDir();
+            const { code, stdout } = await runCli(['setup', '--client', client], { homeDir, env: { LINKEDIN_MCP_API_KEY: undefined } });
+            assert.equal(code, 0, stdout);
+            const entry = readJson(path.join(homeDir, ...expected.file))[expected.serversKey].linkedin;
+            assert.equal(entry.command, 'npx');
+            assert.equal(entry.args[0], '-y');
+            assert.equal(entry.type, expected.type);
+            assert.equal(entry.env, undefined);
+            assert.match(stdout, /ACTION REQUIRED: Store your API key with:\nnpx \S+ login\n/);
+        });
+    }
+
+    it('keeps the other servers and settings and backs up the previous file', async () => {
+        const homeDir = makeTempDir();
+        const configPath = path.join(homeDir, '.cursor', 'mcp.json');
+        const existing = { theme: 'dark', mcpServers: { github: { command: 'gh-mcp' }, linkedin: { command: 'old' } } };
+        writeJson(configPath, existing);
+        const { code, stdout } = await runCli(['setup', '--client', 'cursor'], { homeDir });
+        assert.equal(code, 0, stdout);
+        const written = readJson(configPath);
+        assert.equal(written.theme, 'dark');
+        assert.deepEqual(written.mcpServers.github, { command: 'gh-mcp' });
+        assert.equal(written.mcpServers.linkedin.command, 'npx');
+        const backupName = /Previous config backed up to (\S+)/.exec(stdout)[1];
+        assert.match(path.basename(backupName), /^mcp\.json\.bak-\d{8}-\d{6}$/);
+        assert.deepEqual(readJson(backupName), existing);
+    });
+
+    it('pins the entry to an account', async () => {
+        const homeDir = makeTempDir();
+        await runCli(['setup', '--client', 'windsurf', '--account', 'client-a'], { homeDir });
+        const entry = readJson(path.join(homeDir, '.codeium', 'windsurf', 'mcp_config.json')).mcpServers.linkedin;
+        assert.deepEqual(entry.env, { LINKEDIN_MCP_ACCOUNT: 'client-a' });
+    });
+
+    it('prints a snippet for other clients without writing anything', async () => {
+        const homeDir = makeTempDir();
+        const { code, stdout } = await runCli(['setup', '--client', 'generic'], { homeDir });
+        assert.equal(code, 0);
+        const snippet = JSON.parse(stdout.slice(stdout.indexOf('{'), stdout.lastIndexOf('}') + 1));
+        assert.equal(snippet.mcpServers.linkedin.command, 'npx');
+        assert.deepEqual(fs.readdirSync(homeDir), []);
+    });
+
+    it('refuses unknown clients and unreadable configs', async () => {
+        const unknown = await runCli(['setup', '--client', 'emacs']);
+        assert.equal(unknown.code, 1);
+        assert.match(unknown.stderr, /Unknown client 'emacs'\. Choose one of: claude-desktop, cursor, vscode, windsurf, claude-code, generic\./);
+
+        const homeDir = makeTempDir();
+        const configPath = path.join(homeDir, '.cursor', 'mcp.json');
+        fs.mkdirSync(path.dirname(configPath));
+        fs.writeFileSync(configPath, '{ not json');
+        const broken = await runCli(['setup', '--client', 'cursor'], { homeDir });
+        assert.equal(broken.code, 1);
+        assert.match(broken.stderr, /Error reading config/);
+        assert.equal(fs.readFileSync(configPath, 'utf8'), '{ not json');
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRunner, createClient, resultText } = require('./helpers');
+
+describe('structured output', () => {
+    let context;
+    let client;
+    let legacyClient;
+
+    before(async () => {
+        context = await loadRunner();
+        client = createClient(context.runner);
+        await client.initialize('2025-06-18');
+        legacyClient = createClient(context.runner);
+        await legacyClient.initialize('2025-03-26');
+    });
+    after(() => context.stop());
+
+    it('negotiates the protocol version', async () => {
+        for (const version of ['2025-06-18', '2025-03-26', '2024-11-05']) {
+            const { result } = await createClient(context.runner).initialize(version);
+            assert.equal(result.protocolVersion, version);
+        }
+        const { result } = await createClient(context.runner).initialize('2099-01-01');
+        assert.equal(result.protocolVersion, '2025-06-18');
+    });
+
+    it('lists output schemas only for clients that understand them', async () => {
+        const schemas = async listClient => Object.fromEntries((await listClient.request('tools/list')).result.tools.map(tool => [tool.name, tool.outputSchema]));
+        const current = await schemas(client);
+        assert.ok(current.get_linkedin_posts.properties.posts);
+        assert.ok(current.get_linkedin_profile.properties.experience);
+        assert.equal(current.publish_linkedin_post, undefined);
+        assert.ok(Object.values(await schemas(legacyClient)).every(schema => schema === undefined));
+    });
+
+    it('returns posts matching their schema alongside the text', async () => {
+        const { validateAgainstSchema } = context.runner;
+        const { result } = await client.request('tools/list');
+        const outputSchema = result.tools.find(tool => tool.name === 'get_linkedin_posts').outputSchema;
+        const posts = await client.callTool('get_linkedin_posts', { limit: 3 });
+        assert.deepEqual(validateAgainstSchema(outputSchema, posts.structuredContent, ''), []);
+        assert.equal(posts.structuredContent.posts.length, 3);
+        const [first] = posts.structuredContent.posts;
+        assert.match(first.urn, /^urn:li:/);
+        assert.ok(first.reactions > 0);
+        assert.ok(resultText(posts).includes(first.text.substring(0, 40)));
+        assert.equal(posts.structuredContent.account, 'LINKEDIN_MCP_API_KEY');
+    });
+
+    it('returns the profile with experience and education arrays', async () => {
+        const { validateAgainstSchema } = context.runner;
+        const { result } = await client.request('tools/list');
+        const outputSchema = result.tools.find(tool => tool.name === 'get_linkedin_profile').outputSchema;
+        const profile = await client.callTool('get_linkedin_profile');
+        assert.deepEqual(validateAgainstSchema(outputSchema, profile.structuredContent, ''), []);
+        assert.match(profile.structuredContent.headline, /Founder @ Demo Labs/);
+        assert.equal(profile.structuredContent.linkedin_url, 'https://www.linkedin.com/in/jordan-demo/');
+        assert.ok(profile.structuredContent.experience.length > 0);
+        assert.ok(profile.structuredContent.education.length > 0);
+    });
+
+    it('keeps only the text for older clients', async () => {
+        const posts = await legacyClient.callTool('get_linkedin_posts', { limit: 3 });
+        assert.equal(posts.structuredContent, undefined);
+        assert.match(resultText(posts), /\S/);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRunner, createClient, resultText } = require('./helpers');
+
+describe('schema validation', () => {
+    let runner;
+    before(async () => {
+        ({ runner } = await loadRunner({ mockBackend: false }));
+    });
+
+    const schema = {
+        type: 'object',
+        properties: {
+            text: { type: 'string', pattern: '\\S', maxLength: 5 },
+            count: { type: 'integer', minimum: 1, maximum: 3 },
+            mode: { type: 'string', enum: ['a', 'b'] },
+            when: { type: 'string', format: 'date-time' },
+            items: { type: 'array', maxItems: 2, items: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] } }
+        },
+        required: ['text']
+    };
+
+    it('accepts valid arguments', () => {
+        assert.deepEqual(runner.validateAgainstSchema(schema, { text: 'hi', count: 2, mode: 'a', when: '2025-12-31T10:00:00+05:30', items: [{ url: 'x' }] }, ''), []);
+    });
+
+    it('reports every problem with the argument path', () => {
+        const problems = runner.validateAgainstSchema(schema, { count: 1.5, mode: 'c', when: 'tomorrow', items: [{}, {}, {}] }, '');
+        assert.deepEqual(problems, [
+            "'text' (string) required",
+            "'count' must be an integer",
+            "'mode' must be one of: a, b",
+            "'when' must be a valid ISO 8601 string (e.g., 2025-12-31T10:00:00Z)",
+            "'items' must have at most 2 items",
+            "'items[0].url' (string) required",
+            "'items[1].url' (string) required",
+            "'items[2].url' (string) required"
+        ]);
+    });
+
+    it('checks lengths in characters and rejects blank strings', () => {
+        assert.deepEqual(runner.validateAgainstSchema(schema, { text: '👋👋👋👋👋' }, ''), []);
+        assert.deepEqual(runner.validateAgainstSchema(schema, { text: '   ' }, ''), ["'text' must not be blank"]);
+        assert.deepEqual(runner.validateAgainstSchema(schema, { text: 'too long' }, ''), ["'text' must be at most 5 characters (got 8)"]);
+    });
+
+    it('fills in defaults without sharing them between calls', () => {
+        const withDefaults = runner.applySchemaDefaults({ properties: { tags: { type: 'array', default: [] }, limit: { default: 10 } } }, { limit: 3 });
+        assert.deepEqual(withDefaults, { tags: [], limit: 3 });
+        withDefaults.tags.push('x');
+        assert.deepEqual(runner.applySchemaDefaults({ properties: { tags: { default: [] } } }, {}).tags, []);
+    });
+});
+
+describe('tools/call', () => {
+    let context;
+    let client;
+
+    before(async () => {
+        context = await loadRunner();
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    after(() => context.stop());
+
+    it('lists every tool with an object input schema', async () => {
+        const { result } = await client.request('tools/list');
+        const names = result.tools.map(tool => tool.name);
+        assert.equal(new Set(names).size, names.length);
+        for (const tool of result.tools) {
+            assert.equal(tool.inputSchema.type, 'object', tool.name);
+            assert.ok(tool.description, tool.name);
+        }
+    });
+
+    it('answers unknown tools with -32601 and bad arguments with -32602', async () => {
+        await assert.rejects(client.callTool('no_such_tool'), { code: -32601, message: 'Tool not found: no_such_tool' });
+        await assert.rejects(client.callTool('publish_linkedin_post', {}), { code: -32602, message: "Invalid arguments: 'post_text' (string) required." });
+        await assert.rejects(client.callTool('get_linkedin_posts', { limit: 'ten' }), { code: -32602, message: "Invalid arguments: 'limit' must be a number." });
+    });
+
+    it('reports backend failures as an isError result', async () => {
+        const result = await client.callTool('set_linkedin_url', { linkedin_url: 'https://example.com/not-linkedin' });
+        assert.equal(result.isError, true);
+        assert.match(resultText(result), /Failed/);
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { loadRunner, createClient, resultText } = require('./helpers');
+
+describe('Twitter threads', () => {
+    let context;
+    let client;
+    let backend;
+    // Request bodies and idempotency keys the backend received, and replies to give instead of
+    // the default success
+    let requests;
+    let idempotencyKeys;
+    let replies;
+
+    before(async () => {
+        context = await loadRunner({ mockBackend: false, env: { LINKEDIN_MCP_BACKEND_FEATURES: 'tweet_replies' } });
+        backend = http.createServer(async (req, res) => {
+            let raw = '';
+            for await (const chunk of req) { raw += chunk; }
+            requests.push(JSON.parse(raw));
+            idempotencyKeys.push(req.headers['idempotency-key']);
+            const [status, body] = replies.shift() || [200, { success: true, tweet_id: `t${requests.length}` }];
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        backend.listen(context.port, '127.0.0.1');
+        await once(backend, 'listening');
+        client = createClient(context.runner);
+        await client.initialize();
+    });
+    beforeEach(() => {
+        requests = [];
+        idempotencyKeys = [];
+        replies = [];
+    });
+    after(() => {
+        backend.closeAllConnections();
+        backend.close();
+    });
+
+    it('weighs text the way Twitter does', () => {
+        const { twitterWeightedLength } = context.runner;
+        assert.equal(twitterWeightedLength('hello'), 5);
+        assert.equal(twitterWeightedLength('see https://example.com/a/very/long/path/that/goes/on'), 4 + 23);
+        assert.equal(twitterWeightedLength('launch 🚀'), 7 + 2);
+        assert.equal(twitterWeightedLength('👩‍👩‍👧'), 2);
+        assert.equal(twitterWeightedLength('日本語'), 6);
+        assert.equal(twitterWeightedLength('Ωmega café'), 10);
+    });
+
+    it('splits long text on sentence boundaries and numbers the tweets', () => {
+        const sentence = 'This sentence is exactly long enough to matter here. ';
+        const tweets = context.runner.splitIntoTweets(sentence.repeat(12).trim());
+        assert.ok(tweets.length > 1);
+        tweets.forEach((tweet, index) => {
+            assert.ok(context.runner.twitterWeightedLength(tweet) <= 280, tweet);
+            assert.ok(tweet.endsWith(` ${index + 1}/${tweets.length}`), tweet);
+            assert.match(tweet, /^This sentence/);
+        });
+        assert.deepEqual(context.runner.splitIntoTweets('Short one.'), ['Short one.']);
+    });
+
+    it('posts each tweet as a reply to the previous one', async () => {
+        const result = await client.callTool('publish_twitter_thread', { tweets: ['First', 'Second', 'Third'] });
+        assert.equal(result.isError, false, resultText(result));
+        assert.deepEqual(requests.map(body => [body.post_text, body.reply_to_tweet_id]), [['First 1/3', undefined], ['Second 2/3', 't1'], ['Third 3/3', 't2']]);
+        assert.match(resultText(result), /thread of 3 tweets.*\n.*\n  1\. t1\n  2\. t2\n  3\. t3/);
+    });
+
+    it('rejects tweets over 280 weighted characters before sending anything', async () => {
+        await assert.rejects(client.callTool('publish_twitter_thread', { tweets: ['ok', '🚀'.repeat(140)] }), {
+            code: -32602,
+            message: /'tweets\[1\]' is 284 weighted characters including its numbering; Twitter allows 280/
+        });
+        await assert.rejects(client.callTool('publish_twitter_post', { post_text: 'x'.repeat(281) }), { code: -32602, message: /Set 'auto_split'/ });
+        assert.equal(requests.length, 0);
+    });
+
+    it('stops at a failed tweet and says what was already posted', async () => {
+        replies = [[200, { success: true, tweet_id: 't1' }], [500, { success: false, error: 'Twitter is down' }]];
+        const result = await client.callTool('publish_twitter_thread', { tweets: ['One', 'Two', 'Three'], numbering: false });
+        assert.equal(result.isError, true);
+        assert.match(resultText(result), /^Failed to publish Twitter thread at tweet 2 of 3: Twitter is down\nAlready posted \(in order\):\n  1\. t1\n/);
+        assert.equal(requests.length, 2);
+    });
+
+    it('fails when a tweet comes back without an ID instead of starting a new thread', async () => {
+        replies = [[200, { success: true }]];
+        const result = await client.callTool('publish_twitter_thread', { tweets: ['One', 'Two'], numbering: false });
+        assert.equal(result.isError, true);
+        assert.match(resultText(result), /at tweet 2 of 2: the backend returned no ID for tweet 1, so the next tweet cannot reply to it\nAlready posted \(in order\):\n  1\. \(no ID returned\)/);
+        assert.equal(requests.length, 1);
+    });
+
+    it('splits an auto_split tweet into a thread', async () => {
+        const result = await client.callTool('publish_twitter_post', { post_text: 'A sentence that keeps going for a while. '.repeat(10).trim(), auto_split: true });
+        assert.equal(result.isError, false, resultText(result));
+        assert.equal(requests.length, 2);
+        assert.equal(requests[1].reply_to_tweet_id, 't1');
+    });
+
+    it('derives an idempotency key per tweet so a repeated call resumes the thread', async () => {
+        const result = await client.callTool('publish_twitter_thread', { tweets: ['One', 'Two'], idempotency_key: 'thread-1' });
+        assert.equal(result.isError, false, resultText(result));
+        assert.deepEqual(idempotencyKeys, ['thread-1-1', 'thread-1-2']);
+    });
+});